@@ -4,13 +4,32 @@
  * @module "noderegression/cli.js"
  */
 
+import { once } from 'node:events';
 import { createWriteStream } from 'node:fs';
 import { readFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
 import { finished } from 'node:stream';
 
-import { Command, InvalidArgumentError } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 
-import { bisectRange } from './index.js';
+import {
+  bisectRange,
+  clearBuildCache,
+  createBuildServer,
+  getCacheDir,
+  gitBisect,
+  listCachedBuilds,
+  listCommits,
+  pruneBuildCache,
+  resumeBisect,
+} from './index.js';
+import parseBisectLog from './lib/bisect-log.js';
+import { migrateLegacyCache } from './lib/build-cache.js';
+import { channelNames, getChannelBaseUrl } from './lib/build-channels.js';
+import { isBuildId } from './lib/find-build-index.js';
+import { getBuildRev, getCompareUrl } from './lib/git-bisect.js';
 import splitBuildVersion from './lib/split-build-version.js';
 import { addDashes } from './lib/ymd-utils.js';
 
@@ -20,12 +39,33 @@ function finishedErrorOk(stream, options) {
   });
 }
 
+/** Splits the version of a given build, if it includes a date and commit.
+ *
+ * @private
+ * @param {!module:noderegression.BuildInfo} build Build.
+ * @returns {Array<string>|undefined} Result of {@link splitBuildVersion}, or
+ * undefined for release and rc builds (which do not have a date and commit in
+ * their version).
+ */
+function trySplitBuildVersion(build) {
+  try {
+    return splitBuildVersion(build.version);
+  } catch {
+    return undefined;
+  }
+}
+
 function buildToString(build) {
   if (!build) {
     return 'None found';
   }
 
-  const [, ymd, commit] = splitBuildVersion(build.version);
+  const versionParts = trySplitBuildVersion(build);
+  if (!versionParts) {
+    return `${build.version} on ${build.date}`;
+  }
+
+  const [, ymd, commit] = versionParts;
   return `${commit} on ${addDashes(ymd)}`;
 }
 
@@ -53,7 +93,8 @@ function countOption(optarg, previous) {
 }
 
 function parseDate(str) {
-  let date = new Date(str);
+  // Accept YYYYMMDD, as in nightly build versions
+  let date = new Date(/^[0-9]{8}$/.test(str) ? addDashes(str) : str);
   const dateMs = date.getTime();
   if (Number.isNaN(dateMs)) {
     throw new InvalidArgumentError(`Invalid Date: ${str}`);
@@ -78,6 +119,541 @@ function parseDate(str) {
   return date;
 }
 
+/** Option parser for a non-negative number.
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {number} optarg as a number.
+ * @throws {InvalidArgumentError} If optarg is not a non-negative number.
+ */
+function parseNonNegative(optarg) {
+  const num = Number(optarg);
+  if (optarg.trim() === '' || !(num >= 0)) {
+    throw new InvalidArgumentError('Must be a non-negative number.');
+  }
+
+  return num;
+}
+
+/** Option parser for a positive number.
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {number} optarg as a number.
+ * @throws {InvalidArgumentError} If optarg is not a positive number.
+ */
+function parsePositive(optarg) {
+  const num = Number(optarg);
+  if (optarg.trim() === '' || !(num > 0)) {
+    throw new InvalidArgumentError('Must be a positive number.');
+  }
+
+  return num;
+}
+
+/** Option parser for a non-negative integer.
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {number} optarg as a number.
+ * @throws {InvalidArgumentError} If optarg is not a non-negative integer.
+ */
+function parseNonNegativeInt(optarg) {
+  if (!/^[0-9]+$/.test(optarg)) {
+    throw new InvalidArgumentError('Must be a non-negative integer.');
+  }
+
+  return Number(optarg);
+}
+
+/** Option parser for a positive integer.
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {number} optarg as a number.
+ * @throws {InvalidArgumentError} If optarg is not a positive integer.
+ */
+function parsePositiveInt(optarg) {
+  if (!/^[0-9]+$/.test(optarg) || Number(optarg) < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+
+  return Number(optarg);
+}
+
+/** Option parser for a classification rule, which combines multiple
+ * occurrences into an Array.
+ *
+ * Rules have the form result[:criterion=value], where result is good, bad,
+ * or skip and criterion is code (comma-separated exit codes), signal
+ * (comma-separated signal names), or output (regular expression).
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @param {Array<!module:noderegression.ClassifyRule>=} previous Previously
+ * parsed rules.
+ * @returns {!Array<!module:noderegression.ClassifyRule>} Parsed rule
+ * appended to previous.
+ * @throws {InvalidArgumentError} If optarg is not a valid rule.
+ */
+function parseClassifyRule(optarg, previous) {
+  const match = /^(bad|good|skip)(?::(code|output|signal)=(.*))?$/s
+    .exec(optarg);
+  if (!match) {
+    throw new InvalidArgumentError(
+      'Must be good, bad, or skip, optionally followed by :code=<codes>, '
+      + ':signal=<signals>, or :output=<regexp>.',
+    );
+  }
+
+  const [, result, criterion, value] = match;
+  const rule = { result };
+  switch (criterion) {
+    case 'code':
+      rule.code = value.split(',').map((code) => {
+        if (!/^[0-9]+$/.test(code)) {
+          throw new InvalidArgumentError(`Invalid exit code: ${code}`);
+        }
+
+        return Number(code);
+      });
+      break;
+
+    case 'output':
+      try {
+        rule.output = new RegExp(value);
+      } catch (errRegExp) {
+        throw new InvalidArgumentError(errRegExp.message);
+      }
+      break;
+
+    case 'signal':
+      rule.signal = value.split(',');
+      break;
+
+    default:
+      // No criterion.  Rule matches any result.
+      break;
+  }
+
+  return [...previous || [], rule];
+}
+
+/** Option parser for a trial policy.
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {string|number} Trial policy name, or number of failed trials at
+ * which a build is bad.
+ * @throws {InvalidArgumentError} If optarg is not a valid trial policy.
+ */
+function parseTrialPolicy(optarg) {
+  if (optarg === 'all' || optarg === 'any' || optarg === 'majority') {
+    return optarg;
+  }
+
+  try {
+    return parsePositiveInt(optarg);
+  } catch {
+    throw new InvalidArgumentError(
+      'Must be any, all, majority, or a positive integer.',
+    );
+  }
+}
+
+const sizeUnits = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+
+/** Option parser for a size in bytes, with optional binary unit suffix
+ * (e.g. 512M or 2GiB).
+ *
+ * @private
+ * @param {string} optarg Argument passed to option.
+ * @returns {number} Size in bytes.
+ * @throws {InvalidArgumentError} If optarg is not a valid size.
+ */
+function parseSize(optarg) {
+  const match = /^([0-9]+(?:\.[0-9]+)?)\s*([KMGT]?)(?:i?B)?$/i.exec(optarg);
+  if (!match) {
+    throw new InvalidArgumentError(
+      'Must be a size in bytes, with optional suffix (e.g. 512M, 2G).',
+    );
+  }
+
+  const [, num, prefix] = match;
+  const power = prefix ? 'KMGT'.indexOf(prefix.toUpperCase()) + 1 : 0;
+  return Math.floor(Number(num) * (1024 ** power));
+}
+
+function formatSize(size) {
+  let unitIndex = 0;
+  let unitSize = size;
+  while (unitSize >= 1024 && unitIndex < sizeUnits.length - 1) {
+    unitSize /= 1024;
+    unitIndex += 1;
+  }
+
+  const sizeStr = unitIndex === 0 ? String(unitSize) : unitSize.toFixed(1);
+  return `${sizeStr} ${sizeUnits[unitIndex]}`;
+}
+
+/** Runs a subcommand of the cache command.
+ *
+ * @private
+ * @param {string} subcommand Name of cache subcommand to run.
+ * @param {!object} cacheOpts Options for the cache subcommand (including
+ * options for the cache command and library functions).
+ * @param {!CommandOptions} options Options passed to command entry point.
+ * @returns {!Promise} Promise for completion of subcommand.
+ */
+async function runCacheCommand(subcommand, cacheOpts, options) {
+  switch (subcommand) {
+    case 'clear':
+      await clearBuildCache(cacheOpts);
+      options.stderr.write(`Removed ${getCacheDir(cacheOpts)}\n`);
+      break;
+
+    case 'list': {
+      const cachedBuilds = await listCachedBuilds(cacheOpts);
+      let totalSize = 0;
+      for (const cachedBuild of cachedBuilds) {
+        totalSize += cachedBuild.size;
+        options.stdout.write(`${[
+          cachedBuild.channel,
+          cachedBuild.version,
+          cachedBuild.target ?? '-',
+          formatSize(cachedBuild.size),
+          cachedBuild.lastUsed.toISOString(),
+        ].join('\t')}\n`);
+      }
+
+      options.stderr.write(
+        `${cachedBuilds.length} cached builds (${formatSize(totalSize)})\n`,
+      );
+      break;
+    }
+
+    case 'path':
+      options.stdout.write(`${getCacheDir(cacheOpts)}\n`);
+      break;
+
+    case 'prune': {
+      const removedBuilds = await pruneBuildCache(cacheOpts);
+      const removedSize =
+        removedBuilds.reduce((sum, { size }) => sum + size, 0);
+      options.stderr.write(`Removed ${removedBuilds.length} cached builds (${
+        formatSize(removedSize)})\n`);
+      break;
+    }
+
+    default:
+      throw new RangeError(`Unknown cache subcommand: ${subcommand}`);
+  }
+}
+
+/** Runs the serve command until the server is closed.
+ *
+ * @private
+ * @param {!object} serveOpts Options for the serve command.
+ * @param {!CommandOptions} options Options passed to command entry point.
+ * @returns {!Promise} Promise for completion of serving.
+ */
+async function runServeCommand(serveOpts, options) {
+  const { channel } = serveOpts;
+  const cacheDir = getCacheDir(serveOpts);
+  await migrateLegacyCache(cacheDir);
+  const buildCacheDir = path.join(cacheDir, channel);
+  const upstreamUrl = serveOpts.upstream || getChannelBaseUrl(channel);
+  const createBuildServer2 = options.createBuildServer || createBuildServer;
+  const server = createBuildServer2({
+    buildCacheDir,
+    // eslint-disable-next-line no-console
+    console: new console.Console(options.stderr),
+    upstreamUrl,
+  });
+  server.listen(serveOpts.port, serveOpts.host);
+  await once(server, 'listening');
+  const { address, port } = server.address();
+  const host = address.includes(':') ? `[${address}]` : address;
+  options.stderr.write(
+    `Serving ${buildCacheDir} (from ${upstreamUrl}) at http://${host}:${
+      port}/\n`,
+  );
+  await once(server, 'close');
+}
+
+/** Formats a list of commits for display.
+ *
+ * @private
+ * @param {!Array<!module:noderegression.CommitInfo>} commits Commits.
+ * @returns {string} Abbreviated hash, subject, and PR number of each commit,
+ * on separate lines following a heading.
+ */
+function formatCommits(commits) {
+  const lines = commits.map(({ commit, pr, subject }) => `  ${
+    commit.slice(0, 10)} ${subject}${pr ? ` (#${pr})` : ''}\n`);
+  return `Commits between builds (${commits.length}):\n${lines.join('')}`;
+}
+
+/** Quotes a given string for use as a single word in a POSIX shell command.
+ *
+ * @private
+ * @param {string} arg String to quote.
+ * @returns {string} arg, quoted if necessary.
+ */
+function shellQuote(arg) {
+  return /^[\w%+,./:=@-]+$/.test(arg) ? arg
+    : `'${arg.replaceAll("'", "'\\''")}'`;
+}
+
+/** Gets instructions for continuing a bisection started by
+ * {@link module:noderegression.gitBisect} without a runCommand.
+ *
+ * @private
+ * @param {string} repo Path of Node.js git repository.
+ * @param {!Array<string>} testCmdWithArgs Test command (with any arguments)
+ * passed to the noderegression command, or empty if not known.
+ * @returns {string} Commands to continue bisecting.
+ */
+function getGitBisectSteps(repo, testCmdWithArgs) {
+  const cdLine = `  cd ${shellQuote(repo)}\n`;
+  const markLine = 'Build and test each commit, then mark it using '
+    + 'git bisect good, bad, or skip.\n';
+  const resetLine = 'When done, run git bisect reset to check out the '
+    + 'previous HEAD.\n';
+  if (testCmdWithArgs.length === 0) {
+    return `Started git bisect.  To continue:\n${cdLine}`
+      + `${markLine}${resetLine}`;
+  }
+
+  // Build each commit (skipping commits which fail to build), then run the
+  // test command with the built node in $PATH.
+  const script = `(./configure && make -j${os.availableParallelism()}) `
+    + '|| exit 125; '
+    + 'PATH="$PWD/out/Release:$PATH" exec "$@"';
+  const runLine = `  git bisect run sh -c ${shellQuote(script)} sh ${
+    testCmdWithArgs.map(shellQuote).join(' ')}\n`;
+  return `Started git bisect.  To continue, run:\n${cdLine}${runLine}`
+    + `Or: ${markLine}${resetLine}`;
+}
+
+/** Gets the command to run an interactive shell.
+ *
+ * @private
+ * @param {!Object<string,string>} env Environment variables.
+ * @returns {string} User's shell (from $SHELL, or %ComSpec% on Windows).
+ */
+function getShell(env) {
+  return process.platform === 'win32' ? env.ComSpec || 'cmd.exe'
+    : env.SHELL || '/bin/sh';
+}
+
+const answerResults = new Map([
+  ['b', 'bad'],
+  ['bad', 'bad'],
+  ['g', 'good'],
+  ['good', 'good'],
+  ['q', 'stop'],
+  ['quit', 'stop'],
+  ['r', 'retry'],
+  ['retry', 'retry'],
+  ['s', 'skip'],
+  ['skip', 'skip'],
+]);
+
+/** Creates a function which prompts the user for the result of each build.
+ *
+ * Input is paused between prompts, so that it can be read by the test
+ * command (e.g. an interactive shell).
+ *
+ * @private
+ * @param {!module:stream.Readable} input Stream from which answers are read.
+ * @param {!module:stream.Writable} output Stream to which prompts are
+ * written.
+ * @returns {!{askResult: function(!module:noderegression.BuildInfo):
+ * !Promise<string>, close: function()}} Function suitable for
+ * {@link module:noderegression.NoderegressionOptions.askResult} and function
+ * to stop reading input.
+ */
+function makeResultPrompt(input, output) {
+  let rl, lines;
+  async function askResult(build) {
+    if (rl) {
+      rl.resume();
+    } else {
+      rl = createInterface({ input, terminal: false });
+      lines = rl[Symbol.asyncIterator]();
+    }
+
+    try {
+      for (;;) {
+        output.write(`Is build ${build.version} good, bad, skip, retry, `
+          + 'or quit? [g/b/s/r/q] ');
+        // eslint-disable-next-line no-await-in-loop
+        const { done, value } = await lines.next();
+        if (done) {
+          output.write('\n');
+          return 'stop';
+        }
+
+        const result = answerResults.get(value.trim().toLowerCase());
+        if (result) {
+          return result;
+        }
+      }
+    } finally {
+      rl.pause();
+    }
+  }
+
+  return {
+    askResult,
+    close: () => rl?.close(),
+  };
+}
+
+/** Width of the progress bar drawn by {@link makeDownloadProgress}.
+ *
+ * @private
+ */
+const progressBarWidth = 20;
+
+/** Formats the transfer rate of a download for
+ * {@link makeDownloadProgress}.
+ *
+ * @private
+ * @param {!{startMs: number, receivedBytes: number}} download Download state.
+ * @param {number} nowMs Current time, in milliseconds since the epoch.
+ * @returns {string} Transfer rate of download, with a leading separator, or
+ * an empty string if no time has elapsed.
+ */
+function formatDownloadRate(download, nowMs) {
+  const elapsedSec = (nowMs - download.startMs) / 1000;
+  return elapsedSec > 0
+    ? `, ${formatSize(Math.round(download.receivedBytes / elapsedSec))}/s`
+    : '';
+}
+
+/** Formats the progress of a download for {@link makeDownloadProgress}.
+ *
+ * @private
+ * @param {!{receivedBytes: number, totalBytes: number=}} download Download
+ * state.
+ * @param {boolean} isTTY Format a progress bar for a terminal.
+ * @returns {string} Progress of download.
+ */
+function formatDownloadProgress(download, isTTY) {
+  const { receivedBytes, totalBytes } = download;
+  let progress = formatSize(receivedBytes);
+  if (totalBytes) {
+    const fraction = Math.min(receivedBytes / totalBytes, 1);
+    const percent = `${Math.floor(fraction * 100)}%`;
+    progress += ` of ${formatSize(totalBytes)}`;
+    if (isTTY) {
+      const filled = Math.round(fraction * progressBarWidth);
+      progress = `[${'#'.repeat(filled)}${
+        ' '.repeat(progressBarWidth - filled)}] ${percent} ${progress}`;
+    } else {
+      progress += ` (${percent})`;
+    }
+  }
+
+  return progress;
+}
+
+/** Creates a listener which reports the progress of downloads.
+ *
+ * On a TTY, a status line is redrawn (at most 10 times per second) with a
+ * progress bar for the download, or the percentage of each download when
+ * there are several (e.g. with --jobs).  A line is left for each finished
+ * download.  Otherwise, a line is written for each download every 5 seconds
+ * and when it finishes.
+ *
+ * @private
+ * @param {!module:stream.Writable} output Stream to which progress is
+ * written.
+ * @returns {function(string, number, (number|undefined), boolean, *=)}
+ * Function suitable for
+ * {@link module:noderegression.NoderegressionListeners.ondownload}.
+ */
+function makeDownloadProgress(output) {
+  const { isTTY } = output;
+  const intervalMs = isTTY ? 100 : 5000;
+  const downloads = new Map();
+  let lastDrawMs = 0;
+
+  function drawStatus(nowMs) {
+    lastDrawMs = nowMs;
+    let status = '';
+    if (downloads.size === 1) {
+      const [download] = downloads.values();
+      status = `${download.name} ${formatDownloadProgress(download, true)}${
+        formatDownloadRate(download, nowMs)}`;
+    } else if (downloads.size > 1) {
+      status = Array.from(downloads.values(), (download) => {
+        const { name, receivedBytes, totalBytes } = download;
+        if (!totalBytes) {
+          return `${name} ${formatSize(receivedBytes)}`;
+        }
+
+        const fraction = Math.min(receivedBytes / totalBytes, 1);
+        return `${name} ${Math.floor(fraction * 100)}%`;
+      }).join(', ');
+    }
+
+    // Redraw on the current line, clearing any remaining characters
+    output.write(`\r${status}\u{1B}[K`);
+  }
+
+  return (url, receivedBytes, totalBytes, done, err) => {
+    const nowMs = Date.now();
+    let download = downloads.get(url);
+    if (!download) {
+      download = {
+        name: url.slice(url.lastIndexOf('/') + 1),
+        startMs: nowMs,
+        lastMs: nowMs,
+      };
+      downloads.set(url, download);
+    }
+
+    download.receivedBytes = receivedBytes;
+    download.totalBytes = totalBytes;
+
+    if (done) {
+      downloads.delete(url);
+      const { name } = download;
+      const elapsedSec = ((nowMs - download.startMs) / 1000).toFixed(1);
+      if (isTTY) {
+        output.write(`\r${name} ${formatDownloadProgress(download, true)}${
+          formatDownloadRate(download, nowMs)}${
+          err ? ' (failed)' : ''}\u{1B}[K\n`);
+        if (downloads.size > 0) {
+          drawStatus(nowMs);
+        }
+      } else if (err) {
+        output.write(`Failed to download ${name} after ${
+          formatSize(receivedBytes)} in ${elapsedSec} s\n`);
+      } else {
+        output.write(`Downloaded ${name}: ${formatSize(receivedBytes)} in ${
+          elapsedSec} s${formatDownloadRate(download, nowMs)}\n`);
+      }
+
+      return;
+    }
+
+    if (isTTY) {
+      if (nowMs - lastDrawMs >= intervalMs) {
+        drawStatus(nowMs);
+      }
+    } else if (nowMs - download.lastMs >= intervalMs) {
+      download.lastMs = nowMs;
+      const progress = formatDownloadProgress(download, false);
+      output.write(`${download.name}: ${progress}${
+        formatDownloadRate(download, nowMs)}\n`);
+    }
+  };
+}
+
 async function readJson(pathOrUrl, options) {
   const content = await readFile(pathOrUrl, { encoding: 'utf8', ...options });
   return JSON.parse(content);
@@ -126,18 +702,30 @@ export default async function noderegressionMain(args, options) {
     throw new TypeError('options.stderr must be a stream.Writable');
   }
 
+  // Note: Builds can only be ordered after fetching the build list.
+  // If a build is given, the last occurrence of the option is used.
   let good;
   function parseGood(optarg) {
+    if (isBuildId(optarg)) {
+      good = optarg;
+      return;
+    }
+
     const date = parseDate(optarg);
-    if (!good || good.getTime() < date.getTime()) {
+    if (!(good instanceof Date) || good.getTime() < date.getTime()) {
       good = date;
     }
   }
 
   let bad;
   function parseBad(optarg) {
+    if (isBuildId(optarg)) {
+      bad = optarg;
+      return;
+    }
+
     const date = parseDate(optarg);
-    if (!bad || bad.getTime() > date.getTime()) {
+    if (!(bad instanceof Date) || bad.getTime() > date.getTime()) {
       bad = date;
     }
   }
@@ -151,27 +739,157 @@ export default async function noderegressionMain(args, options) {
       getOutHelpWidth: () => options.stdout.columns,
       getErrHelpWidth: () => options.stderr.columns,
     })
-    .arguments('<test_command...>')
+    .arguments('[test_command...]')
     .usage('[options] -- <test_command...>')
     .allowExcessArguments(false)
     // Stop parsing at first non-option.
     // https://github.com/tj/commander.js/issues/1127#issuecomment-754230279
     .passThroughOptions()
-    .description('Reduce a regression range using Node.js nightly builds.')
-    .option('-b, --bad <date>', 'first date when issue was present', parseBad)
+    .description('Reduce a regression range using Node.js builds.')
+    .option(
+      '-b, --bad <date|build>',
+      'first date, version, or commit where issue was present',
+      parseBad,
+    )
     // Note: can't alias options or add additional long name
     // https://github.com/tj/commander.js/issues/479
-    .option('--new <date>', 'alias for --bad', parseBad)
+    .option('--new <date|build>', 'alias for --bad', parseBad)
+    .option(
+      '--base-url <url>',
+      'URL from which to download builds (e.g. from nodebisect serve)',
+    )
+    .option('--cache-dir <dir>', 'directory below which builds are cached')
+    .addOption(
+      new Option('-c, --channel <channel>', 'build channel to bisect')
+        .choices(channelNames)
+        .conflicts('release'),
+    )
     .option(
-      '-g, --good <date>',
-      'last date when issue was not present',
+      '--classify <rule>',
+      'classify results matching <rule> (e.g. bad:output=ERR_ASSERTION, '
+      + 'skip:code=2,3, bad:signal=SIGSEGV, good) in order given',
+      parseClassifyRule,
+    )
+    .addOption(
+      new Option(
+        '--commits-repo <repo>',
+        'list commits from Node.js git <repo> (implies --list-commits)',
+      )
+        .implies({ listCommits: true }),
+    )
+    .option(
+      '--full-dist',
+      'extract npm, npx, corepack, and headers (for addons) with each build',
+    )
+    .option(
+      '-g, --good <date|build>',
+      'last date, version, or commit where issue was not present',
       parseGood,
     )
     // Note: can't alias options or add additional long name
     // https://github.com/tj/commander.js/issues/479
-    .option('--old <date>', 'alias for --good', parseGood)
+    .option('--old <date|build>', 'alias for --good', parseGood)
+    .option(
+      '--git-bisect <repo>',
+      'start git bisect between resulting builds in Node.js git <repo>',
+    )
+    .option(
+      '--git-bisect-run <script>',
+      'run git bisect with <script> to build and test each commit, '
+      + 'then git bisect reset',
+    )
+    .option(
+      '-i, --interactive',
+      'prompt for result of each build after test_command (default: a shell)',
+    )
+    .addOption(
+      new Option('-j, --jobs <count>', 'number of builds to test at once')
+        .argParser(parsePositiveInt)
+        .conflicts('interactive'),
+    )
+    .option('--json', 'print result as JSON to stdout')
+    .option(
+      '-k, --keyring <keyring>',
+      'verify signature of SHASUMS256.txt using gpgv with <keyring>',
+    )
+    .option(
+      '--list-commits',
+      'list commits between resulting builds (as GitHub compare URL without '
+      + '--commits-repo)',
+    )
+    .addOption(
+      new Option(
+        '--local-builds <dir>',
+        'bisect node executables or archives in <dir> named by commit',
+      )
+        .conflicts(['baseUrl', 'channel', 'release']),
+    )
+    .option(
+      '--local-manifest <file>',
+      'order --local-builds by commits in <file> (default: manifest.txt)',
+    )
+    .addOption(
+      new Option(
+        '--local-repo <repo>',
+        'order --local-builds using git rev-list in <repo>',
+      )
+        .conflicts('localManifest'),
+    )
     .option('-l, --log <logfile>', 'save git bisect log to file', arrayOption)
+    .option(
+      '--offline',
+      'only use cached build list and builds (may give a larger range)',
+    )
+    .option(
+      '--no-prefetch',
+      'do not download builds which may be tested next during each test',
+    )
     .option('-q, --quiet', 'print less output', countOption)
+    .option('--release', 'alias for --channel release')
+    .option(
+      '--replay <logfile>',
+      'use results from <logfile> (written by --log) before testing',
+    )
+    .addOption(
+      new Option(
+        '--resume <statefile>',
+        'resume bisection saved in <statefile> (by --state-file)',
+      )
+        .conflicts(['bad', 'good', 'new', 'old', 'replay', 'stateFile']),
+    )
+    .option(
+      '--retries <count>',
+      'retry downloads up to <count> times after network errors (default: 3)',
+      parseNonNegativeInt,
+    )
+    .option(
+      '--state-file <statefile>',
+      'save bisection state to <statefile> after each build for --resume',
+    )
+    .addOption(
+      new Option(
+        '--timeout <seconds>',
+        'kill test_command (and descendants) if it runs longer than <seconds>',
+      )
+        .argParser(parsePositive)
+        // Timed out commands run in the background, without terminal input
+        .conflicts('interactive'),
+    )
+    .addOption(
+      new Option('--timeout-result <result>', 'build result on timeout')
+        .choices(['abort', 'bad', 'skip'])
+        .default('bad'),
+    )
+    .option(
+      '-n, --trials <count>',
+      'number of times to run test_command on each build',
+      parsePositiveInt,
+    )
+    .option(
+      '--trial-policy <policy>',
+      'build is bad if any, all, majority, or <policy> number of trials fail',
+      parseTrialPolicy,
+    )
     .option(
       '-t, --target <target>',
       'build files to test (preferred first, if used multiple times)',
@@ -191,6 +909,130 @@ export default async function noderegressionMain(args, options) {
     .on('option:version', () => {
       errVersion = new Error('version');
       throw errVersion;
+    })
+    // Note: Bisection is run after parsing (below).  Action is required for
+    // Commander to accept arguments which are not subcommands.
+    .action(function checkTestCommand(testCommand, opts) {
+      if (opts.gitBisectRun && !opts.gitBisect) {
+        this.error('error: --git-bisect-run requires --git-bisect <repo>', {
+          code: 'commander.missingMandatoryOptionValue',
+        });
+      }
+
+      if ((opts.localManifest || opts.localRepo) && !opts.localBuilds) {
+        this.error(
+          `error: --local-${opts.localRepo ? 'repo' : 'manifest'} requires `
+          + '--local-builds <dir>',
+          { code: 'commander.missingMandatoryOptionValue' },
+        );
+      }
+
+      if (opts.json && opts.log && opts.log.includes('-')) {
+        this.error('error: --json can not be used with --log -', {
+          code: 'commander.conflictingOption',
+        });
+      }
+
+      // test_command is saved in the state file for --resume
+      if (opts.resume) {
+        if (testCommand.length > 0) {
+          this.error('error: test_command can not be used with --resume', {
+            code: 'commander.excessArguments',
+          });
+        }
+      } else if (testCommand.length === 0 && !opts.interactive) {
+        // test_command is only optional for --interactive
+        this.error("error: missing required argument 'test_command'", {
+          code: 'commander.missingArgument',
+        });
+      }
+    })
+    // Avoid reserving "help" as a subcommand, which would prevent its use as
+    // a test command.
+    .helpCommand(false);
+
+  let cacheSubcommand;
+  let cacheOpts;
+  let serveOpts;
+  function setCacheSubcommand() {
+    cacheSubcommand = this.name();
+    cacheOpts = {
+      env: options.env,
+      ...this.parent.opts(),
+      ...this.opts(),
+    };
+  }
+  const cacheCommand = command.command('cache')
+    .description('manage the cache of downloaded builds')
+    .option('--cache-dir <dir>', 'directory below which builds are cached');
+  cacheCommand.command('clear')
+    .description('remove all cached builds and build lists')
+    .action(setCacheSubcommand);
+  cacheCommand.command('list')
+    .description('list cached builds with target, size, and last use time')
+    .action(setCacheSubcommand);
+  cacheCommand.command('path')
+    .description('print the cache directory')
+    .action(setCacheSubcommand);
+  cacheCommand.command('prune')
+    .description('remove least recently used cached builds')
+    .option(
+      '--max-age <days>',
+      'remove builds not used in more than <days> days',
+      parseNonNegative,
+    )
+    .option(
+      '--max-count <count>',
+      'keep at most <count> builds',
+      parseNonNegativeInt,
+    )
+    .option(
+      '--max-size <size>',
+      'keep at most <size> bytes of builds (e.g. 512M, 2G)',
+      parseSize,
+    )
+    .action(function pruneAction() {
+      const { maxAge, maxCount, maxSize } = this.opts();
+      if (maxAge === undefined
+        && maxCount === undefined
+        && maxSize === undefined) {
+        this.error(
+          'error: one of --max-age, --max-count, or --max-size is required',
+        );
+      }
+
+      setCacheSubcommand.call(this);
+      if (maxAge !== undefined) {
+        cacheOpts.maxAge = maxAge * 24 * 60 * 60 * 1000;
+      }
+    });
+
+  command.command('serve')
+    .description(
+      'serve cached builds over HTTP, fetching missing builds from upstream',
+    )
+    .option('--cache-dir <dir>', 'directory below which builds are cached')
+    .addOption(
+      new Option('-c, --channel <channel>', 'build channel to serve')
+        .choices(channelNames)
+        .default('nightly'),
+    )
+    .option('--host <host>', 'host name or address on which to listen')
+    .option(
+      '-p, --port <port>',
+      'port on which to listen',
+      parseNonNegativeInt,
+      8080,
+    )
+    .option(
+      '--upstream <url>',
+      'URL from which to fetch missing builds (default: URL for channel)',
+    )
+    .action(function serveAction() {
+      serveOpts = {
+        env: options.env,
+        ...this.opts(),
+      };
     });
 
   try {
@@ -207,6 +1049,26 @@ export default async function noderegressionMain(args, options) {
     return errParse.exitCode !== undefined ? errParse.exitCode : 1;
   }
 
+  if (cacheSubcommand) {
+    try {
+      await runCacheCommand(cacheSubcommand, cacheOpts, options);
+      return 0;
+    } catch (errCache) {
+      options.stderr.write(`${errCache}\n`);
+      return 1;
+    }
+  }
+
+  if (serveOpts) {
+    try {
+      await runServeCommand(serveOpts, options);
+      return 0;
+    } catch (errServe) {
+      options.stderr.write(`${errServe}\n`);
+      return 1;
+    }
+  }
+
   const argOpts = command.opts();
 
   let exitCode = 0;
@@ -256,19 +1118,44 @@ export default async function noderegressionMain(args, options) {
   if (verbosity < 0) { logger.info = () => {}; }
   if (verbosity < 1) { logger.debug = () => {}; }
 
+  const startMs = Date.now();
+  const testedBuilds = [];
+
+  let testCmdWithArgs = command.args;
+  const resultPrompt = argOpts.interactive
+    ? makeResultPrompt(options.stdin, options.stderr)
+    : undefined;
+  if (argOpts.interactive && !argOpts.resume && testCmdWithArgs.length === 0) {
+    testCmdWithArgs = [getShell(options.env || process.env)];
+  }
+
   // Parse arguments then call API function with parsed options
   const cmdOpts = {
+    askResult: resultPrompt?.askResult,
+    buildBaseUrl: argOpts.baseUrl,
+    cacheDir: argOpts.cacheDir,
+    channel: argOpts.release ? 'release' : argOpts.channel,
+    classify: argOpts.classify,
+    concurrency: argOpts.jobs,
     console: logger,
     env: options.env,
     fetch: verbosity < 0 ? fetch : (reqInfo, reqInit) => {
       options.stderr.write(`Downloading ${reqInfo.url || reqInfo}...\n`);
-      // Note: Logging progress information is difficult.  See:
-      // https://github.com/node-fetch/node-fetch/issues/427
-      // https://github.com/whatwg/fetch/issues/607#issuecomment-564461907
-      // (Does not work correctly for responses with Content-Encoding.)
       return fetch(reqInfo, reqInit);
     },
+    fullDist: argOpts.fullDist,
+    keyring: argOpts.keyring,
     listeners: {
+      ondownload: verbosity < 0 ? undefined
+        : makeDownloadProgress(options.stderr),
+      ontest: !argOpts.interactive ? undefined : (build, nodePath) => {
+        options.stderr.write(`Testing build ${build.version} (${nodePath})\n`);
+        if (command.args.length === 0 && !argOpts.resume) {
+          options.stderr.write(
+            `Starting ${testCmdWithArgs[0]}.  Exit when done testing.\n`,
+          );
+        }
+      },
       onrange: (low, high) => {
         if (verbosity >= 0) {
           const count = high - low + 1;
@@ -278,28 +1165,69 @@ export default async function noderegressionMain(args, options) {
           );
         }
       },
-      onresult: (build, code, signal) => {
-        const goodbad = code === 0 ? 'good' : 'bad';
+      onresult: (build, code, signal, resultInfo) => {
+        const goodbad = resultInfo?.result
+          ?? (code === 125 ? 'skip'
+            : code === 0 ? 'good'
+              : 'bad');
+        testedBuilds.push({
+          ...resultInfo,
+          version: build.version,
+          code,
+          signal,
+          result: goodbad,
+        });
+        const timedOut = Boolean(resultInfo?.timedOut);
+        let trialsDesc;
+        if (argOpts.trials > 1) {
+          const { fail, pass } = resultInfo;
+          trialsDesc = `${fail} of ${fail + pass} trials failed`;
+        }
+
         if (verbosity >= 1) {
-          const exitStr =
-            signal ? `killed by ${signal}` : `exit code ${code}`;
+          const exitStr = timedOut
+            ? `timed out after ${argOpts.timeout} seconds`
+            : signal ? `killed by ${signal}`
+              : code === undefined ? 'replayed'
+                : `exit code ${code}`;
+          const resultStr =
+            trialsDesc ? `${goodbad}, ${trialsDesc}` : goodbad;
           options.stderr.write(
-            `Build ${build.version} ${exitStr} (${goodbad})\n`,
+            `Build ${build.version} ${exitStr} (${resultStr})\n`,
           );
         }
 
-        const [,, commit] = splitBuildVersion(build.version);
+        const rev = getBuildRev(build);
+        const logDesc = [timedOut && 'timed out', trialsDesc]
+          .filter(Boolean)
+          .join(', ');
+        const logComment = logDesc
+          ? `# ${goodbad}: ${build.version} (${logDesc})\n`
+          : `# ${goodbad}: ${build.version}\n`;
         for (const bisectLog of bisectLogs) {
           // Output progress in format compatible with `git bisect log`
-          bisectLog.write(
-            `# ${goodbad}: ${build.version}\n`
-            + `git bisect ${goodbad} ${commit}\n`,
-          );
+          bisectLog.write(`${logComment}git bisect ${goodbad} ${rev}\n`);
         }
       },
     },
+    localBuildDir: argOpts.localBuilds,
+    localManifest: argOpts.localManifest,
+    localRepo: argOpts.localRepo,
+    offline: argOpts.offline,
+    prefetch: argOpts.prefetch,
+    retries: argOpts.retries,
+    stateFile: argOpts.stateFile,
+    stderr: options.stderr,
+    // Keep stdout for the JSON result.
+    stdout: argOpts.json ? options.stderr : options.stdout,
     targets: argOpts.target,
+    timeout: argOpts.timeout === undefined ? undefined
+      : argOpts.timeout * 1000,
+    timeoutResult: argOpts.timeoutResult,
+    trialPolicy: argOpts.trialPolicy,
+    trials: argOpts.trials,
   };
+  const jsonResult = {};
   let openingLogs = true;
   try {
     // Ensure log files can be opened before bisecting
@@ -308,20 +1236,89 @@ export default async function noderegressionMain(args, options) {
     }
     openingLogs = false;
 
-    const bisectRange2 = options.bisectRange || bisectRange;
-    const [goodBuild, badBuild] =
-      await bisectRange2(good, bad, command.args, cmdOpts);
+    if (argOpts.replay !== undefined) {
+      const replayLog = await readFile(argOpts.replay, { encoding: 'utf8' });
+      cmdOpts.replay = parseBisectLog(replayLog);
+    }
+
+    let goodBuild, badBuild;
+    if (argOpts.resume) {
+      const resumeBisect2 = options.resumeBisect || resumeBisect;
+      [goodBuild, badBuild] = await resumeBisect2(argOpts.resume, cmdOpts);
+    } else {
+      const bisectRange2 = options.bisectRange || bisectRange;
+      [goodBuild, badBuild] =
+        await bisectRange2(good, bad, testCmdWithArgs, cmdOpts);
+    }
+    jsonResult.good = goodBuild;
+    jsonResult.bad = badBuild;
     if (verbosity >= 0) {
       options.stderr.write(`Last good build: ${buildToString(goodBuild)}\n`);
       options.stderr.write(`First bad build: ${buildToString(badBuild)}\n`);
     }
+
+    if (goodBuild && badBuild && argOpts.listCommits) {
+      if (!argOpts.commitsRepo) {
+        options.stderr.write(`Commits between builds: ${
+          getCompareUrl(goodBuild, badBuild)}\n`);
+      } else {
+        const listCommits2 = options.listCommits || listCommits;
+        const commits = await listCommits2(goodBuild, badBuild, {
+          repo: argOpts.commitsRepo,
+          stderr: options.stderr,
+        });
+        options.stderr.write(formatCommits(commits));
+        jsonResult.commits = commits;
+      }
+    }
+
+    if (argOpts.gitBisect) {
+      // git bisect run is run in repo.  Resolve script path relative to cwd.
+      const { gitBisectRun } = argOpts;
+      const runScript = gitBisectRun && /[/\\]/.test(gitBisectRun)
+        ? path.resolve(gitBisectRun)
+        : gitBisectRun;
+      const gitBisect2 = options.gitBisect || gitBisect;
+      const badCommit = await gitBisect2(goodBuild, badBuild, {
+        repo: argOpts.gitBisect,
+        runCommand: runScript && [runScript],
+        stderr: options.stderr,
+        stdout: cmdOpts.stdout,
+      });
+      if (badCommit) {
+        options.stderr.write(`First bad commit: ${badCommit}\n`);
+        jsonResult.badCommit = badCommit;
+      } else if (verbosity >= 0) {
+        options.stderr.write(
+          getGitBisectSteps(argOpts.gitBisect, command.args),
+        );
+      }
+    }
   } catch (err2) {
     exitCode = 1;
     options.stderr.write(
       `${openingLogs ? 'Error opening log file: ' : ''}${
         verbosity >= 2 ? err2.stack : err2}\n`,
     );
+    jsonResult.error = String(err2);
   } finally {
+    resultPrompt?.close();
+
+    if (argOpts.json) {
+      jsonResult.tested = testedBuilds;
+      jsonResult.targets = [...new Set(
+        testedBuilds.map(({ target }) => target).filter(Boolean),
+      )];
+      jsonResult.timing = {
+        total: Date.now() - startMs,
+        test: testedBuilds.reduce(
+          (total, { duration }) => total + (duration || 0),
+          0,
+        ),
+      };
+      options.stdout.write(`${JSON.stringify(jsonResult, undefined, 2)}\n`);
+    }
+
     for (const bisectLog of bisectLogs) {
       if (bisectLog !== options.stdout) {
         bisectLog.end();
@@ -13,15 +13,23 @@ import { Agent as HttpsAgent } from 'node:https';
 import os from 'node:os';
 import path from 'node:path';
 
-import binarySearchAsync from './lib/binary-search-async.js';
-import getBuildList from './lib/get-build-list.js';
+import bisectAsync, { pickCandidate } from './lib/bisect-async.js';
+import {
+  readBisectState,
+  stateOptionNames,
+  writeBisectState,
+} from './lib/bisect-state.js';
+import makeBuildSource from './lib/build-sources.js';
+import { makeClassifier, rulesNeedOutput } from './lib/classify-result.js';
+import { findBuildIndex, isBuildId } from './lib/find-build-index.js';
 import getNodeTargetsForOS from './lib/get-node-targets-for-os.js';
-import runNodeBuild from './lib/run-node-build.js';
-import splitBuildVersion from './lib/split-build-version.js';
+import HttpResponseError from './lib/http-response-error.js';
+import MissingBuildError from './lib/missing-build-error.js';
+import { isSupportedTarget, runPreparedBuild } from './lib/run-node-build.js';
 import tmpName from './lib/tmp-name.js';
 
 const defaultOptions = {
-  buildBaseUrl: 'https://nodejs.org/download/nightly/',
+  channel: 'nightly',
   console,
   env: process.env,
 };
@@ -30,7 +38,10 @@ const minBuildDateMs = Date.UTC(2016, 0, 28);
 /** Node.js build information.
  *
  * @typedef {!object} BuildInfo
- * @property {string} version Version string (vX.Y.Z-nightlyYYYYMMDDHASH).
+ * @property {string} version Version string (vX.Y.Z-nightlyYYYYMMDDHASH for
+ * nightly builds, vX.Y.Z-v8-canaryYYYYMMDDHASH for V8 canary builds,
+ * vX.Y.Z-rc.N for release candidate builds, vX.Y.Z for release builds,
+ * commit hash for local builds).
  * @property {string} date mtime of build artifact directory (YYYY-MM-DD).
  * @property {!Array<string>} files Build target name ($platform-$arch-$format).
  * @property {string} npm NPM version in build.
@@ -39,20 +50,80 @@ const minBuildDateMs = Date.UTC(2016, 0, 28);
  * @property {string} zlib zlib version in build.
  * @property {string} openssl OpenSSL version in build.
  * @property {string} modules Number of build-in modules? (as string)
- * @property {boolean} lts Build is for long-term support.
+ * @property {(boolean|string)} lts Build is for long-term support.  For
+ * release builds, the LTS codename.
  * @property {boolean} security Build is for security support.
+ * @property {string=} localPath Path of the Node.js executable or archive for
+ * local builds (from {@link getLocalBuildList}).
  */
 
 /** noderegression listener functions.
  *
  * @typedef {!object} NoderegressionListeners
+ * @property {function(string, number, (number|undefined), boolean, *=)=}
+ * ondownload Listener function which is called as a build is downloaded,
+ * with the URL of the build, the number of bytes received, the total number
+ * of bytes (if known), whether the download has finished (successfully or
+ * not), and the error which caused it to fail (if it failed).  It is called
+ * when the response is received, after each chunk of the body, and when the
+ * download finishes.  It is not called for builds
+ * downloaded by {@link NoderegressionOptions.prefetch}.
  * @property {function(number, number)=} onrange Listener function which is
  * called with the lower and upper bound of the regression range whenever the
  * range has been reduced.
- * @property {function(!BuildInfo, ?number, ?string)=} onresult Listener
- * function which is called after the test command finishes executing, with the
- * tested Node.js build information, test exit code, and name of the signal by
- * which the test was terminated.
+ * @property {function(!BuildInfo, ?number, ?string, !TestResultInfo)=}
+ * onresult Listener function which is called after the test command
+ * finishes executing (for all trials) on a build, with the tested Node.js
+ * build information, test exit code, name of the signal by which the test
+ * was terminated, and information about the result.  Exit code 125
+ * indicates the build was skipped.  For multiple trials, the exit code and
+ * signal are from the last trial with the result which determined whether
+ * the build is good or bad.  It is also called, before any builds are
+ * tested, for each result from {@link NoderegressionOptions.replay} or
+ * {@link resumeBisect}.  For replayed results, the exit code and signal are
+ * undefined.
+ * @property {function(!BuildInfo, string)=} ontest Listener function which is
+ * called before the test command is run on a build, with the Node.js build
+ * information and the path of the Node.js executable for the build.
+ */
+
+/** Result of running the test command (for all trials) on a build.
+ *
+ * @typedef {!object} TestResultInfo
+ * @property {string} result Result for the build: good, bad, or skip.
+ * @property {number} pass Number of trials classified as good.
+ * @property {number} fail Number of trials classified as bad (by
+ * {@link NoderegressionOptions.classify} or
+ * {@link NoderegressionOptions.timeoutResult}).
+ * @property {boolean} timedOut true if the trial which determined the result
+ * timed out.
+ * @property {string=} target Build target which was tested (from
+ * {@link BuildInfo.files}).  Not set for replayed results.
+ * @property {number=} duration Time, in milliseconds, spent testing the build
+ * (for all trials, excluding download and extraction).  Not set for replayed
+ * results.
+ */
+
+/** Rule for classifying the result of running the test command.
+ *
+ * A rule matches if all of its criteria match.  A rule without criteria
+ * matches any result.
+ *
+ * @typedef {!object} ClassifyRule
+ * @property {string} result Result if the rule matches: good, bad, or skip.
+ * @property {(number|!Array<number>)=} code Exit code(s) which match.
+ * @property {(string|!Array<string>)=} signal Name(s) of terminating
+ * signal(s) which match (e.g. SIGSEGV).
+ * @property {!RegExp=} output Pattern which matches the output (stdout and
+ * stderr) of the test command.
+ */
+
+/** Result of a build from a previous bisection.
+ *
+ * @typedef {!object} ReplayEntry
+ * @property {string} result Result for the build: good, bad, or skip.
+ * @property {string} build Version or commit hash of the build (as accepted
+ * by {@link bisectRange}).
  */
 
 /** noderegression console-like logger.
@@ -67,12 +138,41 @@ const minBuildDateMs = Date.UTC(2016, 0, 28);
 /** noderegression Options
  *
  * @typedef {!object} NoderegressionOptions
- * @property {string=} buildCacheDir Directory below which Node.js builds are
- * saved (with the same path as added to {@link buildBaseUrl}). (default:
- * ${OS-specific user cache directory}/noderegression)
+ * @property {function(!BuildInfo, string, !{code: ?number, signal: ?string,
+ * timedOut: boolean=}): (string|!Promise<string>)=} askResult Function which
+ * determines the result for each build interactively, rather than from the
+ * exit code of the test command.  It is called after the test command exits
+ * with the tested Node.js build information, the path of the Node.js
+ * executable for the build, and the exit code and signal of the test command.
+ * It returns (or resolves to) good, bad, skip, retry (to run the test command
+ * and call askResult again), or stop (to stop bisecting and return the
+ * current range).  When set, {@link classify}, {@link timeoutResult},
+ * {@link trialPolicy}, and {@link trials} are ignored.
+ * @property {string=} buildCacheDir Directory below which Node.js builds and
+ * the build list for {@link channel} are saved (with the same path as added
+ * to {@link buildBaseUrl}). (default: {@link channel} directory in
+ * {@link cacheDir})
  * @property {string=} buildBaseUrl URL from which to download the build list
- * (as index.json) and referenced builds. (default:
- * https://nodejs.org/download/nightly/)
+ * (as index.json) and referenced builds. (default: URL for {@link channel},
+ * e.g. https://nodejs.org/download/nightly/)
+ * @property {string=} cacheDir Directory below which builds for each channel
+ * are cached, used for the default {@link buildCacheDir}.  (default:
+ * ${OS-specific user cache directory}/noderegression)
+ * @property {!Array<!ClassifyRule>=} classify Rules for classifying the
+ * result of running the test command, in order.  The first matching rule
+ * determines the result.  If no rule matches, exit code 0 is good, 125 is
+ * skip, and any other exit code or signal is bad.  If any rule matches output,
+ * stdout and stderr of the test command are piped (rather than inherited).
+ * @property {string=} channel Build channel to bisect: nightly, v8-canary
+ * (nightly builds with V8 canary), rc (release candidates), or release.
+ * Builds in rc and release channels are bisected in version order within a
+ * single release line.  (default: nightly)
+ * @property {number=} concurrency Maximum number of builds to test at once.
+ * When greater than 1, builds near the midpoints of both halves of the range
+ * are tested while the build near the middle is tested, each with a separate
+ * temporary subdirectory of {@link exeDir} (removed after bisecting), and
+ * tests of builds which are no longer in the range are killed.  Can not be
+ * used with {@link askResult}.  (default: 1)
  * @property {!NoderegressionConsole=} console Logger used to report
  * user-relevant information. (default: global console)
  * @property {!Object<string,string>=} env Environment variables. (default: =
@@ -84,38 +184,423 @@ const minBuildDateMs = Date.UTC(2016, 0, 28);
  * {@link fetch} when downloading Node.js builds or the build list JSON.
  * @property {!module:node-fetch.fetch=} fetch Fetch function compatible with
  * node-fetch for downloading builds and the build list.
+ * @property {boolean=} fullDist Extract all files of each build (including
+ * npm, npx, corepack, and headers), rather than only the Node.js executable.
+ * Files are extracted once to a directory in {@link buildCacheDir}, then
+ * copied to {@link exeDir} for each test.  The test command is run with the
+ * bin directory of the copy in $PATH and npm_config_nodedir set to the copy
+ * (for building native addons).  exe targets are skipped, since they do not
+ * include these files.  Local builds are not affected.  (default: false)
+ * @property {string=} keyring Path of a keyring (as accepted by gpgv) with
+ * which SHASUMS256.txt.sig is verified for each build.  If unset, builds are
+ * verified using SHASUMS256.txt without checking its signature.
  * @property {!NoderegressionListeners=} listeners Event listener functions.
+ * @property {string=} localBuildDir Directory of Node.js builds (e.g. built
+ * from commits in a Node.js git repository) which {@link bisectRange}
+ * bisects instead of builds from {@link buildBaseUrl}.  Builds are named by
+ * commit and ordered by {@link localManifest} or {@link localRepo}, as
+ * described for {@link getLocalBuildList}.  Local builds are not downloaded
+ * or cached, so {@link buildBaseUrl}, {@link buildCacheDir}, and
+ * {@link channel} are not used.
+ * @property {string=} localManifest Path of a file listing the commits of
+ * builds in {@link localBuildDir}, oldest first.
+ * (default: manifest.txt in localBuildDir)
+ * @property {string=} localRepo Path of a Node.js git repository in which
+ * `git rev-list` orders builds in {@link localBuildDir} (instead of
+ * {@link localManifest}).
+ * @property {boolean=} offline Use only the build list and builds previously
+ * saved in {@link buildCacheDir}, without downloading anything.  Only cached
+ * builds are tested, which may result in a larger regression range.
+ * @property {boolean=} prefetch Download the builds which may be tested next
+ * (near the middle of each half of the range) to {@link buildCacheDir} while
+ * each build is tested.  Downloads of builds which are no longer in the range
+ * are cancelled.  Ignored when {@link offline} or {@link concurrency} is
+ * greater than 1.  (default: true)
+ * @property {number=} retries Maximum number of times to retry downloading
+ * the build list or a build after a transient error (e.g. connection reset or
+ * HTTP 503).  Downloads of builds are resumed from the data received before
+ * the error, if supported by the server.  (default: 3)
+ * @property {number=} retryDelay Delay, in milliseconds, before the first
+ * retry, which doubles for each subsequent retry. (default: 1000)
+ * @property {!Array<!ReplayEntry>=} replay Results of a previous bisection
+ * (e.g. from a log written by the noderegression command) used to narrow the
+ * range before testing by {@link bisectRange}.  Skipped builds are not tested
+ * again.
+ * @property {string=} stateFile Path of a file to which the state of the
+ * bisection (builds, test command, options, and results) is saved after each
+ * build is tested, so that it can be continued using {@link resumeBisect}.
+ * @property {module:stream.Writable=} stderr Stream to which stderr of the
+ * test command is written.  (default: stderr of this process)
+ * @property {module:stream.Writable=} stdout Stream to which stdout of the
+ * test command is written.  (default: stdout of this process)
  * @property {!Array<string>=} targets Build target names (matching
  * {@link BuildInfo.files}) on which to find a regression.  First match for
- * each build is used. (default: targets for current platform)
+ * each build is used.  Targets with format xz (e.g. linux-x64-xz) use the
+ * .tar.xz archive of the tar target, if the xz command is available.
+ * Targets with format msi, pkg, or 7z are skipped (in favor of the next
+ * target), since they are not supported. (default: targets for current
+ * platform)
+ * @property {number=} timeout Maximum time, in milliseconds, for each run of
+ * the test command.  When exceeded, the test command and all of its
+ * descendant processes are killed.  (default: no timeout)
+ * @property {string=} timeoutResult Result when the test command times out:
+ * bad (build is bad), skip (build is skipped), or abort (bisection is
+ * stopped with an error).  (default: bad)
+ * @property {(string|number)=} trialPolicy Policy for determining whether a
+ * build is bad from multiple {@link trials}: any (bad if any trial fails),
+ * majority (bad if more than half of trials fail), all (bad if all trials
+ * fail), or a number k (bad if at least k trials fail).  Trials stop once
+ * the result is determined, or when a trial exits with code 125 (skip).
+ * (default: any)
+ * @property {number=} trials Number of times to run the test command on each
+ * build, to find intermittent regressions. (default: 1)
+ */
+
+/** Gets the minimum number of failed trials for a build to be bad.
+ *
+ * @private
+ * @param {(string|number)=} trialPolicy Trial policy
+ * (from {@link NoderegressionOptions.trialPolicy}).
+ * @param {number} trials Number of trials.
+ * @returns {number} Number of failed trials at which a build is bad.
+ * @throws {RangeError} If trialPolicy is not valid for trials.
+ */
+function getFailThreshold(trialPolicy, trials) {
+  switch (trialPolicy) {
+    case undefined:
+    case 'any':
+      return 1;
+    case 'all':
+      return trials;
+    case 'majority':
+      return Math.floor(trials / 2) + 1;
+    default:
+      if (!Number.isSafeInteger(trialPolicy)
+        || trialPolicy < 1
+        || trialPolicy > trials) {
+        throw new RangeError(
+          'options.trialPolicy must be any, majority, all, or an integer '
+          + `between 1 and options.trials (${trials})`,
+        );
+      }
+
+      return trialPolicy;
+  }
+}
+
+/** Runs the test command for a build (prepared in options.exeDir)
+ * until the result is determined by the trial policy.
+ *
+ * @private
+ * @param {string} version Version of build being tested.
+ * @param {string} testCommand Command to run.
+ * @param {!Array<string>} testArgs Arguments passed to testCommand.
+ * @param {number} trials Maximum number of trials.
+ * @param {number} failThreshold Number of failed trials at which the build
+ * is bad.
+ * @param {function(?number, ?string, string=): string} classify Function to
+ * classify the result of each trial as good, bad, or skip.
+ * @param {!NoderegressionOptions} options Options.
+ * @returns {!Promise<!{code: ?number, signal: ?string, resultInfo:
+ * !TestResultInfo}>} Promise for the exit code and signal of the trial which
+ * determined the result, with information about the result.
+ * @throws {Error} If a trial times out and options.timeoutResult is abort.
+ */
+async function runTrials(
+  version,
+  testCommand,
+  testArgs,
+  trials,
+  failThreshold,
+  classify,
+  options,
+) {
+  const { timeoutResult = 'bad' } = options;
+  const captureOutput = rulesNeedOutput(options.classify);
+  let pass = 0;
+  let fail = 0;
+  let lastPass, lastFail;
+  for (let i = 0; i < trials; i += 1) {
+    // Note: Trials must run sequentially to avoid interfering.
+    const trialResult =
+      // eslint-disable-next-line no-await-in-loop
+      await runPreparedBuild(testCommand, testArgs, options, captureOutput);
+    const trialTimedOut = Boolean(trialResult.timedOut);
+    if (trialTimedOut && timeoutResult === 'abort') {
+      throw new Error(
+        `Test timed out after ${options.timeout} ms on ${version}`,
+      );
+    }
+
+    const trialClass = trialTimedOut ? timeoutResult
+      : classify(trialResult.code, trialResult.signal, trialResult.output);
+    if (trialClass === 'skip') {
+      return {
+        code: trialResult.code,
+        signal: trialResult.signal,
+        resultInfo: {
+          result: 'skip',
+          pass,
+          fail,
+          timedOut: trialTimedOut,
+        },
+      };
+    }
+
+    if (trialClass === 'good') {
+      pass += 1;
+      lastPass = trialResult;
+    } else {
+      fail += 1;
+      lastFail = trialResult;
+    }
+
+    if (fail >= failThreshold || pass > trials - failThreshold) {
+      break;
+    }
+  }
+
+  const isBad = fail >= failThreshold;
+  const { code, signal, timedOut } = isBad ? lastFail : lastPass;
+  return {
+    code,
+    signal,
+    resultInfo: {
+      result: isBad ? 'bad' : 'good',
+      pass,
+      fail,
+      timedOut: Boolean(timedOut),
+    },
+  };
+}
+
+/** Runs the test command for a build (prepared in options.exeDir)
+ * and determines the result using {@link NoderegressionOptions.askResult}.
+ *
+ * @private
+ * @param {!BuildInfo} build Build being tested.
+ * @param {string} nodePath Path of Node.js executable for build.
+ * @param {string} testCommand Command to run.
+ * @param {!Array<string>} testArgs Arguments passed to testCommand.
+ * @param {!NoderegressionOptions} options Options.
+ * @returns {!Promise<!{code: ?number, signal: ?string, resultInfo:
+ * !TestResultInfo}>} Promise for the exit code and signal of the last run of
+ * the test command, with information about the result.  resultInfo.result
+ * is stop if bisection should stop.
  */
+async function askTestResult(build, nodePath, testCommand, testArgs, options) {
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const runResult = await runPreparedBuild(testCommand, testArgs, options);
+    // eslint-disable-next-line no-await-in-loop
+    const result = await options.askResult(build, nodePath, runResult);
+    if (!['bad', 'good', 'retry', 'skip', 'stop'].includes(result)) {
+      throw new RangeError(
+        'options.askResult must return good, bad, skip, retry, or stop, '
+        + `got ${result}`,
+      );
+    }
+
+    if (result !== 'retry') {
+      return {
+        code: runResult.code,
+        signal: runResult.signal,
+        resultInfo: {
+          result,
+          pass: result === 'good' ? 1 : 0,
+          fail: result === 'bad' ? 1 : 0,
+          timedOut: Boolean(runResult.timedOut),
+        },
+      };
+    }
+  }
+}
+
+function formatYMD(date) {
+  return date.toISOString().slice(0, 10).replaceAll('-', '');
+}
+
+/** Filters release or rc builds to those in the release line of the given
+ * bounds.
+ *
+ * @private
+ * @param {!Array<!BuildInfo>} builds Release or rc builds in version order.
+ * @param {(Date|string)=} good Date or build ID of last known-good build.
+ * @param {(Date|string)=} bad Date or build ID of first known-bad build.
+ * @returns {!Array<!BuildInfo>} Builds in the release line of the versions
+ * given as good or bad, or the most recent release line if neither is a
+ * version.
+ * @throws {RangeError} If good and bad are in different release lines.
+ */
+function filterReleaseLine(builds, good, bad) {
+  const majors = new Set();
+  for (const bound of [good, bad]) {
+    const match = typeof bound === 'string' && /^v?([0-9]+)\./.exec(bound);
+    if (match) {
+      majors.add(match[1]);
+    }
+  }
+
+  if (majors.size > 1) {
+    throw new RangeError(
+      `good (${good}) and bad (${bad}) must be in the same release line`,
+    );
+  }
+
+  if (majors.size === 0) {
+    if (builds.length === 0) {
+      return builds;
+    }
+
+    const [, latestMajor] = /^v([0-9]+)\./.exec(builds.at(-1).version);
+    majors.add(latestMajor);
+  }
 
-function filterByDate(builds, after, before) {
-  if (!after && !before) {
-    return builds;
+  const [major] = majors;
+  const versionPrefix = `v${major}.`;
+  return builds.filter(({ version }) => version.startsWith(versionPrefix));
+}
+
+/** Gets the index of the first build after a given bound.
+ *
+ * @private
+ * @param {!Array<!BuildInfo>} builds Builds in commit order.
+ * @param {(Date|string)=} after Date or build ID of last known-good build.
+ * @param {!object} source Source of builds (from {@link makeBuildSource}).
+ * @returns {number} Index of first build after the bound.
+ */
+function getRangeStart(builds, after, source) {
+  if (after === undefined) {
+    return 0;
   }
 
-  const afterStr =
-    after ? after.toISOString().slice(0, 10).replaceAll('-', '') : '00000000';
-  const beforeStr =
-    before ? before.toISOString().slice(0, 10).replaceAll('-', '') : '99999999';
+  if (typeof after === 'string') {
+    return findBuildIndex(builds, after) + 1;
+  }
 
+  const afterStr = formatYMD(after);
   // TODO: binary search
-  return builds.filter(({ version }) => {
-    const [, ymd] = splitBuildVersion(version);
-    return ymd > afterStr && ymd < beforeStr;
-  });
+  const index = builds.findIndex(
+    (build) => source.getBuildYMD(build) > afterStr,
+  );
+  return index === -1 ? builds.length : index;
+}
+
+/** Gets the index after the last build before a given bound.
+ *
+ * @private
+ * @param {!Array<!BuildInfo>} builds Builds in commit order.
+ * @param {(Date|string)=} before Date or build ID of first known-bad build.
+ * @param {!object} source Source of builds (from {@link makeBuildSource}).
+ * @returns {number} Index after the last build before the bound.
+ */
+function getRangeEnd(builds, before, source) {
+  if (before === undefined) {
+    return builds.length;
+  }
+
+  if (typeof before === 'string') {
+    return findBuildIndex(builds, before);
+  }
+
+  const beforeStr = formatYMD(before);
+  // TODO: binary search
+  const index = builds.findIndex(
+    (build) => source.getBuildYMD(build) >= beforeStr,
+  );
+  return index === -1 ? builds.length : index;
 }
 
-function* getBuildTargetPairs(builds, targets) {
+function* getBuildTargetPairs(builds, targets, source) {
   for (const build of builds) {
-    for (const target of targets) {
-      if (build.files.includes(target)) {
-        yield [build, target];
+    const target = source.getTarget(build, targets);
+    if (target !== undefined) {
+      yield [build, target];
+    }
+  }
+}
+
+/** Gets the results of a previous bisection, as builds.
+ *
+ * @private
+ * @param {!Array<!BuildInfo>} builds Builds in commit order.
+ * @param {!Array<!ReplayEntry>} replay Results of previous bisection.
+ * @returns {!{lastGood: number, firstBad: number, results: !Array<!object>}}
+ * Index of the last good build in builds (or -1 if none), index of the first
+ * bad build in builds (or builds.length if none), and results for each entry
+ * of replay in the format saved by {@link NoderegressionOptions.stateFile}.
+ * @throws {Error} If a build in replay is not in builds.
+ * @throws {RangeError} If a good build in replay is not before all bad
+ * builds.
+ */
+function replayResults(builds, replay) {
+  if (!Array.isArray(replay)) {
+    throw new TypeError('options.replay must be an Array');
+  }
+
+  let lastGood = -1;
+  let firstBad = builds.length;
+  const results = replay.map(({ build: buildId, result }) => {
+    let index;
+    try {
+      index = findBuildIndex(builds, buildId);
+    } catch (errFind) {
+      errFind.message = `Unable to replay ${result} ${buildId}: ${
+        errFind.message}`;
+      throw errFind;
+    }
+
+    switch (result) {
+      case 'bad':
+        firstBad = Math.min(firstBad, index);
         break;
-      }
+      case 'good':
+        lastGood = Math.max(lastGood, index);
+        break;
+      case 'skip':
+        break;
+      default:
+        throw new RangeError(
+          `options.replay result must be good, bad, or skip, got ${result}`,
+        );
     }
+
+    return {
+      build: builds[index],
+      code: undefined,
+      signal: undefined,
+      resultInfo: {
+        result,
+        pass: result === 'good' ? 1 : 0,
+        fail: result === 'bad' ? 1 : 0,
+        timedOut: false,
+      },
+    };
+  });
+
+  if (lastGood >= firstBad) {
+    throw new RangeError(
+      `Replayed results are inconsistent: ${builds[lastGood].version} is `
+      + `good, but ${builds[firstBad].version} before it is bad`,
+    );
   }
+
+  return { lastGood, firstBad, results };
+}
+
+/** Gets the build/target pairs which can be tested without downloading.
+ *
+ * @private
+ * @param {!Array<!Array>} buildTargetPairs Build/target pairs.
+ * @param {!object} source Source of builds (from {@link makeBuildSource}).
+ * @returns {!Promise<!Array<!Array>>} Promise for the pairs in
+ * buildTargetPairs which are cached.
+ */
+async function filterCached(buildTargetPairs, source) {
+  const isCached = await Promise.all(
+    buildTargetPairs.map(([build, target]) => source.isCached(build, target)),
+  );
+  return buildTargetPairs.filter((pair, i) => isCached[i]);
 }
 
 /** Ensure a given options object has fetchOptions.agent.
@@ -162,13 +647,191 @@ function formatDate(date) {
   return dateStr;
 }
 
-/** Options for {@link getBuildList}.
+function formatBound(bound) {
+  return typeof bound === 'string' ? bound : formatDate(bound);
+}
+
+/** Information about a cached build file.
+ *
+ * @typedef {!object} CachedBuildInfo
+ * @property {string} channel Build channel (name of directory below cache
+ * directory).
+ * @property {string} version Build version.
+ * @property {string|undefined} target Build target of file, if known.
+ * @property {string} path Path of the cached file.  For a build archive and
+ * the executable extracted from it, the path of the archive (if present).
+ * @property {number} size Size of the cached file, in bytes.  For a build
+ * archive, the total size of the archive and the executable extracted from
+ * it.
+ * @property {!Date} lastUsed Time at which the file was last downloaded or
+ * used for testing.
+ */
+
+/** Options for build cache functions.
+ *
+ * @typedef {!object} BuildCacheOptions
+ * @property {string=} cacheDir Directory below which builds for each channel
+ * are cached.  (default: ${OS-specific user cache directory}/noderegression)
+ * @property {!Object<string,string>=} env Environment variables used to
+ * determine the default cacheDir.  (default: process.env)
+ */
+
+/** Options for {@link pruneBuildCache}.
+ *
+ * @typedef {!BuildCacheOptions} PruneBuildCacheOptions
+ * @property {number=} maxAge Maximum time, in milliseconds, since a build was
+ * last used.  Builds used less recently are removed.
+ * @property {number=} maxCount Maximum number of builds to keep.  The least
+ * recently used builds are removed.
+ * @property {number=} maxSize Maximum total size, in bytes, of cached builds.
+ * The least recently used builds are removed until the total size does not
+ * exceed maxSize.
+ */
+
+// FIXME: Duplicated with doc in lib/build-cache.js
+/** Removes all builds and build lists from the build cache.
+ *
+ * @function
+ * @name clearBuildCache
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {!Promise} Promise for completion of removal.
+ */
+export { clearBuildCache } from './lib/build-cache.js';
+
+/** Gets the directory below which builds are cached.
+ *
+ * @function
+ * @name getCacheDir
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {string} Cache directory.
+ */
+export { getCacheDir } from './lib/build-cache.js';
+
+/** Lists builds in the build cache.
+ *
+ * Partially downloaded files and cached build lists are not included.
+ * Executables extracted from archives are included with the archive.
+ *
+ * @function
+ * @name listCachedBuilds
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {!Promise<!Array<!CachedBuildInfo>>} Promise for cached build
+ * files, ordered by channel and path.
+ */
+export { listCachedBuilds } from './lib/build-cache.js';
+
+/** Removes least recently used builds from the build cache.
+ *
+ * @function
+ * @name pruneBuildCache
+ * @param {!PruneBuildCacheOptions} options Options.
+ * @returns {!Promise<!Array<!CachedBuildInfo>>} Promise for the removed
+ * build files.
+ */
+export { pruneBuildCache } from './lib/build-cache.js';
+
+/** Options for {@link createBuildServer}.
+ *
+ * @typedef {!object} BuildServerOptions
+ * @property {string} buildCacheDir Directory from which builds are served
+ * and to which builds fetched from {@link upstreamUrl} are saved, with the
+ * same layout as {@link upstreamUrl} (e.g. as used for
+ * {@link NoderegressionOptions.buildCacheDir}).
+ * @property {string} upstreamUrl URL from which missing builds and the build
+ * list are fetched (e.g. https://nodejs.org/download/nightly/).
+ * @property {!NoderegressionConsole=} console Logger to which fetches and
+ * errors are reported. (default: global console)
+ * @property {!module:node-fetch.fetch=} fetch Fetch function compatible with
+ * node-fetch for fetching from upstreamUrl.
+ * @property {!module:node-fetch.RequestInit=} fetchOptions Options passed to
+ * {@link fetch}.
+ */
+
+// FIXME: Duplicated with doc in lib/build-server.js
+/** Creates an HTTP server which serves Node.js builds from a build cache
+ * directory with the same layout as the upstream download server, fetching
+ * files which are not cached from upstream.
+ *
+ * Builds, checksums, and signatures are fetched once then served from the
+ * cache.  The build list (index.json) is fetched from upstream for each
+ * request, and served from the cache if upstream is unavailable.
+ *
+ * @function
+ * @name createBuildServer
+ * @param {!BuildServerOptions} options Options.
+ * @returns {!module:http.Server} HTTP server, which is not yet listening.
+ */
+export { default as createBuildServer } from './lib/build-server.js';
+
+/** Options for {@link gitBisect}.
+ *
+ * @typedef {!object} GitBisectOptions
+ * @property {string} repo Path of a Node.js git repository (clone of
+ * https://github.com/nodejs/node) in which to run `git bisect`.
+ * @property {!Array<string>=} runCommand Command (with any arguments) passed
+ * to `git bisect run` to build and test each commit, after which the
+ * bisection is ended with `git bisect reset`.  If not set, bisection is
+ * started but not run (or reset).
+ * @property {module:stream.Writable=} stderr Stream to which stderr of git
+ * (and runCommand) is written.  (default: stderr of this process)
+ * @property {module:stream.Writable=} stdout Stream to which stdout of git
+ * (and runCommand) is written.  (default: stdout of this process)
+ */
+
+// FIXME: Duplicated with doc in lib/git-bisect.js
+/** Starts `git bisect` on the commits between a given last-good and
+ * first-bad build (e.g. as returned by {@link bisectRange}) and optionally
+ * runs it.
+ *
+ * @function
+ * @name gitBisect
+ * @param {!BuildInfo} goodBuild Last good build.
+ * @param {!BuildInfo} badBuild First bad build.
+ * @param {!GitBisectOptions} options Options.
+ * @returns {!Promise<string|undefined>} Promise for the hash of the first bad
+ * commit, if options.runCommand is set.
+ */
+export { default as gitBisect } from './lib/git-bisect.js';
+
+/** Information about a commit.
+ *
+ * @typedef {!object} CommitInfo
+ * @property {string} commit Commit hash.
+ * @property {string} subject First line of the commit message.
+ * @property {string|undefined} prUrl URL of the pull request for the commit,
+ * from the PR-URL trailer, if present.
+ * @property {number|undefined} pr Number of the pull request for the commit,
+ * if prUrl is present.
+ */
+
+// FIXME: Duplicated with doc in lib/git-bisect.js
+/** Lists the commits between given builds in a Node.js repository.
+ *
+ * @function
+ * @name listCommits
+ * @param {!BuildInfo} goodBuild Last good build.
+ * @param {!BuildInfo} badBuild First bad build.
+ * @param {!{repo: string, stderr: module:stream.Writable=}} options
+ * Options, with the path of a Node.js git repository as repo and an optional
+ * stream to which stderr of git is written as stderr.
+ * @returns {!Promise<!Array<!CommitInfo>>} Promise for commits after
+ * goodBuild up to and including badBuild, oldest first.
+ */
+export { listCommits } from './lib/git-bisect.js';
+
+/** Options for {@link module:noderegression.getBuildList}.
  *
  * @typedef {!object} GetBuildListOptions
  * @property {!module:node-fetch.fetch=} fetch Fetch function compatible with
  * node-fetch for downloading the build list.
  * @property {!module:node-fetch.RequestInit=} fetchOptions Options passed to
  * {@link fetch} when downloading the build list.
+ * @property {string=} cachePath Path to which the build list is saved after
+ * it is downloaded, and from which it is read if {@link offline}.
+ * @property {string=} channel Build channel of the build list (nightly, rc,
+ * release, or v8-canary).  (default: nightly)
+ * @property {boolean=} offline Read the build list from {@link cachePath}
+ * instead of downloading it.
  * @property {boolean=} strictOrder Throw an exception if build order is not
  * known correct (e.g. builds on same date with unknown order)
  */
@@ -177,21 +840,80 @@ function formatDate(date) {
 // Would like to use @borrows, but can't find a way to make it work.
 // @borrows module:lib/get-build-list.getBuildList as getBuildList
 /** Gets the list of builds which for commits to bisect, in commit order.
+ *
+ * For release and rc builds, builds are in version order, which is commit
+ * order for builds in the same release line.
  *
  * @function
  * @param {string=} buildIndexUrl URL of JSON build list.
- * (default: https://nodejs.org/download/nightly/index.json)
+ * (default: index.json for options.channel, e.g.
+ * https://nodejs.org/download/nightly/index.json)
  * @param {!GetBuildListOptions=} options Options.
  * @returns {!Array<!module:noderegression.BuildInfo>} Builds to bisect in
  * commit order.
+ * @throws {RangeError} If options.channel is not a known build channel.
  */
 export { default as getBuildList } from './lib/get-build-list.js';
 
+/** Options for {@link getLocalBuildList}.
+ *
+ * @typedef {!object} LocalBuildListOptions
+ * @property {!NoderegressionConsole=} console Logger to which builds which
+ * can not be ordered are reported.
+ * @property {string=} manifest Path of a file listing commit hashes (full or
+ * abbreviated), one per line, oldest first, which determines the order of
+ * builds.  Empty lines and lines starting with # are ignored.  Builds for
+ * commits which are not listed are ignored. (default: manifest.txt in the
+ * build directory)
+ * @property {string=} repo Path of a Node.js git repository in which
+ * `git rev-list` determines the order of builds (instead of
+ * {@link manifest}).
+ */
+
+// FIXME: Duplicated with doc in lib/local-builds.js
+/** Gets the builds in a local directory, in commit order.
+ *
+ * Each build is a Node.js executable (e.g. out/Release/node) or an archive
+ * (e.g. from `make binary`) named by the commit from which it was built
+ * (e.g. 9a2ac2c615, 9a2ac2c615.exe, or 9a2ac2c615.tar.gz).  Other files are
+ * ignored.
+ *
+ * The builds can be bisected using {@link bisectBuilds}.
+ *
+ * @function
+ * @name getLocalBuildList
+ * @param {string} buildDir Directory containing builds.
+ * @param {!LocalBuildListOptions=} options Options.
+ * @returns {!Promise<!Array<!BuildInfo>>} Promise for builds in buildDir in
+ * commit order, with the commit as version, the modification date of the
+ * build as date, local as the only file, and the path of the build as
+ * localPath.
+ */
+export { default as getLocalBuildList } from './lib/local-builds.js';
+
 /** Performs regression range reduction, using bisection, on Node.js builds
- * within a given date range.
+ * within a given date or build range.
  *
- * @param {Date=} good Date of last known-good build, if any.
- * @param {Date=} bad Date of first known-bad build, if any.
+ * Bounds may be given as a Date (at midnight UTC), a build version
+ * (e.g. v16.0.0-nightly202102189a2ac2c615 or v16.0.0-rc.1), a release version
+ * (e.g. v16.0.0, matched to the last nightly build for that version when
+ * bisecting nightly builds), or an abbreviated commit hash (at least 7 hex
+ * digits, other than a date in YYYYMMDD format) of a nightly or v8-canary
+ * build.
+ *
+ * If {@link NoderegressionOptions.channel} is rc or release, builds in a
+ * single release line are bisected.  The release line is determined by the
+ * version given as good or bad, or is the most recent release line if
+ * neither is a version.
+ *
+ * If {@link NoderegressionOptions.localBuildDir} is set, builds in that
+ * directory are bisected instead, with bounds given as a Date (compared to
+ * the modification date of each build) or an abbreviated commit hash.
+ *
+ * @param {(Date|string)=} good Date, version, or commit of last known-good
+ * build, if any.
+ * @param {(Date|string)=} bad Date, version, or commit of first known-bad
+ * build, if any.
  * @param {!Array<string>} testCmdWithArgs Command (with any arguments) to
  * run which tests whether a build is good.
  * @param {NoderegressionOptions=} options Options object.
@@ -199,24 +921,24 @@ export { default as getBuildList } from './lib/get-build-list.js';
  * first-bad builds in bisected range.
  */
 export async function bisectRange(good, bad, testCmdWithArgs, options) {
-  if (good !== undefined) {
+  if (good !== undefined && !isBuildId(good)) {
     if (!(good instanceof Date)) {
-      throw new TypeError('good must be a Date');
+      throw new TypeError('good must be a Date or build version or commit');
     }
     if (good.getTime() % (24 * 60 * 60 * 1000) !== 0) {
       throw new RangeError('good must be at midnight UTC');
     }
   }
-  if (bad !== undefined) {
+  if (bad !== undefined && !isBuildId(bad)) {
     if (!(bad instanceof Date)) {
-      throw new TypeError('bad must be a Date');
+      throw new TypeError('bad must be a Date or build version or commit');
     }
     if (bad.getTime() % (24 * 60 * 60 * 1000) !== 0) {
       throw new RangeError('bad must be at midnight UTC');
     }
   }
-  if (good !== undefined
-    && bad !== undefined
+  if (good instanceof Date
+    && bad instanceof Date
     && good.getTime() >= bad.getTime()) {
     throw new RangeError(`bad (${formatDate(bad)}) must be after good (${
       formatDate(good)}) to bisect`);
@@ -234,12 +956,15 @@ export async function bisectRange(good, bad, testCmdWithArgs, options) {
     ...defaultOptions,
     ...options,
   };
+  // Callers (e.g. the CLI) may pass channel: undefined for the default
+  options.channel ??= defaultOptions.channel;
 
-  if (!options.buildBaseUrl.endsWith('/')) {
-    options.buildBaseUrl += '/';
-  }
+  const source = await makeBuildSource(options);
 
-  if (good && good.getTime() <= minBuildDateMs) {
+  if (!source.isLocal
+    && options.channel === 'nightly'
+    && good instanceof Date
+    && good.getTime() <= minBuildDateMs) {
     options.console.warn(
       'Node.js 0.12 and 0.10 builds are not considered due to '
       + 'dates out of sequence and differing exe URLs.',
@@ -247,21 +972,82 @@ export async function bisectRange(good, bad, testCmdWithArgs, options) {
   }
 
   // Keep the connection alive for downloading builds
-  const agent = ensureAgent(options);
+  const agent = options.offline || source.isLocal ? undefined
+    : ensureAgent(options);
   try {
-    const allBuilds = await getBuildList(
-      `${options.buildBaseUrl}index.json`,
-      options,
-    );
-    const dateBuilds = filterByDate(allBuilds, good, bad);
-    if (dateBuilds.length === 0) {
+    let allBuilds = await source.getBuildList();
+    if (source.isVersionOrdered) {
+      allBuilds = filterReleaseLine(allBuilds, good, bad);
+    }
+
+    let rangeStart = getRangeStart(allBuilds, good, source);
+    let rangeEnd = getRangeEnd(allBuilds, bad, source);
+    if (typeof good === 'string'
+      && typeof bad === 'string'
+      && rangeStart > rangeEnd) {
+      throw new RangeError(
+        `bad (${bad}) must be after good (${good}) to bisect`,
+      );
+    }
+
+    if (rangeStart >= rangeEnd) {
       throw new Error(`No builds${
-        good ? ` after ${formatDate(good)}` : ''}${
-        bad ? ` before ${formatDate(bad)}` : ''}`);
+        good ? ` after ${formatBound(good)}` : ''}${
+        bad ? ` before ${formatBound(bad)}` : ''}`);
+    }
+
+    // If no build in range was good or bad, the named builds are the bounds
+    let goodBound =
+      typeof good === 'string' ? allBuilds[rangeStart - 1] : undefined;
+    let badBound = typeof bad === 'string' ? allBuilds[rangeEnd] : undefined;
+
+    let results = [];
+    if (options.replay !== undefined) {
+      const replayed = replayResults(allBuilds, options.replay);
+      if (replayed.lastGood >= rangeEnd) {
+        throw new RangeError(
+          `Replayed good build ${allBuilds[replayed.lastGood].version} is `
+          + `not before bad (${formatBound(bad)})`,
+        );
+      }
+
+      if (replayed.firstBad < rangeStart) {
+        throw new RangeError(
+          `Replayed bad build ${allBuilds[replayed.firstBad].version} is `
+          + `not after good (${formatBound(good)})`,
+        );
+      }
+
+      if (replayed.lastGood >= rangeStart - 1) {
+        rangeStart = replayed.lastGood + 1;
+        goodBound = allBuilds[replayed.lastGood];
+      }
+
+      if (replayed.firstBad <= rangeEnd) {
+        rangeEnd = replayed.firstBad;
+        badBound = allBuilds[replayed.firstBad];
+      }
+
+      ({ results } = replayed);
+      if (rangeStart >= rangeEnd) {
+        options.console.info('Replayed results leave no builds to test.');
+        const { onresult } = options.listeners || {};
+        if (onresult) {
+          for (const saved of results) {
+            onresult(saved.build, saved.code, saved.signal, saved.resultInfo);
+          }
+        }
+
+        return [goodBound, badBound];
+      }
     }
 
+    const rangeBuilds = allBuilds.slice(rangeStart, rangeEnd);
     // eslint-disable-next-line no-use-before-define
-    return await bisectBuilds(dateBuilds, testCmdWithArgs, options);
+    return await bisectBuildsImpl(rangeBuilds, testCmdWithArgs, options, {
+      bounds: [goodBound, badBound],
+      results,
+    });
   } finally {
     if (agent) {
       agent.destroy();
@@ -269,17 +1055,22 @@ export async function bisectRange(good, bad, testCmdWithArgs, options) {
   }
 }
 
-/** Performs regression range reduction, using bisection, on a given Array of
- * Node.js build.
+/** Implements {@link bisectBuilds} with builds outside the range and results
+ * from a previous bisection.
  *
+ * @private
  * @param {!Array<!BuildInfo>} builds Builds to search for regression.
  * @param {!Array<string>} testCmdWithArgs Command (with any arguments) to
  * run which tests whether a build is good.
  * @param {NoderegressionOptions=} options Options object.
+ * @param {!{bounds: !Array<BuildInfo>, results: !Array<!object>}} savedState
+ * Last-good and first-bad builds outside of builds (returned if no build in
+ * builds is good or bad), and results of previously tested builds (which are
+ * not tested again).
  * @returns {!Array<!BuildInfo>} Pair (i.e. 2-element Array) of last-good and
  * first-bad builds in bisected range.
  */
-export async function bisectBuilds(builds, testCmdWithArgs, options) {
+async function bisectBuildsImpl(builds, testCmdWithArgs, options, savedState) {
   if (!testCmdWithArgs
     || typeof testCmdWithArgs === 'string'
     || typeof testCmdWithArgs[Symbol.iterator] !== 'function') {
@@ -298,19 +1089,10 @@ export async function bisectBuilds(builds, testCmdWithArgs, options) {
     ...defaultOptions,
     ...options,
   };
+  // Callers (e.g. the CLI) may pass channel: undefined for the default
+  options.channel ??= defaultOptions.channel;
 
-  if (!options.buildBaseUrl.endsWith('/')) {
-    options.buildBaseUrl += '/';
-  }
-
-  if (!options.buildCacheDir) {
-    const cacheDir = options.env.XDG_CACHE_HOME
-      || options.env.LOCALAPPDATA
-      || (process.platform === 'win32'
-        ? path.join(os.homedir(), 'AppData', 'Local')
-        : path.join(os.homedir(), '.cache'));
-    options.buildCacheDir = path.join(cacheDir, 'noderegression');
-  }
+  const source = await makeBuildSource(options, builds);
 
   if (options.targets === undefined) {
     options.targets = getNodeTargetsForOS(os);
@@ -320,10 +1102,108 @@ export async function bisectBuilds(builds, testCmdWithArgs, options) {
     throw new RangeError('options.targets must not be empty');
   }
 
-  const buildTargetPairs = [...getBuildTargetPairs(builds, options.targets)];
-  if (buildTargetPairs.length === 0) {
-    throw new Error(
-      `No builds in given range for ${options.targets.join(',')}`,
+  if (options.askResult !== undefined
+    && typeof options.askResult !== 'function') {
+    throw new TypeError('options.askResult must be a function');
+  }
+
+  const trials = options.trials ?? 1;
+  if (!Number.isSafeInteger(trials) || trials < 1) {
+    throw new RangeError('options.trials must be a positive integer');
+  }
+
+  const concurrency = options.concurrency ?? 1;
+  if (!Number.isSafeInteger(concurrency) || concurrency < 1) {
+    throw new RangeError('options.concurrency must be a positive integer');
+  }
+
+  if (options.retries !== undefined
+    && (!Number.isSafeInteger(options.retries) || options.retries < 0)) {
+    throw new RangeError('options.retries must be a non-negative integer');
+  }
+
+  if (options.retryDelay !== undefined
+    && (typeof options.retryDelay !== 'number' || !(options.retryDelay >= 0))) {
+    throw new RangeError('options.retryDelay must be a non-negative number');
+  }
+
+  if (options.prefetch !== undefined
+    && typeof options.prefetch !== 'boolean') {
+    throw new TypeError('options.prefetch must be a boolean');
+  }
+
+  if (options.fullDist !== undefined
+    && typeof options.fullDist !== 'boolean') {
+    throw new TypeError('options.fullDist must be a boolean');
+  }
+
+  if (options.askResult && concurrency > 1) {
+    throw new RangeError(
+      'options.askResult can not be used with options.concurrency > 1',
+    );
+  }
+
+  const failThreshold = getFailThreshold(options.trialPolicy, trials);
+  const classify = makeClassifier(options.classify);
+
+  if (options.timeout !== undefined
+    && (typeof options.timeout !== 'number' || !(options.timeout > 0))) {
+    throw new RangeError('options.timeout must be a positive number');
+  }
+
+  if (options.timeoutResult !== undefined
+    && !['abort', 'bad', 'skip'].includes(options.timeoutResult)) {
+    throw new RangeError('options.timeoutResult must be abort, bad, or skip');
+  }
+
+  // Skip targets which can't be extracted, to use the next preferred target
+  const isSupported =
+    await Promise.all(options.targets.map(isSupportedTarget));
+  const targets = options.targets.filter((target, i) => {
+    if (!isSupported[i]) {
+      if (target.endsWith('-xz')) {
+        options.console.warn('Skipping target %s: xz not found.', target);
+      } else {
+        options.console.debug('Skipping unsupported target %s.', target);
+      }
+
+      return false;
+    }
+
+    if (options.fullDist && target.endsWith('-exe')) {
+      options.console.debug('Skipping target %s for fullDist.', target);
+      return false;
+    }
+
+    return true;
+  });
+  if (targets.length === 0) {
+    throw new RangeError(
+      `options.targets (${options.targets.join(',')}) has no supported `
+      + 'targets.  msi, pkg, and 7z are not supported.',
+    );
+  }
+
+  const allBuildTargetPairs =
+    [...getBuildTargetPairs(builds, targets, source)];
+  if (allBuildTargetPairs.length === 0) {
+    throw new Error(`No builds in given range for ${targets.join(',')}`);
+  }
+
+  let buildTargetPairs = allBuildTargetPairs;
+  if (options.offline) {
+    buildTargetPairs =
+      await filterCached(allBuildTargetPairs, source);
+    if (buildTargetPairs.length === 0) {
+      throw new Error(
+        `No cached builds in given range for ${targets.join(',')}`,
+      );
+    }
+
+    options.console.info(
+      'Offline: %d of %d builds in range are cached.',
+      buildTargetPairs.length,
+      allBuildTargetPairs.length,
     );
   }
 
@@ -339,57 +1219,385 @@ export async function bisectBuilds(builds, testCmdWithArgs, options) {
     await mkdir(options.exeDir, { mode: 0o755 });
   }
 
+  // Temporary directories removed after bisecting
+  const rmDirs = rmExeDir ? [options.exeDir] : [];
+
+  // Each concurrent test extracts and runs its build in a separate directory
+  const freeExeDirs = [options.exeDir];
+  if (concurrency > 1) {
+    // Create subdirectories of the caller's exeDir in a new directory, so
+    // that they can be removed without removing any existing files.
+    let jobsDir = options.exeDir;
+    if (!rmExeDir) {
+      jobsDir = await tmpName(options.exeDir, 'jobs-');
+      rmDirs.push(jobsDir);
+    }
+
+    freeExeDirs.pop();
+    for (let i = 1; i <= concurrency; i += 1) {
+      freeExeDirs.push(path.join(jobsDir, String(i)));
+    }
+
+    await Promise.all(freeExeDirs.map(
+      (exeDir) => mkdir(exeDir, { mode: 0o755, recursive: true }),
+    ));
+  }
+
   // Keep the connection alive for downloading multiple builds
-  const agent = ensureAgent(options);
+  const agent = options.offline || source.isLocal ? undefined
+    : ensureAgent(options);
 
-  const { onrange, onresult } = options.listeners || {};
+  const { onrange, onresult, ontest } = options.listeners || {};
 
-  let found;
+  const savedResults = new Map(
+    savedState.results.map((saved) => [saved.build.version, saved]),
+  );
+  let state;
+  if (options.stateFile) {
+    state = {
+      builds,
+      bounds: savedState.bounds,
+      testCmdWithArgs: [testCommand, ...testArgs],
+      options: Object.fromEntries(
+        stateOptionNames.map((name) => [name, options[name]]),
+      ),
+      results: [...savedState.results],
+    };
+    await writeBisectState(options.stateFile, state);
+  }
+
+  if (onresult) {
+    for (const saved of savedState.results) {
+      onresult(saved.build, saved.code, saved.signal, saved.resultInfo);
+    }
+  }
+
+  // Writes of concurrent results are serialized to avoid conflicts
+  let stateWrite = Promise.resolve();
+
+  // Range of buildTargetPairs indexes being bisected and skipped indexes,
+  // used to determine which builds may be tested next, for prefetching.
+  let rangeLow = 0;
+  let rangeHigh = buildTargetPairs.length - 1;
+  const skippedInds = new Set();
+
+  const doPrefetch = options.prefetch !== false
+    && !options.offline
+    && concurrency === 1;
+  const prefetches = new Map();
+  const cancelledPrefetches = [];
+  const cancelPrefetch = (index) => {
+    const { controller, promise } = prefetches.get(index);
+    prefetches.delete(index);
+    controller.abort();
+    cancelledPrefetches.push(promise);
+  };
+  const startPrefetch = (index) => {
+    const [build, target] = buildTargetPairs[index];
+    if (!source.prefetch
+      || prefetches.has(index)
+      || savedResults.has(build.version)) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const promise = source.prefetch(build, target, {
+      ...options,
+      // Progress of background downloads would be mixed with test output
+      listeners: {
+        ...options.listeners,
+        ondownload: undefined,
+      },
+      fetchOptions: {
+        ...options.fetchOptions,
+        signal: controller.signal,
+      },
+    })
+      .catch((errPrefetch) => {
+        // Errors are reported if the build is tested
+        if (!controller.signal.aborted) {
+          options.console.debug(
+            'Unable to prefetch build %s: %o',
+            build.version,
+            errPrefetch,
+          );
+        }
+      });
+    prefetches.set(index, { controller, promise });
+  };
+
+  const testBuild = async (index, testOptions) => {
+    const [build, target] = buildTargetPairs[index];
+    const prefetch = prefetches.get(index);
+    if (prefetch) {
+      prefetches.delete(index);
+      await prefetch.promise;
+    }
+
+    let nodePath;
+    ({ nodePath, options: testOptions } =
+      await source.prepare(build, target, testOptions));
+
+    testOptions.signal?.throwIfAborted();
+    if (doPrefetch) {
+      // Prefetch next build if this build is good, then if it is bad
+      const nextInds = [
+        pickCandidate(index, rangeHigh + 1, skippedInds),
+        pickCandidate(rangeLow - 1, index, skippedInds),
+      ];
+      for (const nextInd of nextInds) {
+        if (nextInd !== undefined) {
+          startPrefetch(nextInd);
+        }
+      }
+    }
+
+    if (ontest) {
+      ontest(build, nodePath);
+    }
+
+    const testStartMs = Date.now();
+    const { code, signal, resultInfo } = options.askResult
+      ? await askTestResult(
+        build,
+        nodePath,
+        testCommand,
+        testArgs,
+        testOptions,
+      )
+      : await runTrials(
+        build.version,
+        testCommand,
+        testArgs,
+        trials,
+        failThreshold,
+        classify,
+        testOptions,
+      );
+    resultInfo.duration = Date.now() - testStartMs;
+    return { code, signal, resultInfo };
+  };
+
+  let goodInd, badInd;
+  let stopped = false;
   try {
-    found = await binarySearchAsync(
+    [goodInd, badInd] = await bisectAsync(
       buildTargetPairs,
-      async ([build, target]) => {
-        const { code, signal } = await runNodeBuild(
-          build.version,
-          target,
-          testCommand,
-          testArgs,
-          options,
-        );
-        if (code === 125) {
-          throw new Error('skip not yet implemented for exit code 125');
+      async (buildTargetPair, abortSignal) => {
+        const index = buildTargetPairs.indexOf(buildTargetPair);
+        const [build, target] = buildTargetPair;
+        const saved = savedResults.get(build.version);
+        if (saved) {
+          options.console.info(
+            'Using saved result for build %s: %s',
+            build.version,
+            saved.resultInfo.result,
+          );
+          if (saved.resultInfo.result === 'skip') {
+            skippedInds.add(index);
+          }
+
+          return saved.resultInfo.result;
+        }
+
+        const exeDir = freeExeDirs.pop();
+        let testResult;
+        try {
+          testResult = await testBuild(index, {
+            ...options,
+            exeDir,
+            signal: abortSignal,
+          });
+        } catch (errTest) {
+          if (!(errTest instanceof MissingBuildError)
+            && !(errTest instanceof HttpResponseError
+              && errTest.status === 404)) {
+            throw errTest;
+          }
+
+          options.console.warn(
+            'Build %s not found (%s).  Skipping.',
+            build.version,
+            errTest.message,
+          );
+          testResult = {
+            code: undefined,
+            signal: undefined,
+            resultInfo: {
+              result: 'skip',
+              pass: 0,
+              fail: 0,
+              timedOut: false,
+            },
+          };
+        } finally {
+          freeExeDirs.push(exeDir);
+        }
+
+        const { code, signal, resultInfo } = testResult;
+
+        if (resultInfo.result === 'stop') {
+          stopped = true;
+          return 'stop';
+        }
+
+        resultInfo.target = target;
+        if (resultInfo.result === 'skip') {
+          skippedInds.add(index);
         }
 
         if (onresult) {
-          onresult(build, code, signal);
+          onresult(build, code, signal, resultInfo);
+        }
+
+        if (state) {
+          state.results.push({
+            build,
+            code,
+            signal,
+            resultInfo,
+          });
+          stateWrite = stateWrite.then(
+            () => writeBisectState(options.stateFile, state),
+          );
+          await stateWrite;
         }
 
-        return code === 0 ? 1 : -1;
+        return resultInfo.result;
       },
       undefined,
       undefined,
-      onrange,
+      (low, high) => {
+        rangeLow = low;
+        rangeHigh = high;
+        for (const index of prefetches.keys()) {
+          if (index < low || index > high) {
+            cancelPrefetch(index);
+          }
+        }
+
+        if (onrange) {
+          onrange(low, high);
+        }
+      },
+      concurrency,
     );
   } finally {
+    for (const index of prefetches.keys()) {
+      cancelPrefetch(index);
+    }
+
+    // Wait for cancelled downloads to finish cleaning up
+    await Promise.all(cancelledPrefetches);
+
     if (agent) {
       agent.destroy();
     }
 
-    if (rmExeDir) {
+    for (const rmDir of rmDirs) {
       try {
-        await rm(options.exeDir, { recursive: true });
+        // eslint-disable-next-line no-await-in-loop
+        await rm(rmDir, { recursive: true });
       } catch (errRm) {
         options.console.error(
           'Unable to remove temp dir %s: %o',
-          options.exeDir,
+          rmDir,
           errRm,
         );
       }
     }
   }
 
-  const firstBadInd = -found - 1;
-  const goodBuild = buildTargetPairs[firstBadInd - 1][0];
-  const badBuild = buildTargetPairs[firstBadInd][0];
-  return [goodBuild, badBuild];
+  const skippedBuilds = buildTargetPairs.slice(goodInd + 1, badInd)
+    .map(([build]) => build.version);
+  if (stopped) {
+    options.console.warn(
+      'Bisection stopped with %d untested or skipped build(s) in range.',
+      skippedBuilds.length,
+    );
+  } else if (skippedBuilds.length > 0) {
+    options.console.warn(
+      'Regression range includes %d skipped build(s): %s',
+      skippedBuilds.length,
+      skippedBuilds.join(', '),
+    );
+  }
+
+  const goodBuild = buildTargetPairs[goodInd]?.[0];
+  const badBuild = buildTargetPairs[badInd]?.[0];
+
+  if (options.offline) {
+    // Report builds in range which could be tested by bisecting online
+    const allGoodInd =
+      allBuildTargetPairs.findIndex(([build]) => build === goodBuild);
+    const allBadInd = badBuild
+      ? allBuildTargetPairs.findIndex(([build]) => build === badBuild)
+      : allBuildTargetPairs.length;
+    const uncachedCount =
+      allBadInd - allGoodInd - 1 - skippedBuilds.length;
+    if (uncachedCount > 0) {
+      options.console.warn(
+        'Offline: Regression range includes %d uncached builds.  '
+        + 'Bisecting online would take ~%d more steps to narrow it.',
+        uncachedCount,
+        Math.ceil(Math.log2(uncachedCount + 1)),
+      );
+    }
+  }
+
+  const [goodBound, badBound] = savedState.bounds;
+  return [goodBuild ?? goodBound, badBuild ?? badBound];
+}
+
+/** Performs regression range reduction, using bisection, on a given Array of
+ * Node.js build.
+ *
+ * @param {!Array<!BuildInfo>} builds Builds to search for regression.
+ * @param {!Array<string>} testCmdWithArgs Command (with any arguments) to
+ * run which tests whether a build is good.
+ * @param {NoderegressionOptions=} options Options object.
+ * @returns {!Array<!BuildInfo>} Pair (i.e. 2-element Array) of last-good and
+ * first-bad builds in bisected range.
+ */
+export function bisectBuilds(builds, testCmdWithArgs, options) {
+  return bisectBuildsImpl(builds, testCmdWithArgs, options, {
+    bounds: [],
+    results: [],
+  });
+}
+
+/** Resumes a bisection from the state saved in
+ * {@link NoderegressionOptions.stateFile} by {@link bisectRange} or
+ * {@link bisectBuilds}.
+ *
+ * Builds with saved results are not tested again.  Results of newly tested
+ * builds are added to stateFile.
+ *
+ * @param {string} stateFile Path of file with saved bisection state.
+ * @param {NoderegressionOptions=} options Options object.  Options which
+ * determine the result of testing a build (buildBaseUrl, channel, classify,
+ * targets, timeout, timeoutResult, trialPolicy, and trials) are taken from
+ * the saved state and ignored in options.
+ * @returns {!Array<!BuildInfo>} Pair (i.e. 2-element Array) of last-good and
+ * first-bad builds in bisected range.
+ */
+export async function resumeBisect(stateFile, options) {
+  if (typeof stateFile !== 'string' || stateFile.length === 0) {
+    throw new TypeError('stateFile must be a non-empty string');
+  }
+  if (options !== undefined && typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const state = await readBisectState(stateFile);
+  return bisectBuildsImpl(
+    state.builds,
+    state.testCmdWithArgs,
+    {
+      ...options,
+      ...state.options,
+      stateFile,
+    },
+    state,
+  );
 }
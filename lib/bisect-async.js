@@ -0,0 +1,307 @@
+/**
+ * Implementation of bisection with a Promise-returning test function which
+ * may skip untestable items, with semantics similar to `git bisect`.
+ *
+ * @copyright Copyright 2020-2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+/** Gets the index of the untested, unskipped item nearest to the midpoint of
+ * a given range.
+ *
+ * @private
+ * @param {number} good Index of last known-good item.
+ * @param {number} bad Index of first known-bad item.
+ * @param {!Set<number>} skipped Indexes of skipped items.
+ * @returns {number|undefined} Index of item to test, or undefined if all
+ * items between good and bad have been skipped.
+ */
+export function pickCandidate(good, bad, skipped) {
+  const mid = good + Math.floor((bad - good) / 2);
+  for (let offset = 0; ; offset += 1) {
+    const after = mid + offset;
+    const before = mid - offset;
+    if (after >= bad && before <= good) {
+      return undefined;
+    }
+
+    if (after > good && after < bad && !skipped.has(after)) {
+      return after;
+    }
+
+    if (before > good && !skipped.has(before)) {
+      return before;
+    }
+  }
+}
+
+/** Gets the index of an untested, unskipped item to test while other items
+ * are being tested, nearest to the midpoint of the largest range between the
+ * last known-good item, items being tested, and the first known-bad item.
+ *
+ * @private
+ * @param {number} good Index of last known-good item.
+ * @param {number} bad Index of first known-bad item.
+ * @param {!Set<number>} skipped Indexes of skipped items.
+ * @param {!Map<number, *>} pending Items being tested, by index.
+ * @returns {number|undefined} Index of item to test, or undefined if all
+ * items between good and bad have been skipped or are being tested.
+ */
+function pickConcurrentCandidate(good, bad, skipped, pending) {
+  const bounds = [good];
+  for (let i = good + 1; i < bad; i += 1) {
+    if (pending.has(i)) {
+      bounds.push(i);
+    }
+  }
+  bounds.push(bad);
+
+  const gaps = bounds.slice(1)
+    .map((high, i) => [bounds[i], high])
+    .toSorted(([low1, high1], [low2, high2]) => high2 - low2 - high1 + low1);
+  for (const [low, high] of gaps) {
+    const candidate = pickCandidate(low, high, skipped);
+    if (candidate !== undefined) {
+      return candidate;
+    }
+  }
+
+  return undefined;
+}
+
+async function bisectImpl(haystack, test, good, bad, skipped, progress) {
+  const mid = pickCandidate(good, bad, skipped);
+  if (mid === undefined) {
+    return [good, bad];
+  }
+
+  const testResult = await test(haystack[mid]);
+  switch (testResult) {
+    case 'good':
+      good = mid;
+      break;
+    case 'bad':
+      bad = mid;
+      break;
+    case 'skip':
+      skipped.add(mid);
+      return bisectImpl(haystack, test, good, bad, skipped, progress);
+    case 'stop':
+      return [good, bad];
+    default:
+      throw new TypeError(
+        `test result must be 'good', 'bad', 'skip', or 'stop', got ${
+          testResult}`,
+      );
+  }
+
+  if (progress && good + 1 < bad) {
+    progress(good + 1, bad - 1);
+  }
+
+  return bisectImpl(haystack, test, good, bad, skipped, progress);
+}
+
+async function bisectConcurrent(
+  haystack,
+  test,
+  good,
+  bad,
+  progress,
+  concurrency,
+) {
+  const skipped = new Set();
+  const pending = new Map();
+  // Cancelled tests which have not finished.  Count toward concurrency, since
+  // they may hold resources (e.g. processes and directories) until finished.
+  const cancelled = new Map();
+  const cancel = (index) => {
+    const entry = pending.get(index);
+    pending.delete(index);
+    entry.controller.abort();
+    cancelled.set(index, entry);
+  };
+
+  try {
+    for (;;) {
+      while (pending.size + cancelled.size < concurrency) {
+        const index = pickConcurrentCandidate(good, bad, skipped, pending);
+        if (index === undefined) {
+          break;
+        }
+
+        const controller = new AbortController();
+        const promise = (async () => test(haystack[index], controller.signal))()
+          .then(
+            (testResult) => ({ index, result: testResult }),
+            (testErr) => ({ index, error: testErr }),
+          );
+        pending.set(index, { controller, promise });
+      }
+
+      if (pending.size === 0 && cancelled.size === 0) {
+        return [good, bad];
+      }
+
+      const { index: tested, result, error } =
+        // eslint-disable-next-line no-await-in-loop
+        await Promise.race(
+          [...pending.values(), ...cancelled.values()].map((p) => p.promise),
+        );
+      if (cancelled.delete(tested)) {
+        // Result of cancelled test is ignored.  Start another in its place.
+        continue;
+      }
+
+      pending.delete(tested);
+      if (error) {
+        throw error;
+      }
+
+      switch (result) {
+        case 'good':
+          good = tested;
+          break;
+        case 'bad':
+          bad = tested;
+          break;
+        case 'skip':
+          skipped.add(tested);
+          continue;
+        case 'stop':
+          return [good, bad];
+        default:
+          throw new TypeError(
+            `test result must be 'good', 'bad', 'skip', or 'stop', got ${
+              result}`,
+          );
+      }
+
+      // Cancel tests of items which are no longer in range
+      for (const pendingIndex of pending.keys()) {
+        if (pendingIndex <= good || pendingIndex >= bad) {
+          cancel(pendingIndex);
+        }
+      }
+
+      if (progress && good + 1 < bad) {
+        progress(good + 1, bad - 1);
+      }
+    }
+  } finally {
+    for (const index of pending.keys()) {
+      cancel(index);
+    }
+
+    // Wait for cancelled tests to finish cleaning up
+    await Promise.all(Array.from(cancelled.values(), (c) => c.promise));
+  }
+}
+
+/**
+ * Bisect `haystack` to find the first bad item using a given
+ * Promise-returning `test` function.
+ *
+ * Items for which `test` returns `'skip'` are treated as untestable.  When
+ * an item is skipped, the untested item nearest to the middle of the range is
+ * tested instead.  If only skipped items remain between the last good and
+ * first bad item, bisection stops and the returned range includes them.
+ * If `test` returns `'stop'`, bisection stops and the current range (which
+ * may include untested items) is returned.
+ *
+ * If `concurrency` is greater than 1, up to `concurrency` items are tested at
+ * once:  The item nearest the middle of the range, then items nearest the
+ * middle of the largest ranges between items being tested.  `test` is called
+ * with an `AbortSignal` which is aborted when the result for the item is no
+ * longer needed (e.g. an item after it was found to be bad).  Results of
+ * aborted calls are ignored, but they count toward `concurrency` until the
+ * returned Promise settles.
+ *
+ * @template T
+ * @param {!Array<T>} haystack Array-like of items, where all good items
+ * precede all bad items.
+ * @param {function(T, AbortSignal=): (string|!Promise<string>)} test Test
+ * function which resolves to `'good'`, `'bad'`, `'skip'`, or `'stop'` for a
+ * given item.
+ * @param {number=} low Smallest index of `haystack` to search (inclusive).
+ * @param {number=} high Largest index of `haystack` to search (inclusive).
+ * @param {function(number, number)=} progress Progress callback called
+ * whenever low/high (inclusive) bounds change.
+ * @param {number=} concurrency Maximum number of items to test at once.
+ * (default: 1)
+ * @returns {!Promise<!Array<number>>} Pair (i.e. 2-element Array) of the
+ * index of the last good item (or `low - 1` if none) and the index of the
+ * first bad item (or `high + 1` if none).  Any items between them were
+ * skipped (or untested, if `test` returned `'stop'`).
+ */
+export default function bisectAsync(
+  haystack,
+  test,
+  low,
+  high,
+  progress,
+  concurrency,
+) {
+  const { length } = haystack;
+
+  if (low === undefined || low === null) {
+    low = 0;
+  } else if (typeof low !== 'number') {
+    throw new TypeError(`low must be number, got ${typeof low}`);
+  } else if (low < 0 || Math.floor(low) !== low) {
+    throw new RangeError(`low must be a non-negative integer, got ${low}`);
+  }
+
+  if (high === undefined || high === null) {
+    high = length - 1;
+  } else if (typeof high !== 'number') {
+    throw new TypeError(`high must be number, got ${typeof high}`);
+  } else if (high < 0 || Math.floor(high) !== high) {
+    throw new RangeError(`high must be a non-negative integer, got ${high}`);
+  }
+
+  if (concurrency === undefined || concurrency === null) {
+    concurrency = 1;
+  } else if (typeof concurrency !== 'number') {
+    throw new TypeError(
+      `concurrency must be number, got ${typeof concurrency}`,
+    );
+  } else if (concurrency < 1 || Math.floor(concurrency) !== concurrency) {
+    throw new RangeError(
+      `concurrency must be a positive integer, got ${concurrency}`,
+    );
+  }
+
+  if (low > length) {
+    low = length;
+  }
+
+  if (high >= length) {
+    high = length - 1;
+  }
+
+  if (progress && low <= high) {
+    progress(low, high);
+  }
+
+  if (concurrency > 1) {
+    return bisectConcurrent(
+      haystack,
+      test,
+      low - 1,
+      high + 1,
+      progress,
+      concurrency,
+    );
+  }
+
+  return bisectImpl(
+    haystack,
+    test,
+    low - 1,
+    high + 1,
+    new Set(),
+    progress,
+  );
+}
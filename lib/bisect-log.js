@@ -0,0 +1,41 @@
+/**
+ * Functions for reading logs of bisection results in the format of
+ * `git bisect log`.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+const termResults = new Map([
+  ['bad', 'bad'],
+  ['good', 'good'],
+  ['new', 'bad'],
+  ['old', 'good'],
+  ['skip', 'skip'],
+]);
+
+/** Parses a log of bisection results in the format of `git bisect log`, as
+ * written by the --log option of the noderegression command.
+ *
+ * Comments and other commands (e.g. `git bisect start`) are ignored.
+ *
+ * @private
+ * @param {string} content Log content.
+ * @returns {!Array<!module:noderegression.ReplayEntry>} Results in the log,
+ * in the order they appear.
+ */
+export default function parseBisectLog(content) {
+  const entries = [];
+  for (const line of content.split('\n')) {
+    const [git, bisect, term, ...revs] = line.trim().split(/\s+/);
+    const result = termResults.get(term);
+    if (git === 'git' && bisect === 'bisect' && result) {
+      for (const rev of revs) {
+        entries.push({ result, build: rev });
+      }
+    }
+  }
+
+  return entries;
+}
@@ -0,0 +1,128 @@
+/**
+ * Functions for saving and reading the state of a bisection, so that it can
+ * be resumed after being interrupted.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { readFile, rename, writeFile } from 'node:fs/promises';
+
+/** Names of options which determine the result of testing a build, which
+ * are saved with the bisection state.
+ *
+ * @private
+ */
+export const stateOptionNames = [
+  'buildBaseUrl',
+  'channel',
+  'classify',
+  'fullDist',
+  'targets',
+  'timeout',
+  'timeoutResult',
+  'trialPolicy',
+  'trials',
+];
+
+/** Result of testing a build, as saved in the bisection state.
+ *
+ * @typedef {!object} SavedTestResult
+ * @property {!module:noderegression.BuildInfo} build Tested build.
+ * @property {?number} code Exit code of the test command.
+ * @property {?string} signal Name of the signal which terminated the test
+ * command.
+ * @property {!module:noderegression.TestResultInfo} resultInfo Information
+ * about the result.
+ */
+
+/** State of a bisection.
+ *
+ * @typedef {!object} BisectState
+ * @property {!Array<!module:noderegression.BuildInfo>} builds Builds being
+ * bisected.
+ * @property {!Array<module:noderegression.BuildInfo>} bounds Last known-good
+ * and first known-bad builds outside of builds, if known.
+ * @property {!Array<string>} testCmdWithArgs Test command with arguments.
+ * @property {!Object<string,*>} options Options named by
+ * {@link stateOptionNames}.
+ * @property {!Array<!SavedTestResult>} results Results of builds tested so
+ * far, in the order they were tested.
+ */
+
+function classifyToJSON(classify) {
+  return classify && classify.map((rule) => (
+    rule.output === undefined ? rule : {
+      ...rule,
+      output: { source: rule.output.source, flags: rule.output.flags },
+    }
+  ));
+}
+
+function classifyFromJSON(classify) {
+  return classify && classify.map((rule) => (
+    rule.output === undefined ? rule : {
+      ...rule,
+      output: new RegExp(rule.output.source, rule.output.flags),
+    }
+  ));
+}
+
+/** Reads the state of a bisection saved by {@link writeBisectState}.
+ *
+ * @private
+ * @param {string} stateFile Path of file from which to read state.
+ * @returns {!Promise<!BisectState>} Promise for the saved state.
+ * @throws {Error} If stateFile can not be read or does not contain a valid
+ * bisection state.
+ */
+export async function readBisectState(stateFile) {
+  const content = await readFile(stateFile, { encoding: 'utf8' });
+  let state;
+  try {
+    state = JSON.parse(content);
+  } catch (errJson) {
+    errJson.message = `Unable to parse ${stateFile}: ${errJson.message}`;
+    throw errJson;
+  }
+
+  if (!state
+    || !Array.isArray(state.builds)
+    || !Array.isArray(state.bounds)
+    || !Array.isArray(state.testCmdWithArgs)
+    || !state.options
+    || typeof state.options !== 'object'
+    || !Array.isArray(state.results)) {
+    throw new Error(`${stateFile} does not contain a bisection state`);
+  }
+
+  state.options.classify = classifyFromJSON(state.options.classify);
+  return state;
+}
+
+/** Writes the state of a bisection to a file.
+ *
+ * @private
+ * @param {string} stateFile Path of file to which state is written.
+ * @param {!BisectState} state State to write.
+ * @returns {!Promise} Promise for completion of writing.
+ */
+export async function writeBisectState(stateFile, state) {
+  const content = JSON.stringify(
+    {
+      ...state,
+      options: {
+        ...state.options,
+        classify: classifyToJSON(state.options.classify),
+      },
+    },
+    undefined,
+    2,
+  );
+
+  // Write to temporary file, then rename, to avoid partially written files
+  const partPath = `${stateFile}.part`;
+  await writeFile(partPath, `${content}\n`);
+  await rename(partPath, stateFile);
+}
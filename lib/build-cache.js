@@ -0,0 +1,627 @@
+/**
+ * Functions for inspecting and pruning the cache of downloaded builds.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  rmdir,
+  stat,
+  unlink,
+} from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { channelNames } from './build-channels.js';
+import { shasumsName, shasumsSigName } from './shasums.js';
+
+/** Extension added to the name of a build archive for the Node.js
+ * executable extracted from it (by run-node-build.js).
+ *
+ * @private
+ */
+export const extractedExeExt = '.node';
+
+/** Extension added to the name of an extracted Node.js executable for its
+ * information (hash and extraction time), or to the name of a directory of
+ * extracted build files for its information (target of the archive).
+ *
+ * @private
+ */
+export const extractedInfoExt = '.json';
+
+function isChecksumFile(fileName) {
+  return fileName === shasumsName || fileName === shasumsSigName;
+}
+
+/** Gets the default directory below which builds for all channels are
+ * cached.
+ *
+ * @private
+ * @param {!Object<string,string>=} env Environment variables.
+ * @returns {string} Path of noderegression directory in OS-specific user
+ * cache directory.
+ */
+export function getDefaultCacheDir(env = process.env) {
+  const cacheDir = env.XDG_CACHE_HOME
+    || env.LOCALAPPDATA
+    || (process.platform === 'win32'
+      ? path.join(os.homedir(), 'AppData', 'Local')
+      : path.join(os.homedir(), '.cache'));
+  return path.join(cacheDir, 'noderegression');
+}
+
+/** Gets the build target for a cached build file.
+ *
+ * This is the inverse of the mapping from target to file name used for
+ * downloading (in run-node-build.js).
+ *
+ * @private
+ * @param {string} version Build version.
+ * @param {string} fileRelPath Path of build file, relative to version
+ * directory.
+ * @returns {string|undefined} Build target, as in
+ * {@link module:noderegression.BuildInfo.files}, or undefined if
+ * fileRelPath does not have the name of a build file.
+ */
+function getCachedFileTarget(version, fileRelPath) {
+  const pathParts = fileRelPath.split(path.sep);
+  if (pathParts.length === 2 && pathParts[1] === 'node.exe') {
+    return `${pathParts[0]}-exe`;
+  }
+
+  const prefix = `node-${version}-`;
+  const [fileName] = pathParts;
+  if (pathParts.length !== 1 || !fileName.startsWith(prefix)) {
+    return undefined;
+  }
+
+  const match = /^([^-.]+)-([^-.]+)\.(.+)$/.exec(fileName.slice(prefix.length));
+  if (!match) {
+    return undefined;
+  }
+
+  const [, uname, arch, ext] = match;
+  const osname = uname === 'darwin' ? 'osx' : uname;
+  if (ext === 'tar.gz') {
+    return osname === 'linux' ? `${osname}-${arch}` : `${osname}-${arch}-tar`;
+  }
+
+  if (ext === 'tar.xz') {
+    return `${osname}-${arch}-xz`;
+  }
+
+  return `${osname}-${arch}-${ext}`;
+}
+
+/** Determines whether a given file in a version directory is a directory
+ * of extracted build files (e.g. node-v16.0.0-linux-x64).
+ *
+ * @private
+ * @param {string} version Build version.
+ * @param {string} fileName Name of file in version directory.
+ * @returns {boolean} true if fileName is the name of an extracted build
+ * directory, false otherwise.
+ */
+function isExtractedDirName(version, fileName) {
+  const prefix = `node-${version}-`;
+  return fileName.startsWith(prefix)
+    && /^[^-.]+-[^-.]+$/.test(fileName.slice(prefix.length));
+}
+
+/** Gets the total size of files in a directory and its subdirectories.
+ *
+ * @private
+ * @param {string} dirPath Path of directory.
+ * @returns {!Promise<number>} Promise for total size of files in dirPath,
+ * in bytes.
+ */
+async function getDirSize(dirPath) {
+  const dirents = await readdir(dirPath, {
+    recursive: true,
+    withFileTypes: true,
+  });
+  const sizes = await Promise.all(
+    dirents.filter((dirent) => dirent.isFile())
+      .map(async (dirent) => {
+        const stats = await stat(path.join(dirent.parentPath, dirent.name));
+        return stats.size;
+      }),
+  );
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+/** Information about a cached build file.
+ *
+ * @typedef {!object} CachedBuildInfo
+ * @property {string} channel Build channel (name of directory below cache
+ * directory).
+ * @property {string} version Build version.
+ * @property {string|undefined} target Build target of file, if known.
+ * @property {string} path Path of the cached file.  For a build archive and
+ * the executable extracted from it, the path of the archive (if present).
+ * @property {number} size Size of the cached file, in bytes.  For extracted
+ * build directories, the total size of the files in the directory.  For a
+ * build archive, the total size of the archive and the executable extracted
+ * from it.
+ * @property {!Date} lastUsed Time at which the file was last downloaded or
+ * used for testing.
+ */
+
+/** Options for build cache functions.
+ *
+ * @typedef {!object} BuildCacheOptions
+ * @property {string=} cacheDir Directory below which builds for each channel
+ * are cached.  (default: ${OS-specific user cache directory}/noderegression)
+ * @property {!Object<string,string>=} env Environment variables used to
+ * determine the default cacheDir.  (default: process.env)
+ */
+
+/** Gets the directory below which builds are cached.
+ *
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {string} Cache directory.
+ */
+export function getCacheDir(options = {}) {
+  return options.cacheDir || getDefaultCacheDir(options.env);
+}
+
+async function statOrUndefined(filePath) {
+  try {
+    return await stat(filePath);
+  } catch (errStat) {
+    if (errStat.code === 'ENOENT') {
+      return undefined;
+    }
+
+    throw errStat;
+  }
+}
+
+/** Reads information saved for an extracted build.
+ *
+ * @private
+ * @param {string} infoPath Path of information file.
+ * @returns {!Promise<*>} Promise for the parsed information, or undefined
+ * if it is missing or invalid.
+ */
+async function readExtractedInfo(infoPath) {
+  try {
+    return JSON.parse(await readFile(infoPath, { encoding: 'utf8' }));
+  } catch (errRead) {
+    if (errRead.code === 'ENOENT' || errRead instanceof SyntaxError) {
+      return undefined;
+    }
+
+    throw errRead;
+  }
+}
+
+async function readdirOrEmpty(dirPath, options) {
+  try {
+    return await readdir(dirPath, options);
+  } catch (errReaddir) {
+    if (errReaddir.code === 'ENOENT' || errReaddir.code === 'ENOTDIR') {
+      return [];
+    }
+
+    throw errReaddir;
+  }
+}
+
+/** Name of version directories of builds cached directly in the cache
+ * directory, before builds were cached per channel.
+ *
+ * @private
+ */
+const legacyVersionDirRegExp = /^v[0-9]+\.[0-9]+\.[0-9]+-nightly/;
+
+/** Moves builds cached directly in the cache directory, before builds were
+ * cached per channel, to the directory for the nightly channel (the only
+ * channel which could be bisected).
+ *
+ * Builds which are also cached in the nightly channel directory are removed.
+ *
+ * @private
+ * @param {string} cacheDir Cache directory.
+ * @returns {!Promise<number>} Promise for the number of build version
+ * directories which were moved.
+ */
+export async function migrateLegacyCache(cacheDir) {
+  const dirents = await readdirOrEmpty(cacheDir, { withFileTypes: true });
+  const legacyNames = dirents
+    .filter((dirent) => (dirent.isDirectory()
+      ? legacyVersionDirRegExp.test(dirent.name)
+      : dirent.name === 'index.json'))
+    .map((dirent) => dirent.name);
+  if (legacyNames.length === 0) {
+    return 0;
+  }
+
+  const nightlyDir = path.join(cacheDir, 'nightly');
+  await mkdir(nightlyDir, { recursive: true });
+  let movedCount = 0;
+  for (const name of legacyNames) {
+    const legacyPath = path.join(cacheDir, name);
+    const nightlyPath = path.join(nightlyDir, name);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await stat(nightlyPath);
+      // eslint-disable-next-line no-await-in-loop
+      await rm(legacyPath, { force: true, recursive: true });
+    } catch (errStat) {
+      if (errStat.code !== 'ENOENT') {
+        throw errStat;
+      }
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await rename(legacyPath, nightlyPath);
+        if (name !== 'index.json') {
+          movedCount += 1;
+        }
+      } catch (errRename) {
+        // Ignore if moved concurrently
+        if (errRename.code !== 'ENOENT') {
+          throw errRename;
+        }
+      }
+    }
+  }
+
+  return movedCount;
+}
+
+/** Lists builds in the build cache.
+ *
+ * Partially downloaded files, checksum files, and cached build lists are not
+ * included.  Executables extracted from archives are included with the
+ * archive, since they are removed together.  Directories of extracted builds
+ * (e.g. from {@link module:noderegression.NoderegressionOptions.fullDist})
+ * are listed separately from the archive, with the same target.
+ *
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {!Promise<!Array<!CachedBuildInfo>>} Promise for cached build
+ * files, ordered by channel and path.
+ */
+export async function listCachedBuilds(options) {
+  const cacheDir = getCacheDir(options);
+  await migrateLegacyCache(cacheDir);
+  const cachedBuilds = [];
+  const channels = await readdirOrEmpty(cacheDir, { withFileTypes: true });
+  for (const channelEnt of channels) {
+    if (channelEnt.isDirectory()) {
+      const channel = channelEnt.name;
+      const channelDir = path.join(cacheDir, channel);
+      // eslint-disable-next-line no-await-in-loop
+      const versions = await readdirOrEmpty(channelDir, {
+        withFileTypes: true,
+      });
+      for (const versionEnt of versions) {
+        if (versionEnt.isDirectory()) {
+          const version = versionEnt.name;
+          const versionDir = path.join(channelDir, version);
+          // eslint-disable-next-line no-await-in-loop
+          const fileRelPaths = await readdirOrEmpty(versionDir, {
+            recursive: true,
+          });
+          // Cached archives (and executables extracted from them) by path
+          const archiveBuilds = new Map();
+          for (const fileRelPath of fileRelPaths) {
+            const pathParts = fileRelPath.split(path.sep);
+            const [fileName] = pathParts;
+            const filePath = path.join(versionDir, fileRelPath);
+            if (isExtractedDirName(version, fileName)) {
+              // List extracted directory, not each file within it
+              if (pathParts.length === 1) {
+                // eslint-disable-next-line no-await-in-loop
+                const [stats, size, info] = await Promise.all([
+                  stat(filePath),
+                  getDirSize(filePath),
+                  readExtractedInfo(filePath + extractedInfoExt),
+                ]);
+                // Directories extracted before the target was saved are
+                // assumed to be from the default archive type
+                const archiveExt =
+                  fileName.includes('-win-') ? '.zip' : '.tar.gz';
+                cachedBuilds.push({
+                  channel,
+                  version,
+                  target: typeof info?.target === 'string' ? info.target
+                    : getCachedFileTarget(version, fileName + archiveExt),
+                  path: filePath,
+                  size,
+                  lastUsed: stats.mtime,
+                });
+              }
+            } else if (pathParts.every((part) => !part.endsWith('.part'))
+              && !isChecksumFile(fileRelPath)
+              && !fileRelPath.endsWith(extractedInfoExt)) {
+              // Executable extracted from archive is part of the archive
+              const isExe = fileRelPath.endsWith(extractedExeExt);
+              const archiveRelPath = isExe
+                ? fileRelPath.slice(0, -extractedExeExt.length)
+                : fileRelPath;
+              // eslint-disable-next-line no-await-in-loop
+              const [stats, infoStats] = await Promise.all([
+                stat(filePath),
+                isExe ? statOrUndefined(filePath + extractedInfoExt)
+                  : undefined,
+              ]);
+              if (stats.isFile()) {
+                const size = stats.size + (infoStats?.size || 0);
+                const archiveBuild = archiveBuilds.get(archiveRelPath);
+                if (archiveBuild) {
+                  if (!isExe) {
+                    archiveBuild.path = filePath;
+                  }
+
+                  archiveBuild.size += size;
+                  if (stats.mtime > archiveBuild.lastUsed) {
+                    archiveBuild.lastUsed = stats.mtime;
+                  }
+                } else {
+                  const cachedBuild = {
+                    channel,
+                    version,
+                    target: getCachedFileTarget(version, archiveRelPath),
+                    path: filePath,
+                    size,
+                    lastUsed: stats.mtime,
+                  };
+                  archiveBuilds.set(archiveRelPath, cachedBuild);
+                  cachedBuilds.push(cachedBuild);
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  cachedBuilds.sort((a, b) => a.path.localeCompare(b.path));
+  return cachedBuilds;
+}
+
+/** Removes a directory if it is empty or only contains checksum files.
+ *
+ * @private
+ * @param {string} dirPath Path of directory to remove.
+ * @returns {!Promise<boolean>} Promise for true if the directory was removed,
+ * false if it contains other files.
+ */
+async function removeUnusedDir(dirPath) {
+  const fileNames = await readdir(dirPath);
+  if (!fileNames.every(isChecksumFile)) {
+    return false;
+  }
+
+  for (const fileName of fileNames) {
+    // eslint-disable-next-line no-await-in-loop
+    await unlink(path.join(dirPath, fileName));
+  }
+
+  await rmdir(dirPath);
+  return true;
+}
+
+/** Removes a cached file (or extracted build directory), the executable
+ * extracted from it and information saved for it (if any), and any parent
+ * directories below cacheDir which become unused.
+ *
+ * @private
+ * @param {string} cacheDir Cache directory.
+ * @param {string} filePath Path of cached file to remove.
+ * @returns {!Promise} Promise for completion of removal.
+ */
+async function removeCachedFile(cacheDir, filePath) {
+  await rm(filePath, { recursive: true });
+  // Information about an extracted executable or directory
+  await rm(filePath + extractedInfoExt, { force: true });
+  if (!filePath.endsWith(extractedExeExt)) {
+    // Executable extracted from an archive
+    await rm(filePath + extractedExeExt, { force: true });
+    await rm(filePath + extractedExeExt + extractedInfoExt, { force: true });
+  }
+
+  let removeDir = path.dirname(filePath);
+  while (path.dirname(removeDir) !== cacheDir
+    && removeDir.length > cacheDir.length
+    // eslint-disable-next-line no-await-in-loop
+    && await removeUnusedDir(removeDir)) {
+    removeDir = path.dirname(removeDir);
+  }
+}
+
+/** Time, in milliseconds, after which a partially downloaded or extracted
+ * file which has not been modified is assumed to be abandoned (e.g. by an
+ * interrupted process).
+ *
+ * @private
+ */
+const partMaxAge = 24 * 60 * 60 * 1000;
+
+/** Lists partially downloaded or extracted files (and directories) in the
+ * build cache which have not been modified since a given time.
+ *
+ * @private
+ * @param {string} cacheDir Cache directory.
+ * @param {number} maxMtime Time, in milliseconds since the epoch, after which
+ * partial files are not listed.
+ * @returns {!Promise<!Array<string>>} Promise for paths of partial files.
+ */
+async function listStalePartFiles(cacheDir, maxMtime) {
+  const partPaths = [];
+  const channels = await readdirOrEmpty(cacheDir, { withFileTypes: true });
+  for (const channelEnt of channels) {
+    if (channelEnt.isDirectory()) {
+      const channelDir = path.join(cacheDir, channelEnt.name);
+      // eslint-disable-next-line no-await-in-loop
+      const versions = await readdirOrEmpty(channelDir, {
+        withFileTypes: true,
+      });
+      for (const versionEnt of versions) {
+        if (versionEnt.isDirectory()) {
+          const version = versionEnt.name;
+          const versionDir = path.join(channelDir, version);
+          // eslint-disable-next-line no-await-in-loop
+          const fileRelPaths = await readdirOrEmpty(versionDir, {
+            recursive: true,
+          });
+          for (const fileRelPath of fileRelPaths) {
+            const pathParts = fileRelPath.split(path.sep);
+            const dirParts = pathParts.slice(0, -1);
+            // Files in extracted directories and partial directories are
+            // removed with the directory.
+            if (pathParts.at(-1).endsWith('.part')
+              && !isExtractedDirName(version, pathParts[0])
+              && dirParts.every((part) => !part.endsWith('.part'))) {
+              const partPath = path.join(versionDir, fileRelPath);
+              // eslint-disable-next-line no-await-in-loop
+              const stats = await stat(partPath);
+              if (stats.mtimeMs < maxMtime) {
+                partPaths.push(partPath);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return partPaths;
+}
+
+/** Options for {@link pruneBuildCache}.
+ *
+ * @typedef {!BuildCacheOptions} PruneBuildCacheOptions
+ * @property {number=} maxAge Maximum time, in milliseconds, since a build was
+ * last used.  Builds used less recently are removed.
+ * @property {number=} maxCount Maximum number of builds to keep.  The least
+ * recently used builds are removed.
+ * @property {number=} maxSize Maximum total size, in bytes, of cached builds.
+ * The least recently used builds are removed until the total size does not
+ * exceed maxSize.
+ */
+
+/** Removes least recently used builds from the build cache.
+ *
+ * Partially downloaded or extracted files which have not been modified in
+ * the past day (e.g. due to an interrupted download) are also removed.
+ *
+ * @param {!PruneBuildCacheOptions} options Options.
+ * @returns {!Promise<!Array<!CachedBuildInfo>>} Promise for the removed
+ * build files.
+ */
+export async function pruneBuildCache(options) {
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const { maxAge, maxCount, maxSize } = options;
+  for (const [name, value] of Object.entries({ maxAge, maxCount, maxSize })) {
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+      throw new RangeError(`options.${name} must be a non-negative number`);
+    }
+  }
+
+  const cachedBuilds = await listCachedBuilds(options);
+
+  // Most recently used first
+  cachedBuilds.sort((a, b) => b.lastUsed - a.lastUsed);
+
+  const minLastUsed = maxAge === undefined ? undefined : Date.now() - maxAge;
+  let keepCount = 0;
+  let keepSize = 0;
+  let sizeExceeded = false;
+  const removeBuilds = cachedBuilds.filter((cachedBuild) => {
+    // Once maxSize is exceeded, remove all less recently used builds (even
+    // if they would fit) so that pruning is strictly least recently used.
+    sizeExceeded ||= maxSize !== undefined
+      && keepSize + cachedBuild.size > maxSize;
+    if (sizeExceeded
+      || (minLastUsed !== undefined && cachedBuild.lastUsed < minLastUsed)
+      || (maxCount !== undefined && keepCount >= maxCount)) {
+      return true;
+    }
+
+    keepCount += 1;
+    keepSize += cachedBuild.size;
+    return false;
+  });
+
+  const cacheDir = getCacheDir(options);
+  for (const removeBuild of removeBuilds) {
+    // eslint-disable-next-line no-await-in-loop
+    await removeCachedFile(cacheDir, removeBuild.path);
+  }
+
+  const partPaths =
+    await listStalePartFiles(cacheDir, Date.now() - partMaxAge);
+  for (const partPath of partPaths) {
+    // eslint-disable-next-line no-await-in-loop
+    await removeCachedFile(cacheDir, partPath);
+  }
+
+  return removeBuilds;
+}
+
+/** Determines whether a given name in a channel directory (or in the cache
+ * directory, before builds were cached per channel) is the name of a build
+ * version directory or build list.
+ *
+ * @private
+ * @param {string} name File name.
+ * @returns {boolean} true if name is a build version directory or build
+ * list (e.g. index.json), false otherwise.
+ */
+function isChannelEntryName(name) {
+  return /^(?:index\.|v[0-9])/.test(name);
+}
+
+/** Removes all builds and build lists from the build cache.
+ *
+ * To avoid removing unrelated files (e.g. if cacheDir is set incorrectly),
+ * the cache directory is only removed if it contains nothing other than
+ * channel directories with build versions and build lists.
+ *
+ * @param {!BuildCacheOptions=} options Options.
+ * @returns {!Promise} Promise for completion of removal.
+ * @throws {Error} If the cache directory contains other files.
+ */
+export async function clearBuildCache(options) {
+  const cacheDir = getCacheDir(options);
+  const dirents = await readdirOrEmpty(cacheDir, { withFileTypes: true });
+  for (const dirent of dirents) {
+    let unexpectedPath;
+    if (dirent.isDirectory() && channelNames.includes(dirent.name)) {
+      const channelDir = path.join(cacheDir, dirent.name);
+      // eslint-disable-next-line no-await-in-loop
+      const names = await readdirOrEmpty(channelDir);
+      const unexpectedName =
+        names.find((name) => !isChannelEntryName(name));
+      if (unexpectedName !== undefined) {
+        unexpectedPath = path.join(channelDir, unexpectedName);
+      }
+    } else if (!isChannelEntryName(dirent.name)) {
+      unexpectedPath = path.join(cacheDir, dirent.name);
+    }
+
+    if (unexpectedPath !== undefined) {
+      throw new Error(
+        `${cacheDir} does not appear to be a noderegression cache `
+        + `(${unexpectedPath} is not a cached build).  Not removing.`,
+      );
+    }
+  }
+
+  await rm(cacheDir, { force: true, recursive: true });
+}
@@ -0,0 +1,70 @@
+/**
+ * Information about the channels through which Node.js builds are published.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+/** Information for each build channel.
+ *
+ * @private
+ */
+const channelInfo = {
+  nightly: {
+    baseUrl: 'https://nodejs.org/download/nightly/',
+    versionOrdered: false,
+  },
+  rc: {
+    baseUrl: 'https://nodejs.org/download/rc/',
+    versionOrdered: true,
+  },
+  release: {
+    baseUrl: 'https://nodejs.org/dist/',
+    versionOrdered: true,
+  },
+  'v8-canary': {
+    baseUrl: 'https://nodejs.org/download/v8-canary/',
+    versionOrdered: false,
+  },
+};
+
+function getChannelInfo(channel) {
+  if (!Object.hasOwn(channelInfo, channel)) {
+    throw new RangeError(`Unknown build channel: ${channel}`);
+  }
+
+  return channelInfo[channel];
+}
+
+/** Names of the known build channels.
+ *
+ * @type {!Array<string>}
+ */
+export const channelNames = Object.freeze(Object.keys(channelInfo));
+
+/** Gets the default URL from which builds for a given channel are
+ * downloaded.
+ *
+ * @param {string} channel Build channel name.
+ * @returns {string} URL (with trailing slash) below which index.json and
+ * builds for channel are published.
+ * @throws {RangeError} If channel is not a known build channel.
+ */
+export function getChannelBaseUrl(channel) {
+  return getChannelInfo(channel).baseUrl;
+}
+
+/** Determines whether builds for a given channel are ordered by version,
+ * rather than by commit date.
+ *
+ * Builds for version-ordered channels are only in commit order within a
+ * single release line.
+ *
+ * @param {string} channel Build channel name.
+ * @returns {boolean} true if builds for channel are ordered by version.
+ * @throws {RangeError} If channel is not a known build channel.
+ */
+export function isVersionOrderedChannel(channel) {
+  return getChannelInfo(channel).versionOrdered;
+}
@@ -0,0 +1,348 @@
+/**
+ * HTTP server for a mirror of Node.js builds, which serves builds from a
+ * build cache directory and fetches missing builds from upstream.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { once } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
+import {
+  mkdir,
+  rename,
+  stat,
+  unlink,
+} from 'node:fs/promises';
+import { createServer } from 'node:http';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+
+import HttpResponseError from './http-response-error.js';
+import tmpName from './tmp-name.js';
+
+/** Content-Type of served files, by extension.
+ *
+ * @private
+ */
+const contentTypes = new Map([
+  ['.json', 'application/json'],
+  ['.sig', 'application/pgp-signature'],
+  ['.txt', 'text/plain; charset=utf-8'],
+]);
+
+/** Gets the Content-Type of a file to serve.
+ *
+ * @private
+ * @param {string} filePath Path of file.
+ * @returns {string} Content-Type of filePath.
+ */
+function getContentType(filePath) {
+  return contentTypes.get(path.extname(filePath)) || 'application/octet-stream';
+}
+
+/** Names of files which change upstream and are fetched on each request.
+ *
+ * @private
+ */
+const volatileNames = new Set(['index.json', 'index.tab']);
+
+/** Options for {@link createBuildServer}.
+ *
+ * @typedef {!object} BuildServerOptions
+ * @property {string} buildCacheDir Directory from which builds are served
+ * and to which builds fetched from {@link upstreamUrl} are saved, with the
+ * same layout as {@link upstreamUrl} (e.g. as used for
+ * {@link module:noderegression.NoderegressionOptions.buildCacheDir}).
+ * @property {string} upstreamUrl URL from which missing builds and the build
+ * list are fetched (e.g. https://nodejs.org/download/nightly/).
+ * @property {!module:noderegression.NoderegressionConsole=} console Logger
+ * to which fetches and errors are reported. (default: global console)
+ * @property {!module:node-fetch.fetch=} fetch Fetch function compatible with
+ * node-fetch for fetching from upstreamUrl.
+ * @property {!module:node-fetch.RequestInit=} fetchOptions Options passed to
+ * {@link fetch}.
+ */
+
+/** Gets the path of the file in buildCacheDir for a request URL path.
+ *
+ * @private
+ * @param {string} buildCacheDir Build cache directory.
+ * @param {string} urlPath Path (and query) of request URL.
+ * @returns {string|undefined} Path of requested file, or undefined if
+ * urlPath does not refer to a file in buildCacheDir.
+ */
+function getRequestFilePath(buildCacheDir, urlPath) {
+  let pathname;
+  try {
+    const url = new URL(urlPath, 'http://localhost');
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    return undefined;
+  }
+
+  const segments = pathname.split('/').slice(1);
+  if (segments.some((segment) => segment === ''
+    || segment === '.'
+    || segment === '..'
+    || segment.endsWith('.part')
+    || /[\\:\0]/.test(segment))) {
+    return undefined;
+  }
+
+  return path.join(buildCacheDir, ...segments);
+}
+
+/** Gets the stats of a cached file, if it exists.
+ *
+ * @private
+ * @param {string} filePath Path of file.
+ * @returns {!Promise<module:fs.Stats|undefined>} Promise for the stats of
+ * filePath, or undefined if it does not exist or is not a file.
+ */
+async function statFile(filePath) {
+  let stats;
+  try {
+    stats = await stat(filePath);
+  } catch (errStat) {
+    if (errStat.code === 'ENOENT' || errStat.code === 'ENOTDIR') {
+      return undefined;
+    }
+
+    throw errStat;
+  }
+
+  return stats.isFile() ? stats : undefined;
+}
+
+/** Sends a cached file in response to a request.
+ *
+ * @private
+ * @param {!module:http.ServerResponse} res Response.
+ * @param {string} filePath Path of file to send.
+ * @param {boolean} headOnly Send headers without the file content.
+ * @returns {!Promise<boolean>} Promise for true if the file was sent, false
+ * if it does not exist.
+ */
+async function sendFile(res, filePath, headOnly) {
+  const stats = await statFile(filePath);
+  if (!stats) {
+    return false;
+  }
+
+  res.writeHead(200, {
+    'Content-Length': stats.size,
+    'Content-Type': getContentType(filePath),
+    'Last-Modified': stats.mtime.toUTCString(),
+  });
+  if (headOnly) {
+    res.end();
+  } else {
+    await pipeline(createReadStream(filePath), res);
+  }
+
+  return true;
+}
+
+/** Fetches a file from upstream, saving it to a given path while sending it
+ * in response to a request.
+ *
+ * @private
+ * @param {!module:http.ServerResponse} res Response.
+ * @param {string} filePath Path to which the file is saved.
+ * @param {string} fileUrl Upstream URL of the file.
+ * @param {!BuildServerOptions} options Options.
+ * @returns {!Promise} Promise for completion of sending and saving the file.
+ * @throws {HttpResponseError} If upstream responds with an error.
+ */
+async function fetchAndSend(res, filePath, fileUrl, options) {
+  const myFetch = options.fetch ?? fetch;
+  const upstreamRes = await myFetch(fileUrl, options.fetchOptions);
+  if (!upstreamRes.ok) {
+    throw new HttpResponseError(upstreamRes);
+  }
+
+  const headers = { 'Content-Type': getContentType(filePath) };
+  const contentLength = upstreamRes.headers.get('content-length');
+  if (contentLength && !upstreamRes.headers.get('content-encoding')) {
+    headers['Content-Length'] = contentLength;
+  }
+
+  res.writeHead(200, headers);
+
+  const fileDir = path.dirname(filePath);
+  await mkdir(fileDir, { recursive: true });
+  // Unique name, since other processes may fetch into the same directory
+  const partPath = `${
+    await tmpName(fileDir, `${path.basename(filePath)}-`)}.part`;
+  try {
+    await pipeline(
+      upstreamRes.body,
+      async function* sendChunks(chunks) {
+        for await (const chunk of chunks) {
+          // Continue saving the file if the client disconnects
+          if (!res.destroyed && !res.write(chunk)) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+          }
+
+          yield chunk;
+        }
+
+        // End response without waiting for the file to be saved
+        res.end();
+      },
+      createWriteStream(partPath),
+    );
+    await rename(partPath, filePath);
+  } catch (errFetch) {
+    try {
+      await unlink(partPath);
+    } catch {
+      // Ignore errors removing partial file.  errFetch is more relevant.
+    }
+
+    res.destroy(errFetch);
+    throw errFetch;
+  }
+}
+
+function noop() {}
+
+/** Creates an HTTP server which serves Node.js builds from a build cache
+ * directory with the same layout as the upstream download server, fetching
+ * files which are not cached from upstream.
+ *
+ * Builds, checksums, and signatures are fetched once then served from the
+ * cache.  The build list (index.json) is fetched from upstream for each
+ * request, and served from the cache if upstream is unavailable.
+ *
+ * @param {!BuildServerOptions} options Options.
+ * @returns {!module:http.Server} HTTP server, which is not yet listening.
+ */
+export default function createBuildServer(options) {
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const { buildCacheDir } = options;
+  if (typeof buildCacheDir !== 'string' || buildCacheDir.length === 0) {
+    throw new TypeError('options.buildCacheDir must be a non-empty string');
+  }
+
+  let { upstreamUrl } = options;
+  if (typeof upstreamUrl !== 'string' || upstreamUrl.length === 0) {
+    throw new TypeError('options.upstreamUrl must be a non-empty string');
+  }
+
+  if (!upstreamUrl.endsWith('/')) {
+    upstreamUrl += '/';
+  }
+
+  const logger = options.console ?? console;
+
+  // Fetches in progress, by path, so concurrent requests share one fetch
+  const fetching = new Map();
+
+  // Fetches filePath from fileUrl and sends it in response, unless it is
+  // cached (and not volatile).  Resolves to true if it was fetched and sent.
+  async function fetchIfMissing(res, filePath, fileUrl, isVolatile) {
+    if (!isVolatile && await statFile(filePath)) {
+      return false;
+    }
+
+    logger.info('Fetching %s', fileUrl);
+    await fetchAndSend(res, filePath, fileUrl, options);
+    return true;
+  }
+
+  async function handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const filePath = getRequestFilePath(buildCacheDir, req.url);
+    if (!filePath) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const headOnly = req.method === 'HEAD';
+    const isVolatile = volatileNames.has(path.basename(filePath));
+    const relPath = path.relative(buildCacheDir, filePath)
+      .split(path.sep)
+      .map(encodeURIComponent)
+      .join('/');
+    const fileUrl = upstreamUrl + relPath;
+    for (;;) {
+      const pending = fetching.get(filePath);
+      if (pending) {
+        // Serve the file fetched by the pending request, rather than fetching
+        // (and writing) it again concurrently.
+        // eslint-disable-next-line no-await-in-loop
+        await pending.catch(noop);
+        // eslint-disable-next-line no-await-in-loop
+        if (await sendFile(res, filePath, headOnly)) {
+          return;
+        }
+      } else {
+        // Registered without awaiting after checking fetching, so that only
+        // one request checks the cache and fetches the file at a time.
+        const fetchPromise =
+          fetchIfMissing(res, filePath, fileUrl, isVolatile);
+        fetching.set(filePath, fetchPromise);
+        let fetched;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          fetched = await fetchPromise;
+        } catch (errFetch) {
+          if (isVolatile
+            && !res.headersSent
+            // eslint-disable-next-line no-await-in-loop
+            && await sendFile(res, filePath, headOnly)) {
+            logger.warn(
+              'Unable to fetch %s: %s.  Serving cached copy.',
+              fileUrl,
+              errFetch.message,
+            );
+            return;
+          }
+
+          throw errFetch;
+        } finally {
+          fetching.delete(filePath);
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        if (fetched || await sendFile(res, filePath, headOnly)) {
+          return;
+        }
+      }
+
+      // File was removed (e.g. by pruning) or not fetched.  Try again.
+    }
+  }
+
+  return createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      if (res.headersSent) {
+        logger.error('Error sending %s: %s', req.url, err.message);
+        res.destroy();
+        return;
+      }
+
+      if (err instanceof HttpResponseError) {
+        // Pass through upstream status (e.g. 404 for missing builds)
+        res.writeHead(err.status);
+      } else {
+        logger.error('Error handling %s: %o', req.url, err);
+        res.writeHead(502);
+      }
+
+      res.end();
+    });
+  });
+}
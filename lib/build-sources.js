@@ -0,0 +1,252 @@
+/**
+ * Sources of builds to bisect:  Builds downloaded from a Node.js download
+ * server (and cached) or builds in a local directory.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+import { getCacheDir, migrateLegacyCache } from './build-cache.js';
+import {
+  getChannelBaseUrl,
+  isVersionOrderedChannel,
+} from './build-channels.js';
+import getBuildList from './get-build-list.js';
+import getLocalBuildList, { prepareLocalBuild } from './local-builds.js';
+import {
+  fetchNodeBuild,
+  getBuildCachePath,
+  prepareNodeBuild,
+  prepareNodeDist,
+} from './run-node-build.js';
+import splitBuildVersion from './split-build-version.js';
+
+/** Build prepared for testing by {@link BuildSource.prepare}.
+ *
+ * @private
+ * @typedef {!object} PreparedBuild
+ * @property {string} nodePath Path of the Node.js executable.
+ * @property {!module:noderegression.NoderegressionOptions} options Options
+ * with which to run the test command (e.g. with exeDir in $PATH).
+ */
+
+/** Source of builds to bisect.
+ *
+ * @private
+ * @typedef {!object} BuildSource
+ * @property {boolean} isLocal Builds are in a local directory, and are not
+ * downloaded.
+ * @property {boolean} isVersionOrdered Builds are ordered by version, rather
+ * than commit date.
+ * @property {function(): !Promise<!Array<!module:noderegression.BuildInfo>>}
+ * getBuildList Gets the builds, in commit (or version) order.
+ * @property {function(!module:noderegression.BuildInfo): string} getBuildYMD
+ * Gets the date (YYYYMMDD) of a build, for comparison with date bounds.
+ * @property {function(!module:noderegression.BuildInfo, !Array<string>):
+ * (string|undefined)} getTarget Gets the first of the given targets for which
+ * a build has files, if any.
+ * @property {function(!module:noderegression.BuildInfo, string):
+ * !Promise<boolean>} isCached Determines whether a build can be tested
+ * without downloading it.
+ * @property {function(!module:noderegression.BuildInfo, string,
+ * !module:noderegression.NoderegressionOptions): !Promise<!PreparedBuild>}
+ * prepare Prepares a build for testing in options.exeDir.
+ * @property {(function(!module:noderegression.BuildInfo, string,
+ * !module:noderegression.NoderegressionOptions): !Promise)=} prefetch
+ * Downloads a build which may be tested next, if builds are downloaded.
+ */
+
+/** Determines whether a given build has files for a given target.
+ *
+ * @private
+ * @param {!module:noderegression.BuildInfo} build Build.
+ * @param {string} target Build target name.
+ * @returns {boolean} true if build has files for target, false otherwise.
+ */
+function buildHasTarget(build, target) {
+  const [osname, arch, format] = target.split('-');
+  if (format === 'xz') {
+    // .tar.xz archives are published alongside .tar.gz archives, which are
+    // listed without a format for Linux (and some others) or as -tar.
+    return build.files.includes(`${osname}-${arch}`)
+      || build.files.includes(`${osname}-${arch}-tar`);
+  }
+
+  return build.files.includes(target);
+}
+
+/** Gets the date of a build from its build date (YYYY-MM-DD).
+ *
+ * @private
+ * @param {!module:noderegression.BuildInfo} build Build.
+ * @returns {string} Date of build (YYYYMMDD).
+ */
+function getBuildDateYMD({ date }) {
+  return date.replaceAll('-', '');
+}
+
+/** Sets options.buildCacheDir to the directory for options.channel in
+ * options.cacheDir, if it is not set.
+ *
+ * Builds cached before builds were cached per channel are moved to the
+ * directory for the nightly channel, so they continue to be used.
+ *
+ * @private
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise} Promise for completion of setting buildCacheDir.
+ */
+async function setDefaultBuildCacheDir(options) {
+  if (options.buildCacheDir) {
+    return;
+  }
+
+  const cacheDir = getCacheDir(options);
+  const movedCount = await migrateLegacyCache(cacheDir);
+  if (movedCount > 0) {
+    options.console.info(
+      'Moved %d cached builds to %s.',
+      movedCount,
+      path.join(cacheDir, 'nightly'),
+    );
+  }
+
+  options.buildCacheDir = path.join(cacheDir, options.channel);
+}
+
+/** Makes a source for builds in options.localBuildDir (or local builds from
+ * {@link module:noderegression.getLocalBuildList}).
+ *
+ * @private
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!BuildSource} Source of local builds.
+ */
+function makeLocalBuildSource(options) {
+  return {
+    isLocal: true,
+    // Local builds are ordered by commit, but their versions do not include
+    // a date.  Use the modification date of the build.
+    isVersionOrdered: false,
+    getBuildList: () => getLocalBuildList(options.localBuildDir, {
+      console: options.console,
+      manifest: options.localManifest,
+      repo: options.localRepo,
+    }),
+    getBuildYMD: getBuildDateYMD,
+    // Local builds are tested regardless of target
+    getTarget: () => 'local',
+    isCached: () => Promise.resolve(true),
+    prepare: async (build, target, testOptions) => ({
+      nodePath: await prepareLocalBuild(build, testOptions),
+      options: testOptions,
+    }),
+    prefetch: undefined,
+  };
+}
+
+/** Makes a source for builds downloaded from options.buildBaseUrl and cached
+ * in options.buildCacheDir, setting either to its default for
+ * options.channel if it is not set.
+ *
+ * @private
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * Modified to set defaults.
+ * @returns {!Promise<!BuildSource>} Promise for source of downloaded builds.
+ */
+async function makeDownloadBuildSource(options) {
+  if (!options.buildBaseUrl) {
+    options.buildBaseUrl = getChannelBaseUrl(options.channel);
+  } else if (!options.buildBaseUrl.endsWith('/')) {
+    options.buildBaseUrl += '/';
+  }
+
+  await setDefaultBuildCacheDir(options);
+
+  const isVersionOrdered = isVersionOrderedChannel(options.channel);
+  return {
+    isLocal: false,
+    isVersionOrdered,
+    getBuildList: () => getBuildList(
+      `${options.buildBaseUrl}index.json`,
+      {
+        ...options,
+        cachePath: path.join(options.buildCacheDir, 'index.json'),
+      },
+    ),
+    // Release and rc versions do not include a date.  Use build date.
+    getBuildYMD: isVersionOrdered ? getBuildDateYMD
+      : ({ version }) => splitBuildVersion(version)[1],
+    getTarget: (build, targets) => targets.find(
+      (target) => buildHasTarget(build, target),
+    ),
+    isCached: async (build, target) => {
+      try {
+        await stat(
+          getBuildCachePath(build.version, target, options.buildCacheDir),
+        );
+        return true;
+      } catch (errStat) {
+        if (errStat.code === 'ENOENT') {
+          return false;
+        }
+
+        throw errStat;
+      }
+    },
+    prepare: async (build, target, testOptions) => {
+      if (!testOptions.fullDist) {
+        return {
+          nodePath:
+            await prepareNodeBuild(build.version, target, testOptions),
+          options: testOptions,
+        };
+      }
+
+      const dist = await prepareNodeDist(build.version, target, testOptions);
+      return {
+        nodePath: dist.nodeExe,
+        // Run with npm, npx, and corepack from the build, and its headers
+        options: {
+          ...testOptions,
+          env: {
+            ...testOptions.env,
+            // eslint-disable-next-line camelcase
+            npm_config_nodedir: dist.nodeDir,
+          },
+          exeDir: dist.binDir,
+        },
+      };
+    },
+    prefetch: (build, target, prefetchOptions) => fetchNodeBuild(
+      build.version,
+      target,
+      prefetchOptions,
+    ),
+  };
+}
+
+/** Makes a source for the builds to bisect with given options.
+ *
+ * Builds are local if options.localBuildDir is set or if the given builds
+ * are local builds (e.g. from
+ * {@link module:noderegression.getLocalBuildList}).  Otherwise, they are
+ * downloaded.
+ *
+ * @private
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * Modified to set defaults for downloaded builds.
+ * @param {Array<!module:noderegression.BuildInfo>=} builds Builds to bisect,
+ * if known.
+ * @returns {!Promise<!BuildSource>} Promise for source of builds.
+ */
+export default function makeBuildSource(options, builds) {
+  if (options.localBuildDir !== undefined
+    || builds?.some((build) => build.localPath !== undefined)) {
+    return Promise.resolve(makeLocalBuildSource(options));
+  }
+
+  return makeDownloadBuildSource(options);
+}
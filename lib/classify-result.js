@@ -0,0 +1,119 @@
+/**
+ * Functions for classifying the result of a test command run as good, bad,
+ * or skip.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+const results = ['bad', 'good', 'skip'];
+
+function toArray(value) {
+  return value === undefined || Array.isArray(value) ? value : [value];
+}
+
+/** Classifies a test result using the default classification, as for
+ * git bisect run:  Exit code 0 is good, 125 is skip, anything else is bad.
+ *
+ * @private
+ * @param {?number} code Exit code of test command.
+ * @returns {string} good, bad, or skip.
+ */
+export function defaultClassify(code) {
+  return code === 125 ? 'skip'
+    : code === 0 ? 'good'
+      : 'bad';
+}
+
+/** Checks that a given classification rule is valid and normalizes it.
+ *
+ * @private
+ * @param {!module:noderegression.ClassifyRule} rule Rule to check.
+ * @param {number} i Index of rule in rules (for error messages).
+ * @returns {!{result: string, codes: Array<number>=, signals:
+ * Array<string>=, output: RegExp=}} Normalized rule.
+ * @throws {TypeError} If rule is not an object or a criterion has the wrong
+ * type.
+ * @throws {RangeError} If rule.result is not good, bad, or skip.
+ */
+function checkRule(rule, i) {
+  const name = `options.classify[${i}]`;
+  if (!rule || typeof rule !== 'object') {
+    throw new TypeError(`${name} must be an object`);
+  }
+
+  if (!results.includes(rule.result)) {
+    throw new RangeError(`${name}.result must be bad, good, or skip`);
+  }
+
+  const codes = toArray(rule.code);
+  if (codes && codes.some((code) => !Number.isSafeInteger(code))) {
+    throw new TypeError(`${name}.code must be an integer or Array of integers`);
+  }
+
+  const signals = toArray(rule.signal);
+  if (signals && signals.some((signal) => typeof signal !== 'string')) {
+    throw new TypeError(`${name}.signal must be a string or Array of strings`);
+  }
+
+  if (rule.output !== undefined && !(rule.output instanceof RegExp)) {
+    throw new TypeError(`${name}.output must be a RegExp`);
+  }
+
+  return {
+    result: rule.result,
+    codes,
+    signals,
+    // Remove global and sticky flags, which make .test() stateful
+    output: rule.output && new RegExp(
+      rule.output.source,
+      rule.output.flags.replaceAll(/[gy]/g, ''),
+    ),
+  };
+}
+
+/** Creates a function which classifies test results using given rules.
+ *
+ * @private
+ * @param {!Array<!module:noderegression.ClassifyRule>=} rules Rules to apply,
+ * in order.  The first matching rule determines the result.
+ * @returns {function(?number, ?string, string=): string} Function which
+ * classifies the exit code, signal, and output of a test command as good,
+ * bad, or skip.  Results which do not match any rule are classified by
+ * {@link defaultClassify}.
+ * @throws {TypeError} If rules is not an Array or a rule is not valid.
+ * @throws {RangeError} If a rule has an invalid result.
+ */
+export function makeClassifier(rules) {
+  if (rules === undefined) {
+    return defaultClassify;
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new TypeError('options.classify must be an Array');
+  }
+
+  const checkedRules = rules.map(checkRule);
+  return function classify(code, signal, output) {
+    for (const rule of checkedRules) {
+      if ((!rule.codes || rule.codes.includes(code))
+        && (!rule.signals || rule.signals.includes(signal))
+        && (!rule.output || rule.output.test(output))) {
+        return rule.result;
+      }
+    }
+
+    return defaultClassify(code);
+  };
+}
+
+/** Determines whether any of the given rules match against test output.
+ *
+ * @private
+ * @param {Array<!module:noderegression.ClassifyRule>=} rules Rules.
+ * @returns {boolean} true if any rule has an output criterion.
+ */
+export function rulesNeedOutput(rules) {
+  return Boolean(rules && rules.some((rule) => rule.output !== undefined));
+}
@@ -0,0 +1,69 @@
+/**
+ * Extract members from an xz-compressed tar file using the xz command.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { spawn } from 'node:child_process';
+
+import extractTar from './tar.js';
+
+let xzAvailable;
+
+/** Determines whether the xz command can be run.
+ *
+ * @private
+ * @returns {!Promise<boolean>} Promise for true if `xz --version` exits with
+ * code 0, false otherwise.
+ */
+export function isXzAvailable() {
+  xzAvailable ??= new Promise((resolve) => {
+    const child = spawn('xz', ['--version'], { stdio: 'ignore' });
+    child.once('error', () => resolve(false));
+    child.once('close', (code) => resolve(code === 0));
+  });
+  return xzAvailable;
+}
+
+// Imported dynamically to extract tar.xz filetype
+export default async function extractTarXz(tarXzPath, fileList, options) {
+  const child = spawn(
+    'xz',
+    ['--decompress', '--stdout', '--', tarXzPath],
+    { stdio: ['ignore', 'pipe', 'inherit'] },
+  );
+  const xzPromise = new Promise((resolve, reject) => {
+    child.once('error', (errSpawn) => {
+      errSpawn.message = `Unable to run xz: ${errSpawn.message}`;
+      reject(errSpawn);
+    });
+    child.once('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`xz failed to decompress ${tarXzPath} (${
+          signal ? `killed by ${signal}` : `exit code ${code}`})`));
+      }
+    });
+  });
+
+  const [tarResult, xzResult] = await Promise.allSettled([
+    extractTar(child.stdout, fileList, options),
+    xzPromise,
+  ]);
+
+  // If xz could not be run, the tar error (for empty input) is not useful.
+  // If tar failed, xz may fail due to the closed pipe.
+  if (xzResult.status === 'rejected'
+    && (tarResult.status === 'fulfilled' || child.pid === undefined)) {
+    throw xzResult.reason;
+  }
+
+  if (tarResult.status === 'rejected') {
+    throw tarResult.reason;
+  }
+
+  return tarResult.value;
+}
@@ -18,8 +18,29 @@ import { Parser } from 'tar/parse';
 
 const debug = debuglog('noderegression:extract/tar');
 
+/** Determines whether a path is a given directory or below it.
+ *
+ * @private
+ * @param {string} dirPath Path of directory.
+ * @param {string} filePath Path to check.
+ * @returns {boolean} true if filePath is dirPath or below it, false
+ * otherwise.
+ */
+function isInDir(dirPath, filePath) {
+  const relPath = path.relative(dirPath, filePath);
+  return relPath !== '..'
+    && !relPath.startsWith(`..${path.sep}`)
+    && !path.isAbsolute(relPath);
+}
+
 // Imported dynamically to extract tar filetype
+//
+// Symbolic links must be relative and point within options.root (default:
+// the directory containing the link), so that entries can not be written
+// outside of it.  Entries below an extracted link are not extracted.
 export default async function extractTar(tarPathOrStream, fileList, options) {
+  const getDest = typeof fileList === 'function' ? fileList
+    : (entryPath) => fileList[entryPath];
   const dirOptions = {
     mode: options && options.dirMode,
     recursive: true,
@@ -28,7 +49,7 @@ export default async function extractTar(tarPathOrStream, fileList, options) {
   const tarParse = new Parser({
     strict: true,
     filter: (entryPath, entry) => {
-      if (!fileList[entryPath]) {
+      if (!getDest(entryPath)) {
         debug(`Not extracting ${entryPath}.`);
         return false;
       }
@@ -36,8 +57,30 @@ export default async function extractTar(tarPathOrStream, fileList, options) {
     },
   });
   let entryCount = 0;
+  // Destination paths of extracted symbolic links
+  const linkDests = new Set();
+  const getLinkAncestor = (dest) => {
+    for (let dir = dest; ; dir = path.dirname(dir)) {
+      if (linkDests.has(dir)) {
+        return dir;
+      }
+
+      if (path.dirname(dir) === dir) {
+        return undefined;
+      }
+    }
+  };
+  // Writes of extracted entries, which may finish after parsing
+  const writes = [];
+  let errWrite;
+  const addWrite = (write) => {
+    writes.push(write.catch((err) => {
+      errWrite ??= err;
+      tarParse.abort(err);
+    }));
+  };
   tarParse.on('entry', (entry) => {
-    const dest = fileList[entry.path];
+    const dest = getDest(entry.path);
     if (!dest) {
       tarParse.abort(new AssertionError({
         message: `entry with path ${entry.path} not filtered out!?`,
@@ -46,7 +89,24 @@ export default async function extractTar(tarPathOrStream, fileList, options) {
       return;
     }
 
-    if (entry.type !== 'File') {
+    // Note: Checked before any write is started, since writes of entries
+    // may run concurrently with (or before) writes of preceding links.
+    const linkAncestor = getLinkAncestor(path.resolve(dest));
+    if (linkAncestor !== undefined) {
+      tarParse.abort(new Error(
+        `entry ${entry.path} is below symbolic link ${linkAncestor}`,
+      ));
+      return;
+    }
+
+    if (entry.type === 'Directory') {
+      debug(`Creating ${dest} for ${entry.path}...`);
+      entry.resume();
+      addWrite(fs.promises.mkdir(dest, dirOptions));
+      return;
+    }
+
+    if (entry.type !== 'File' && entry.type !== 'SymbolicLink') {
       tarParse.abort(new AssertionError({
         message: `unsupported entry type ${entry.type}`,
         operator: 'fail',
@@ -54,25 +114,42 @@ export default async function extractTar(tarPathOrStream, fileList, options) {
       return;
     }
 
-    fs.mkdir(path.dirname(dest), dirOptions, (errDir) => {
-      if (errDir) {
-        tarParse.abort(errDir);
+    if (entry.type === 'SymbolicLink') {
+      const destDir = path.dirname(path.resolve(dest));
+      if (path.isAbsolute(entry.linkpath)
+        || !isInDir(
+          path.resolve((options && options.root) || destDir),
+          path.resolve(destDir, entry.linkpath),
+        )) {
+        tarParse.abort(new Error(
+          `symbolic link ${entry.path} to ${entry.linkpath} points outside `
+          + 'of extraction directory',
+        ));
         return;
       }
 
-      debug(`Extracting ${entry.path} to ${dest}...`);
-      entryCount += 1;
-
-      const fileOptions = {
-        flags: options && options.fileFlags,
-        mode: (options && options.fileMode) || entry.mode,
-      };
-      pipeline(
-        entry,
-        fs.createWriteStream(dest, fileOptions),
-      )
-        .catch((errPipe) => tarParse.abort(errPipe));
-    });
+      linkDests.add(path.resolve(dest));
+    }
+
+    entryCount += 1;
+    const fileOptions = {
+      flags: options && options.fileFlags,
+      mode: (options && options.fileMode) || entry.mode,
+    };
+    addWrite(fs.promises.mkdir(path.dirname(dest), dirOptions)
+      .then(() => {
+        if (entry.type === 'SymbolicLink') {
+          debug(`Linking ${dest} to ${entry.linkpath} for ${entry.path}...`);
+          entry.resume();
+          return fs.promises.symlink(entry.linkpath, dest);
+        }
+
+        debug(`Extracting ${entry.path} to ${dest}...`);
+        return pipeline(
+          entry,
+          fs.createWriteStream(dest, fileOptions),
+        );
+      }));
   });
 
   const tarStream = typeof tarPathOrStream !== 'string' ? tarPathOrStream
@@ -81,6 +158,10 @@ export default async function extractTar(tarPathOrStream, fileList, options) {
     tarStream,
     tarParse,
   );
+  await Promise.all(writes);
+  if (errWrite) {
+    throw errWrite;
+  }
 
   return entryCount;
 }
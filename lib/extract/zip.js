@@ -16,6 +16,8 @@ const { mkdir } = fs.promises;
 
 // Imported dynamically to extract zip filetype
 export default function extractZip(zipPath, fileList, options) {
+  const getDest = typeof fileList === 'function' ? fileList
+    : (entryPath) => fileList[entryPath];
   return new Promise((resolve, reject) => {
     yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
       if (err) {
@@ -36,12 +38,19 @@ export default function extractZip(zipPath, fileList, options) {
       zipfile.once('error', reject);
       let entryCount = 0;
       zipfile.on('entry', (entry) => {
-        const dest = fileList[entry.fileName];
+        const dest = getDest(entry.fileName);
         if (!dest) {
           zipfile.readEntry();
           return;
         }
 
+        if (entry.fileName.endsWith('/')) {
+          mkdir(dest, dirOptions)
+            .then(() => zipfile.readEntry())
+            .catch(reject);
+          return;
+        }
+
         entryCount += 1;
         Promise.all([
           openReadStreamP.call(zipfile, entry),
@@ -0,0 +1,118 @@
+/**
+ * Functions for finding a build by version or commit.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import splitBuildVersion from './split-build-version.js';
+
+const commitRegExp = /^[0-9a-f]{7,40}$/i;
+const prereleaseVersionRegExp = /^v[0-9]+\.[0-9]+\.[0-9]+-[0-9A-Za-z.-]+$/;
+const releaseVersionRegExp = /^v?[0-9]+\.[0-9]+\.[0-9]+$/;
+// Dates in YYYYMMDD format (as in nightly build versions) could also be
+// abbreviated commit hashes.  They are treated as dates.
+const ymdRegExp = /^[0-9]{4}(?:0[1-9]|1[0-2])(?:0[1-9]|[12][0-9]|3[01])$/;
+
+function getBuildCommit(version) {
+  // Local builds are versioned by commit
+  if (commitRegExp.test(version)) {
+    return version.toLowerCase();
+  }
+
+  try {
+    const [,, commit] = splitBuildVersion(version);
+    return commit;
+  } catch {
+    // Release and rc versions do not include a commit
+    return undefined;
+  }
+}
+
+/** Determines whether a given string has the format of a build identifier
+ * accepted by {@link findBuildIndex}.
+ *
+ * @param {string} str String to check.
+ * @returns {boolean} true if str is a pre-release build version (e.g.
+ * v16.0.0-nightly202102189a2ac2c615 or v16.0.0-rc.1), release version (e.g.
+ * v16.0.0), or abbreviated commit hash (at least 7 hex digits, other than a
+ * date in YYYYMMDD format).
+ */
+export function isBuildId(str) {
+  return typeof str === 'string'
+    && ((commitRegExp.test(str) && !ymdRegExp.test(str))
+      || releaseVersionRegExp.test(str)
+      || prereleaseVersionRegExp.test(str));
+}
+
+/** Finds the index of the build identified by a given pre-release build
+ * version (e.g. nightly, v8-canary, or rc), release version, or abbreviated
+ * commit hash.
+ *
+ * Release versions match the release build with the same version, if present.
+ * Since release builds are not in the nightly build list, release versions
+ * are otherwise matched to the last nightly build with the same version
+ * number, which is approximately when the release branch was created.
+ *
+ * @param {!Array<!module:noderegression.BuildInfo>} builds Builds in commit
+ * order.
+ * @param {string} buildId Pre-release build version, release version, or
+ * abbreviated commit hash.
+ * @returns {number} Index of build in builds identified by buildId.
+ * @throws {Error} If buildId does not identify exactly one build.
+ */
+export function findBuildIndex(builds, buildId) {
+  if (prereleaseVersionRegExp.test(buildId)) {
+    const index = builds.findIndex(({ version }) => version === buildId);
+    if (index === -1) {
+      throw new Error(`No build with version ${buildId}`);
+    }
+
+    return index;
+  }
+
+  if (releaseVersionRegExp.test(buildId)) {
+    const release = buildId.startsWith('v') ? buildId : `v${buildId}`;
+    const releaseIndex = builds.findIndex(({ version }) => version === release);
+    if (releaseIndex !== -1) {
+      return releaseIndex;
+    }
+
+    const versionPrefix = `${release}-`;
+    const index =
+      builds.findLastIndex(({ version }) => version.startsWith(versionPrefix));
+    if (index === -1) {
+      throw new Error(`No build for version ${buildId}`);
+    }
+
+    return index;
+  }
+
+  if (commitRegExp.test(buildId) && !ymdRegExp.test(buildId)) {
+    const buildCommit = buildId.toLowerCase();
+    const indexes = [];
+    for (const [i, { version }] of builds.entries()) {
+      const commit = getBuildCommit(version);
+      if (commit
+        && (commit.startsWith(buildCommit) || buildCommit.startsWith(commit))) {
+        indexes.push(i);
+      }
+    }
+
+    if (indexes.length === 0) {
+      throw new Error(`No build for commit ${buildId}`);
+    }
+
+    if (indexes.length > 1) {
+      throw new Error(`Commit ${buildId} is ambiguous.  Matches ${
+        indexes.map((i) => builds[i].version).join(', ')}`);
+    }
+
+    return indexes[0];
+  }
+
+  throw new RangeError(
+    `Build "${buildId}" is not a build version or commit hash`,
+  );
+}
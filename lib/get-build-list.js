@@ -6,9 +6,21 @@
  * @private
  */
 
+import {
+  mkdir,
+  readFile,
+  rename,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
 import { debuglog } from 'node:util';
 
+import {
+  getChannelBaseUrl,
+  isVersionOrderedChannel,
+} from './build-channels.js';
 import HttpResponseError from './http-response-error.js';
+import retryTransient from './retry.js';
 import splitBuildVersion from './split-build-version.js';
 import { addDashes } from './ymd-utils.js';
 
@@ -63,10 +75,12 @@ const commitOrderByDate = {
  *
  * @private
  * @param {!Array<!module:noderegression.BuildInfo>} builds Array of builds.
+ * @param {string} channel Build channel of builds.
  * @returns {!Array<!module:noderegression.BuildInfo>} Builds for unique
- * commits which are ancestors of the master branch.
+ * commits which are ancestors of the master branch (for nightly builds) or
+ * canary branch (for V8 canary builds).
  */
-function filterAndNormalizeBuilds(builds) {
+function filterAndNormalizeBuilds(builds, channel) {
   const commitToVersion = new Map();
   return builds.filter((build) => {
     if (build.version.startsWith('v0.')) {
@@ -78,20 +92,22 @@ function filterAndNormalizeBuilds(builds) {
 
     const [version, , commit] = splitBuildVersion(build.version);
 
-    // Commits which are not ancestors of master are not helpful for bisecting
-    // a regression on master.
-    if (!version.endsWith('.0.0') || nonMasterCommits.has(commit)) {
-      debug(`Ignoring build ${build.version} for non-master commit.`);
-      return false;
-    }
+    if (channel === 'nightly') {
+      // Commits which are not ancestors of master are not helpful for
+      // bisecting a regression on master.
+      if (!version.endsWith('.0.0') || nonMasterCommits.has(commit)) {
+        debug(`Ignoring build ${build.version} for non-master commit.`);
+        return false;
+      }
 
-    // Some commits no longer exist in the git repository (post-build rebase?)
-    // Not helpful for bisecting.
-    if (missingCommits.has(commit)) {
-      debug(
-        `Ignoring build ${build.version} with commit ${commit} not in git.`,
-      );
-      return false;
+      // Some commits no longer exist in the git repository (post-build
+      // rebase?)  Not helpful for bisecting.
+      if (missingCommits.has(commit)) {
+        debug(
+          `Ignoring build ${build.version} with commit ${commit} not in git.`,
+        );
+        return false;
+      }
     }
 
     // Some commits are built on multiple days (c8df5cf74a on 20191017 and 18)
@@ -136,9 +152,10 @@ function reorderRange(builds, start, end, commitOrder) {
  * @private
  * @param {!Array<!module:noderegression.BuildInfo>} builds Array of builds to
  * reorder.
+ * @param {string} channel Build channel of builds.
  * @param {!GetBuildListOptions=} options Options.
  */
-function reorderBuilds(builds, options = {}) {
+function reorderBuilds(builds, channel, options = {}) {
   if (builds.length === 0) {
     return;
   }
@@ -156,7 +173,8 @@ function reorderBuilds(builds, options = {}) {
     }
 
     if (ymd === prevYMD) {
-      const commitOrder = commitOrderByDate[ymd];
+      const commitOrder =
+        channel === 'nightly' ? commitOrderByDate[ymd] : undefined;
       if (commitOrder) {
         let lastSame = i + 1;
         while (lastSame < builds.length
@@ -193,43 +211,174 @@ function reorderBuilds(builds, options = {}) {
   builds.reverse();
 }
 
+/** Filter release or release candidate build list to include only builds
+ * useful for bisecting and sort them by version.
+ *
+ * @private
+ * @param {!Array<!module:noderegression.BuildInfo>} builds Array of builds.
+ * @param {string} channel Build channel of builds.
+ * @returns {!Array<!module:noderegression.BuildInfo>} Release builds in
+ * increasing order by version.
+ */
+function filterAndSortReleases(builds, channel) {
+  const versionRegExp = channel === 'rc'
+    ? /^v([0-9]+)\.([0-9]+)\.([0-9]+)-rc\.([0-9]+)$/
+    : /^v([0-9]+)\.([0-9]+)\.([0-9]+)$/;
+  const releases = [];
+  for (const build of builds) {
+    const match = versionRegExp.exec(build.version);
+    if (!match) {
+      debug(`Ignoring build ${build.version} with non-${channel} version.`);
+    } else if (match[1] === '0') {
+      // Skip 0.12/0.10, which have exe files with different paths than the
+      // others.
+      debug(`Ignoring build ${build.version} for pre-4.0 release.`);
+    } else {
+      releases.push({
+        build,
+        semver: match.slice(1).map(Number),
+      });
+    }
+  }
+
+  releases.sort(({ semver: semver1 }, { semver: semver2 }) => {
+    for (const [i, part1] of semver1.entries()) {
+      if (part1 !== semver2[i]) {
+        return part1 - semver2[i];
+      }
+    }
+    return 0;
+  });
+
+  return releases.map(({ build }) => build);
+}
+
+/** Saves build list JSON to a given path.
+ *
+ * @private
+ * @param {string} cachePath Path to which the build list is saved.
+ * @param {string} buildIndexJson Build list JSON.
+ * @returns {!Promise} Promise for completion of saving.
+ */
+async function saveBuildList(cachePath, buildIndexJson) {
+  await mkdir(path.dirname(cachePath), { recursive: true });
+
+  // Write to temporary file, then rename, so that the cached file is either
+  // the previous or new build list, never partially written.
+  const partPath = `${cachePath}.part`;
+  await writeFile(partPath, buildIndexJson);
+  await rename(partPath, cachePath);
+}
+
+/** Reads build list JSON previously saved to a given path.
+ *
+ * @private
+ * @param {string} cachePath Path to which the build list was saved.
+ * @returns {!Promise<string>} Promise for the build list JSON.
+ */
+async function readSavedBuildList(cachePath) {
+  try {
+    return await readFile(cachePath, { encoding: 'utf8' });
+  } catch (errRead) {
+    if (errRead.code === 'ENOENT') {
+      throw new Error(
+        `No cached build list at ${cachePath}.  Run without offline mode to `
+        + 'cache it.',
+        { cause: errRead },
+      );
+    }
+
+    throw errRead;
+  }
+}
+
 /** Options for {@link getBuildList}.
  *
  * @typedef {!object} GetBuildListOptions
+ * @property {string=} cachePath Path to which the build list is saved after
+ * it is downloaded, and from which it is read if {@link offline}.
+ * @property {!module:noderegression.NoderegressionConsole=} console Logger
+ * to which retries of downloading the build list are reported.
  * @property {!module:node-fetch.fetch=} fetch Fetch function compatible with
  * node-fetch for downloading the build list.
  * @property {!module:node-fetch.RequestInit=} fetchOptions Options passed to
  * {@link fetch} when downloading the build list.
+ * @property {string=} channel Build channel of the build list (nightly, rc,
+ * release, or v8-canary).  (default: nightly)
+ * @property {boolean=} offline Read the build list from {@link cachePath}
+ * instead of downloading it.
+ * @property {number=} retries Maximum number of times to retry downloading
+ * the build list after a transient error (e.g. connection reset or HTTP 503).
+ * (default: 3)
+ * @property {number=} retryDelay Delay, in milliseconds, before the first
+ * retry, which doubles for each subsequent retry. (default: 1000)
  * @property {boolean=} strictOrder Throw an exception if build order is not
  * known correct (e.g. builds on same date with unknown order)
  */
 
 /** Gets the list of builds which for commits to bisect, in commit order.
+ *
+ * For release and rc builds, builds are in version order, which is commit
+ * order for builds in the same release line.
  *
  * @param {string=} buildIndexUrl URL of JSON build list.
- * (default: https://nodejs.org/download/nightly/index.json)
+ * (default: index.json for options.channel, e.g.
+ * https://nodejs.org/download/nightly/index.json)
  * @param {!GetBuildListOptions=} options Options.
  * @returns {!Array<!module:noderegression.BuildInfo>} Builds to bisect in
  * commit order.
+ * @throws {RangeError} If options.channel is not a known build channel.
  */
 export default async function getBuildList(
-  buildIndexUrl = 'https://nodejs.org/download/nightly/index.json',
+  buildIndexUrl,
   options = {},
 ) {
-  const myFetch = options.fetch ?? fetch;
-  const { fetchOptions } = options;
-  const res = await myFetch(buildIndexUrl, fetchOptions);
-  if (!res.ok) {
-    throw new HttpResponseError(res);
+  const channel = options.channel ?? 'nightly';
+  const versionOrdered = isVersionOrderedChannel(channel);
+  if (buildIndexUrl === undefined) {
+    buildIndexUrl = `${getChannelBaseUrl(channel)}index.json`;
+  }
+
+  const { cachePath } = options;
+  let buildIndexJson;
+  if (options.offline) {
+    if (!cachePath) {
+      throw new TypeError('options.cachePath is required for offline');
+    }
+
+    buildIndexUrl = cachePath;
+    buildIndexJson = await readSavedBuildList(cachePath);
+  } else {
+    const myFetch = options.fetch ?? fetch;
+    const { fetchOptions } = options;
+    buildIndexJson = await retryTransient(async () => {
+      const res = await myFetch(buildIndexUrl, fetchOptions);
+      if (!res.ok) {
+        throw new HttpResponseError(res);
+      }
+
+      return res.text();
+    }, options);
   }
 
+  let builds;
   try {
-    const allBuilds = await res.json();
-    const builds = filterAndNormalizeBuilds(allBuilds);
-    reorderBuilds(builds, options);
-    return builds;
+    const allBuilds = JSON.parse(buildIndexJson);
+    if (versionOrdered) {
+      builds = filterAndSortReleases(allBuilds, channel);
+    } else {
+      builds = filterAndNormalizeBuilds(allBuilds, channel);
+      reorderBuilds(builds, channel, options);
+    }
   } catch (err) {
     err.message = `Error processing ${buildIndexUrl}: ${err.message}`;
     throw err;
   }
+
+  // Save after processing to avoid caching a build list which can't be used
+  if (cachePath && !options.offline) {
+    await saveBuildList(cachePath, buildIndexJson);
+  }
+
+  return builds;
 }
@@ -0,0 +1,251 @@
+/**
+ * Functions for inspecting and continuing bisection on the commits between
+ * builds using git in a Node.js repository.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { spawn } from 'node:child_process';
+
+import { getOutputStdio, pipeOutput } from './output-stdio.js';
+import splitBuildVersion from './split-build-version.js';
+
+function noop() {}
+
+/** Gets a git revision for a given build.
+ *
+ * @private
+ * @param {!module:noderegression.BuildInfo} build Build.
+ * @returns {string} Commit hash for nightly and v8-canary builds, version
+ * (i.e. tag name) for release and rc builds.
+ */
+export function getBuildRev(build) {
+  try {
+    const [,, commit] = splitBuildVersion(build.version);
+    return commit;
+  } catch {
+    // Release and rc versions do not include a commit
+    return build.version;
+  }
+}
+
+/** Streams to which output of a child process is written.
+ *
+ * @private
+ * @typedef {!object} OutputStreams
+ * @property {module:stream.Writable=} stdout Stream to which stdout is
+ * written.  (default: stdout of this process)
+ * @property {module:stream.Writable=} stderr Stream to which stderr is
+ * written.  (default: stderr of this process)
+ */
+
+/** Runs git with given arguments in a given repository.
+ *
+ * @private
+ * @param {string} repo Path of git repository.
+ * @param {!Array<string>} args Arguments to git.
+ * @param {boolean=} captureOutput Capture stdout of git, rather than writing
+ * it to outputs.stdout.
+ * @param {OutputStreams=} outputs Streams to which output of git is written.
+ * @returns {!Promise<string|undefined>} Promise for stdout of git, if
+ * captureOutput, which is rejected if git exits with a non-zero code.
+ */
+export function runGit(repo, args, captureOutput, outputs = {}) {
+  return new Promise((resolve, reject) => {
+    const stdoutChunks = [];
+    const child = spawn(
+      'git',
+      ['-C', repo, ...args],
+      {
+        stdio: [
+          'inherit',
+          captureOutput ? 'pipe' : getOutputStdio(outputs.stdout),
+          getOutputStdio(outputs.stderr),
+        ],
+      },
+    );
+    if (!captureOutput) {
+      pipeOutput(child.stdout, outputs.stdout);
+    }
+    pipeOutput(child.stderr, outputs.stderr);
+    if (captureOutput) {
+      child.stdout.on('data', (chunk) => {
+        stdoutChunks.push(chunk);
+      });
+    }
+    child.once('error', (errSpawn) => {
+      errSpawn.message = `Unable to run git: ${errSpawn.message}`;
+      reject(errSpawn);
+    });
+    child.once('close', (code, signal) => {
+      if (code === 0) {
+        resolve(
+          captureOutput ? Buffer.concat(stdoutChunks).toString() : undefined,
+        );
+      } else {
+        reject(new Error(`git ${args.join(' ')} failed (${
+          signal ? `killed by ${signal}` : `exit code ${code}`})`));
+      }
+    });
+  });
+}
+
+/** Options for {@link gitBisect}.
+ *
+ * @typedef {!object} GitBisectOptions
+ * @property {string} repo Path of a Node.js git repository (clone of
+ * https://github.com/nodejs/node) in which to run `git bisect`.
+ * @property {!Array<string>=} runCommand Command (with any arguments) passed
+ * to `git bisect run` to build and test each commit, after which the
+ * bisection is ended with `git bisect reset`.  If not set, bisection is
+ * started but not run (or reset).
+ * @property {module:stream.Writable=} stderr Stream to which stderr of git
+ * (and runCommand) is written.  (default: stderr of this process)
+ * @property {module:stream.Writable=} stdout Stream to which stdout of git
+ * (and runCommand) is written.  (default: stdout of this process)
+ */
+
+/** Starts `git bisect` on the commits between a given last-good and
+ * first-bad build (e.g. as returned by
+ * {@link module:noderegression.bisectRange}) and optionally runs it.
+ *
+ * @param {!module:noderegression.BuildInfo} goodBuild Last good build.
+ * @param {!module:noderegression.BuildInfo} badBuild First bad build.
+ * @param {!GitBisectOptions} options Options.
+ * @returns {!Promise<string|undefined>} Promise for the hash of the first bad
+ * commit, if options.runCommand is set.
+ */
+export default async function gitBisect(goodBuild, badBuild, options) {
+  if (!goodBuild || !badBuild) {
+    throw new TypeError('goodBuild and badBuild are required for git bisect');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const { repo, runCommand } = options;
+  if (typeof repo !== 'string' || repo.length === 0) {
+    throw new TypeError('options.repo must be a non-empty string');
+  }
+
+  if (runCommand !== undefined
+    && (!Array.isArray(runCommand) || runCommand.length === 0)) {
+    throw new TypeError('options.runCommand must be a non-empty Array');
+  }
+
+  await runGit(
+    repo,
+    ['bisect', 'start', getBuildRev(badBuild), getBuildRev(goodBuild)],
+    false,
+    options,
+  );
+
+  if (!runCommand) {
+    return undefined;
+  }
+
+  let badCommit;
+  try {
+    await runGit(repo, ['bisect', 'run', ...runCommand], false, options);
+    badCommit = await runGit(
+      repo,
+      ['rev-parse', '--verify', 'refs/bisect/bad'],
+      true,
+      options,
+    );
+  } catch (errRun) {
+    // Check out the previous HEAD, but report the error from bisecting
+    await runGit(repo, ['bisect', 'reset'], false, options).catch(noop);
+    throw errRun;
+  }
+
+  // Check out the HEAD from before bisecting
+  await runGit(repo, ['bisect', 'reset'], false, options);
+  return badCommit.trim();
+}
+
+/** Gets the URL of a GitHub page comparing the commits between given builds.
+ *
+ * @private
+ * @param {!module:noderegression.BuildInfo} goodBuild Last good build.
+ * @param {!module:noderegression.BuildInfo} badBuild First bad build.
+ * @returns {string} URL of GitHub comparison of goodBuild and badBuild in
+ * the nodejs/node repository.
+ */
+export function getCompareUrl(goodBuild, badBuild) {
+  return `https://github.com/nodejs/node/compare/${
+    getBuildRev(goodBuild)}...${getBuildRev(badBuild)}`;
+}
+
+/** git log format for {@link listCommits}:  Hash, subject, and PR-URL
+ * separated by US (0x1F), with each commit terminated by RS (0x1E).
+ *
+ * @private
+ */
+const logFormat =
+  '%H%x1F%s%x1F%(trailers:key=PR-URL,valueonly,separator=%x20)%x1E';
+
+/** Information about a commit.
+ *
+ * @typedef {!object} CommitInfo
+ * @property {string} commit Commit hash.
+ * @property {string} subject First line of the commit message.
+ * @property {string|undefined} prUrl URL of the pull request for the commit,
+ * from the PR-URL trailer, if present.
+ * @property {number|undefined} pr Number of the pull request for the commit,
+ * if prUrl is present.
+ */
+
+/** Lists the commits between given builds in a Node.js repository.
+ *
+ * @param {!module:noderegression.BuildInfo} goodBuild Last good build.
+ * @param {!module:noderegression.BuildInfo} badBuild First bad build.
+ * @param {!{repo: string, stderr: module:stream.Writable=}} options
+ * Options, with the path of a Node.js git repository as repo and an optional
+ * stream to which stderr of git is written as stderr.
+ * @returns {!Promise<!Array<!CommitInfo>>} Promise for commits after
+ * goodBuild up to and including badBuild, oldest first.
+ */
+export async function listCommits(goodBuild, badBuild, options) {
+  if (!goodBuild || !badBuild) {
+    throw new TypeError('goodBuild and badBuild are required to list commits');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const { repo } = options;
+  if (typeof repo !== 'string' || repo.length === 0) {
+    throw new TypeError('options.repo must be a non-empty string');
+  }
+
+  const log = await runGit(
+    repo,
+    [
+      'log',
+      '--reverse',
+      `--format=${logFormat}`,
+      `${getBuildRev(goodBuild)}..${getBuildRev(badBuild)}`,
+    ],
+    true,
+    options,
+  );
+  return log.split('\u{1E}')
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [commit, subject, trailer] = record.split('\u{1F}');
+      const prUrl = trailer.trim().split(' ')[0] || undefined;
+      const prMatch = prUrl && /\/pull\/([0-9]+)/.exec(prUrl);
+      return {
+        commit,
+        subject,
+        prUrl,
+        pr: prMatch ? Number(prMatch[1]) : undefined,
+      };
+    });
+}
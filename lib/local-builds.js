@@ -0,0 +1,233 @@
+/**
+ * Functions for bisecting Node.js builds in a local directory (e.g. built
+ * from commits in a Node.js git repository) rather than builds from
+ * nodejs.org.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { constants } from 'node:fs';
+import {
+  copyFile,
+  readdir,
+  readFile,
+  stat,
+} from 'node:fs/promises';
+import path from 'node:path';
+
+import { runGit } from './git-bisect.js';
+
+/** Name of a local build: an abbreviated or full commit hash, followed by
+ * the extension of a Node.js executable or archive, if any.
+ *
+ * @private
+ */
+const localBuildRegExp =
+  /^([0-9a-f]{7,40})(\.exe|\.tar|\.tar\.gz|\.tgz|\.zip)?$/i;
+
+/** Path of the Node.js executable in archives from `make binary` (or
+ * vcbuild.bat package) in the Node.js repository.
+ *
+ * @private
+ */
+const archiveMemberRegExp = /^(?:\.\/)?[^/]+\/(?:bin\/node|node\.exe)$/;
+
+/** Options for {@link getLocalBuildList}.
+ *
+ * @typedef {!object} LocalBuildListOptions
+ * @property {!module:noderegression.NoderegressionConsole=} console Logger
+ * to which builds which can not be ordered are reported.
+ * @property {string=} manifest Path of a file listing commit hashes (full or
+ * abbreviated), one per line, oldest first, which determines the order of
+ * builds.  Empty lines and lines starting with # are ignored.  Builds for
+ * commits which are not listed are ignored. (default: manifest.txt in the
+ * build directory)
+ * @property {string=} repo Path of a Node.js git repository in which
+ * `git rev-list` determines the order of builds (instead of
+ * {@link manifest}).
+ */
+
+/** Gets the position of each commit in a given list of commits.
+ *
+ * @private
+ * @param {!Array<string>} commits Commits (full or abbreviated) in order.
+ * @param {!Array<string>} names Commits (full or abbreviated) to find.
+ * @returns {!Array<number>} Index of each of names in commits, or -1 if not
+ * present.
+ */
+function getCommitOrder(commits, names) {
+  return names.map((name) => commits.findIndex(
+    (commit) => commit.startsWith(name) || name.startsWith(commit),
+  ));
+}
+
+/** Reads commits from a manifest file.
+ *
+ * @private
+ * @param {string} manifestPath Path of manifest file.
+ * @returns {!Promise<!Array<string>>} Promise for commits listed in the
+ * manifest, lower-cased, in order.
+ */
+async function readManifest(manifestPath) {
+  const manifest = await readFile(manifestPath, { encoding: 'utf8' });
+  return manifest.split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+/** Gets the builds in a local directory, in commit order.
+ *
+ * Each build is a Node.js executable (e.g. out/Release/node) or an archive
+ * (e.g. from `make binary`) named by the commit from which it was built
+ * (e.g. 9a2ac2c615, 9a2ac2c615.exe, or 9a2ac2c615.tar.gz).  Other files are
+ * ignored.
+ *
+ * @param {string} buildDir Directory containing builds.
+ * @param {!LocalBuildListOptions=} options Options.
+ * @returns {!Promise<!Array<!module:noderegression.BuildInfo>>} Promise for
+ * builds in buildDir in commit order, with the commit as version, the
+ * modification date of the build as date, local as the only file, and the
+ * path of the build as localPath.
+ */
+export default async function getLocalBuildList(buildDir, options = {}) {
+  if (typeof buildDir !== 'string' || buildDir.length === 0) {
+    throw new TypeError('buildDir must be a non-empty string');
+  }
+
+  if (options.manifest !== undefined && options.repo !== undefined) {
+    throw new RangeError('options.manifest and options.repo are exclusive');
+  }
+
+  const builds = [];
+  const dirents = await readdir(buildDir, { withFileTypes: true });
+  for (const dirent of dirents) {
+    const match = dirent.isDirectory() ? undefined
+      : localBuildRegExp.exec(dirent.name);
+    if (match) {
+      const commit = match[1].toLowerCase();
+      const duplicate = builds.find((build) => build.version === commit);
+      if (duplicate) {
+        throw new Error(`Multiple builds for commit ${commit}: ${
+          path.basename(duplicate.localPath)}, ${dirent.name}`);
+      }
+
+      builds.push({
+        version: commit,
+        files: ['local'],
+        localPath: path.resolve(buildDir, dirent.name),
+      });
+    }
+  }
+
+  if (builds.length === 0) {
+    return builds;
+  }
+
+  const names = builds.map((build) => build.version);
+  let commits, commitsSource;
+  if (options.repo !== undefined) {
+    // List commits since the common ancestor of the builds, rather than all
+    // of their ancestors (tens of thousands for the Node.js repository).
+    let base;
+    try {
+      const mergeBase = await runGit(
+        options.repo,
+        ['merge-base', '--octopus', ...names],
+        true,
+      );
+      base = mergeBase.trim();
+    } catch {
+      // Builds without a common ancestor are ordered by all ancestors
+    }
+
+    const revList = await runGit(
+      options.repo,
+      [
+        'rev-list',
+        '--topo-order',
+        '--reverse',
+        ...names,
+        ...base ? [`^${base}`] : [],
+        '--',
+      ],
+      true,
+    );
+    commits = [base, ...revList.split('\n')].filter(Boolean);
+    commitsSource = `history of ${options.repo}`;
+  } else {
+    commitsSource = options.manifest ?? path.join(buildDir, 'manifest.txt');
+    commits = await readManifest(commitsSource);
+  }
+
+  const order = getCommitOrder(commits, names);
+  const orderedBuilds = builds.filter((build, i) => {
+    if (order[i] === -1) {
+      options.console?.warn(
+        'Ignoring build %s: commit not in %s.',
+        build.localPath,
+        commitsSource,
+      );
+      return false;
+    }
+
+    return true;
+  });
+
+  await Promise.all(orderedBuilds.map(async (build) => {
+    const { mtime } = await stat(build.localPath);
+    build.date = mtime.toISOString().slice(0, 10);
+  }));
+
+  const buildOrder = new Map(builds.map((build, i) => [build, order[i]]));
+  return orderedBuilds.toSorted(
+    (build1, build2) => buildOrder.get(build1) - buildOrder.get(build2),
+  );
+}
+
+/** Copies or extracts the Node.js executable of a local build to
+ * options.exeDir.
+ *
+ * @param {!module:noderegression.BuildInfo} build Local build (from
+ * {@link getLocalBuildList}).
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<string>} Promise for the path of the Node.js
+ * executable.
+ */
+export async function prepareLocalBuild(build, options) {
+  const { localPath } = build;
+  const match = localBuildRegExp.exec(path.basename(localPath));
+  const ext = match?.[2]?.toLowerCase();
+  const nodeExe = path.join(
+    options.exeDir,
+    ext === '.exe' || ext === '.zip' ? 'node.exe' : 'node',
+  );
+
+  let extractMod;
+  switch (ext) {
+    case undefined:
+    case '.exe':
+      await copyFile(localPath, nodeExe, constants.COPYFILE_FICLONE);
+      return nodeExe;
+    case '.zip':
+      extractMod = await import('./extract/zip.js');
+      break;
+    default:
+      extractMod = await import('./extract/tar.js');
+      break;
+  }
+
+  const entryCount = await extractMod.default(
+    localPath,
+    (memberPath) => (archiveMemberRegExp.test(memberPath) ? nodeExe
+      : undefined),
+  );
+  if (entryCount !== 1) {
+    throw new Error(
+      `Expected 1 Node.js executable in ${localPath}, found ${entryCount}`,
+    );
+  }
+
+  return nodeExe;
+}
@@ -0,0 +1,22 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+/** Error for a build file which is not available (e.g. not listed in
+ * SHASUMS256.txt for its version), so the build can not be tested.
+ *
+ * @private
+ */
+export default class MissingBuildError extends Error {}
+Object.defineProperty(
+  MissingBuildError.prototype,
+  'name',
+  {
+    configurable: true,
+    enumerable: false,
+    value: 'MissingBuildError',
+    writable: true,
+  },
+);
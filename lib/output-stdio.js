@@ -0,0 +1,41 @@
+/**
+ * Functions for writing output of child processes to caller-provided
+ * streams.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+/** Gets the stdio value for child_process.spawn which writes output of the
+ * child to a given stream.
+ *
+ * Streams with a file descriptor (e.g. process.stdout) are passed to the
+ * child, so that it can detect a terminal.  Other streams must be written
+ * using {@link pipeOutput}.
+ *
+ * @private
+ * @param {module:stream.Writable=} stream Stream to which output is written.
+ * @returns {string|!module:stream.Writable} stdio value for the output.
+ */
+export function getOutputStdio(stream) {
+  if (stream === undefined) {
+    return 'inherit';
+  }
+
+  return typeof stream.fd === 'number' ? stream : 'pipe';
+}
+
+/** Writes output from a child stream piped due to {@link getOutputStdio}
+ * to a given stream.
+ *
+ * @private
+ * @param {?module:stream.Readable} childStream Output stream of the child
+ * process (null if it was not piped).
+ * @param {module:stream.Writable=} stream Stream to which output is written.
+ */
+export function pipeOutput(childStream, stream) {
+  if (childStream && stream) {
+    childStream.pipe(stream, { end: false });
+  }
+}
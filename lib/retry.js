@@ -0,0 +1,103 @@
+/**
+ * Functions for retrying requests which fail due to transient errors.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { setTimeout as setTimeoutP } from 'node:timers/promises';
+
+import HttpResponseError from './http-response-error.js';
+
+/** Error codes of network errors which may not occur if retried.
+ *
+ * @private
+ */
+const transientErrorCodes = new Set([
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ETIMEDOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+/** HTTP status codes of responses which may not occur if retried.
+ *
+ * @private
+ */
+const transientStatusCodes = new Set([408, 429, 500, 502, 503, 504]);
+
+/** Determines whether a given error from fetching a URL is transient (i.e.
+ * may not occur if the request is retried).
+ *
+ * @private
+ * @param {*} err Error from fetch or from reading the response body.
+ * @returns {boolean} true if err is a transient error, false otherwise.
+ */
+export function isTransientError(err) {
+  if (err instanceof HttpResponseError) {
+    return transientStatusCodes.has(err.status);
+  }
+
+  // node-fetch sets code on FetchError.  undici sets code on cause.
+  const code = err?.code ?? err?.cause?.code;
+  return transientErrorCodes.has(code);
+}
+
+/** Options for {@link retryTransient}.
+ *
+ * @typedef {!object} RetryOptions
+ * @property {!module:noderegression.NoderegressionConsole=} console Logger
+ * to which retries are reported.
+ * @property {!module:node-fetch.RequestInit=} fetchOptions Options passed to
+ * fetch, where signal (if any) also cancels waiting to retry.
+ * @property {number=} retries Maximum number of times to retry after a
+ * transient error. (default: 3)
+ * @property {number=} retryDelay Delay, in milliseconds, before the first
+ * retry, which doubles for each subsequent retry. (default: 1000)
+ */
+
+/** Calls a given Promise-returning function, calling it again with
+ * exponential backoff if it rejects with a transient error.
+ *
+ * @private
+ * @template T
+ * @param {function(): !Promise<T>} fn Function to call.
+ * @param {!RetryOptions} options Options.
+ * @returns {!Promise<T>} Promise for the result of the first call to fn which
+ * does not reject with a transient error, or the last error.
+ */
+export default async function retryTransient(fn, options) {
+  const { retries = 3, retryDelay = 1000 } = options;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) {
+        throw err;
+      }
+
+      const delayMs = retryDelay * (2 ** attempt);
+      options.console?.warn(
+        '%s.  Retrying in %d ms (%d of %d)...',
+        err.message,
+        delayMs,
+        attempt + 1,
+        retries,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await setTimeoutP(delayMs, undefined, {
+        signal: options.fetchOptions?.signal,
+      });
+    }
+  }
+}
@@ -7,19 +7,31 @@
  */
 
 import { spawn } from 'node:child_process';
-import { constants, createWriteStream } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { constants, createReadStream, createWriteStream } from 'node:fs';
 import {
   copyFile,
+  cp,
   mkdir,
+  readFile,
   stat,
   rename,
+  rm,
   rmdir,
   unlink,
+  utimes,
+  writeFile,
 } from 'node:fs/promises';
 import path from 'node:path';
 import { pipeline } from 'node:stream/promises';
 
+import { extractedExeExt, extractedInfoExt } from './build-cache.js';
 import HttpResponseError from './http-response-error.js';
+import MissingBuildError from './missing-build-error.js';
+import { getOutputStdio, pipeOutput } from './output-stdio.js';
+import retryTransient, { isTransientError } from './retry.js';
+import { getBuildChecksums, hashFile, shasumsName } from './shasums.js';
+import tmpName from './tmp-name.js';
 
 function getBuildArchiveBasename(version, target) {
   const [osname, arch] = target.split('-');
@@ -31,79 +43,334 @@ function getBuildUrlPath(version, target) {
   const [, arch, format] = target.split('-');
 
   if (format === 'exe') {
-    return `win-${arch}/node.exe`;
+    return `${version}/win-${arch}/node.exe`;
   }
 
   const basename = getBuildArchiveBasename(version, target);
-  const ext = format === undefined || format === 'tar' ? 'tar.gz' : format;
+  const ext = format === undefined || format === 'tar' ? 'tar.gz'
+    : format === 'xz' ? 'tar.xz'
+      : format;
   return `${version}/${basename}.${ext}`;
 }
 
-function downloadFile(filePath, fileUrl, options) {
+/** Gets the path at which a given build is cached.
+ *
+ * @private
+ * @param {string} version Build version
+ * (from {@link module:noderegression.BuildInfo.version}).
+ * @param {string} target Build target
+ * (from {@link module:noderegression.BuildInfo.files}).
+ * @param {string} buildCacheDir Directory below which builds are cached.
+ * @returns {string} Path at which the build file is cached.
+ */
+export function getBuildCachePath(version, target, buildCacheDir) {
+  const buildUrlPath = getBuildUrlPath(version, target);
+  return path.join(buildCacheDir, buildUrlPath.replaceAll('/', path.sep));
+}
+
+/** Gets the total size of the body of a response, if known.
+ *
+ * @private
+ * @param {!Response} res Response.
+ * @returns {number|undefined} Size of the body of res in bytes, or undefined
+ * if not known.
+ */
+function getBodySize(res) {
+  // Content-Length is the size of the encoded body, not the bytes read.
+  if (res.headers.get('content-encoding')) {
+    return undefined;
+  }
+
+  const contentLength = res.headers.get('content-length');
+  return contentLength ? Number(contentLength) : undefined;
+}
+
+/** Gets the offset of the first byte of a partial (206) response.
+ *
+ * @private
+ * @param {!Response} res Response.
+ * @returns {number|undefined} Offset of the first byte of the body of res in
+ * the file, from the Content-Range header, or undefined if it is missing or
+ * not a byte range.
+ */
+function getRangeStart(res) {
+  const contentRange = res.headers.get('content-range');
+  const match = contentRange && /^bytes ([0-9]+)-/.exec(contentRange);
+  return match ? Number(match[1]) : undefined;
+}
+
+/** Gets the size of a partially downloaded file, if any.
+ *
+ * @private
+ * @param {string} partPath Path of partially downloaded file.
+ * @returns {!Promise<number>} Promise for the size of partPath, or 0 if it
+ * does not exist.
+ */
+async function getPartSize(partPath) {
+  try {
+    const partStats = await stat(partPath);
+    return partStats.size;
+  } catch (errStat) {
+    if (errStat.code === 'ENOENT') {
+      return 0;
+    }
+
+    throw errStat;
+  }
+}
+
+/** Downloads a file, resuming a partial download from a previous attempt
+ * (saved as filePath.part) using an HTTP Range request.
+ *
+ * If the download fails due to a transient error (which may be resumed by
+ * {@link retryTransient}) or is aborted, the partially downloaded file is
+ * kept.  Otherwise it is removed.
+ *
+ * @private
+ * @param {string} filePath Path to which the file is saved.
+ * @param {string} fileUrl URL of the file.
+ * @param {string=} expectedHash Expected lower-case hex SHA-256 hash of the
+ * file.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise} Promise for completion of download.
+ */
+async function downloadFile(filePath, fileUrl, expectedHash, options) {
   const myFetch = options.fetch ?? fetch;
-  return myFetch(fileUrl, options.fetchOptions)
-    .then(async (res) => {
-      if (!res.ok) {
-        throw new HttpResponseError(res);
-      }
+  const ondownload = options.listeners?.ondownload;
+  const partPath = `${filePath}.part`;
+  const partSize = await getPartSize(partPath);
+  let { fetchOptions } = options;
+  if (partSize > 0) {
+    const headers = new Headers(fetchOptions?.headers);
+    headers.set('range', `bytes=${partSize}-`);
+    fetchOptions = { ...fetchOptions, headers };
+  }
 
-      const fileDir = path.dirname(filePath);
-      // Note: created directory only returned by Node.js v12.17/v13.11
-      // TODO: Polyfill for old versions.
-      const createdDir = await mkdir(fileDir, { recursive: true });
+  const res = await myFetch(fileUrl, fetchOptions);
+  if (partSize > 0
+    && (res.status === 416
+      || (res.status === 206 && getRangeStart(res) !== partSize))) {
+    // Partial file is not a prefix of the file, or the response does not
+    // continue it.  Discard both and download the file again.
+    await res.body?.cancel();
+    await unlink(partPath);
+    return downloadFile(filePath, fileUrl, expectedHash, options);
+  }
 
-      const partPath = `${filePath}.part`;
-      try {
-        await pipeline(
-          res.body,
-          createWriteStream(partPath),
-        );
+  if (!res.ok) {
+    throw new HttpResponseError(res);
+  }
 
-        await rename(partPath, filePath);
-      } catch (errPipe) {
-        // Remove partially downloaded file, if it was created
-        try {
-          await unlink(partPath);
-        } catch (errUnlink) {
-          if (errUnlink.code !== 'ENOENT') {
-            options.console.error('Error removing %s: %o', partPath, errUnlink);
-          }
-        }
+  // Server may ignore Range and respond with the whole file
+  const resumeSize = res.status === 206 ? partSize : 0;
+  const bodySize = getBodySize(res);
+  const totalBytes = bodySize === undefined ? undefined
+    : resumeSize + bodySize;
+  let receivedBytes = resumeSize;
+  if (ondownload) {
+    ondownload(fileUrl, receivedBytes, totalBytes, false);
+  }
 
-        // Remove created directories, if empty
-        if (createdDir) {
-          try {
-            let removeDir = fileDir;
-            while (removeDir.length >= createdDir.length) {
-              // eslint-disable-next-line no-await-in-loop
-              await rmdir(removeDir);
-              removeDir = path.dirname(removeDir);
-            }
-          } catch (errRmdir) {
-            if (errRmdir.code !== 'ENOTEMPTY') {
-              options.console.error('Error removing %s: %o', fileDir, errRmdir);
+  const fileDir = path.dirname(filePath);
+  // Note: created directory only returned by Node.js v12.17/v13.11
+  // TODO: Polyfill for old versions.
+  const createdDir = await mkdir(fileDir, { recursive: true });
+
+  try {
+    // Hash and count while streaming to avoid reading the file again
+    const hash = createHash('sha256');
+    if (resumeSize > 0) {
+      for await (const chunk of createReadStream(partPath)) {
+        hash.update(chunk);
+      }
+    }
+
+    try {
+      await pipeline(
+        res.body,
+        async function* hashChunks(chunks) {
+          for await (const chunk of chunks) {
+            hash.update(chunk);
+            if (ondownload) {
+              receivedBytes += chunk.length;
+              ondownload(fileUrl, receivedBytes, totalBytes, false);
             }
+
+            yield chunk;
           }
-        }
+        },
+        createWriteStream(partPath, { flags: resumeSize > 0 ? 'a' : 'w' }),
+      );
+    } catch (errDownload) {
+      if (ondownload) {
+        ondownload(fileUrl, receivedBytes, totalBytes, true, errDownload);
+      }
+
+      throw errDownload;
+    }
+
+    if (ondownload) {
+      ondownload(fileUrl, receivedBytes, totalBytes, true);
+    }
 
-        throw errPipe;
+    const actualHash = hash.digest('hex');
+    if (expectedHash !== undefined && actualHash !== expectedHash) {
+      if (resumeSize > 0) {
+        // Partial file from a previous attempt may be corrupt
+        options.console.warn(
+          'SHA-256 of %s does not match %s after resuming.  Downloading again.',
+          fileUrl,
+          shasumsName,
+        );
+        await unlink(partPath);
+        return downloadFile(filePath, fileUrl, expectedHash, options);
       }
-    });
+
+      throw new Error(
+        `SHA-256 of ${fileUrl} (${actualHash}) does not match ${
+          shasumsName} (${expectedHash})`,
+      );
+    }
+
+    await rename(partPath, filePath);
+  } catch (errPipe) {
+    // Keep partially downloaded file to resume, if download may be retried
+    if (isTransientError(errPipe)
+      || options.fetchOptions?.signal?.aborted) {
+      throw errPipe;
+    }
+
+    // Remove partially downloaded file, if it was created
+    try {
+      await unlink(partPath);
+    } catch (errUnlink) {
+      if (errUnlink.code !== 'ENOENT') {
+        options.console.error('Error removing %s: %o', partPath, errUnlink);
+      }
+    }
+
+    // Remove created directories, if empty
+    if (createdDir) {
+      try {
+        let removeDir = fileDir;
+        while (removeDir.length >= createdDir.length) {
+          // eslint-disable-next-line no-await-in-loop
+          await rmdir(removeDir);
+          removeDir = path.dirname(removeDir);
+        }
+      } catch (errRmdir) {
+        if (errRmdir.code !== 'ENOTEMPTY') {
+          options.console.error('Error removing %s: %o', fileDir, errRmdir);
+        }
+      }
+    }
+
+    throw errPipe;
+  }
+
+  return undefined;
 }
 
-async function ensureFile(filePath, fileUrl, options) {
+/** Updates the modification time of a cached file or directory to record
+ * its use, for pruning least recently used builds.  (atime is not reliably
+ * updated, due to relatime/noatime.)
+ *
+ * This is best-effort, so that builds can be used from a read-only or shared
+ * cache.  Errors other than ENOENT are logged, not thrown.
+ *
+ * @private
+ * @param {string} filePath Path of cached file or directory.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise} Promise for completion of update.
+ * @throws {Error} If filePath does not exist (ENOENT).
+ */
+async function recordUse(filePath, options) {
+  const now = new Date();
   try {
-    await stat(filePath);
+    await utimes(filePath, now, now);
+  } catch (errUtimes) {
+    if (errUtimes.code === 'ENOENT') {
+      throw errUtimes;
+    }
 
-    // If stat didn't throw, the file exists
-    return;
+    options.console.debug(
+      'Unable to record use of %s: %s',
+      filePath,
+      errUtimes.message,
+    );
+  }
+}
+
+async function ensureFile(filePath, fileUrl, expectedHash, options) {
+  let exists;
+  try {
+    await stat(filePath);
+    exists = true;
   } catch (errStat) {
     if (errStat.code !== 'ENOENT') {
       throw errStat;
     }
+
+    if (options.offline) {
+      throw new Error(`${filePath} is not cached and offline`, {
+        cause: errStat,
+      });
+    }
+  }
+
+  if (exists) {
+    if (expectedHash === undefined
+      || await hashFile(filePath) === expectedHash) {
+      await recordUse(filePath, options);
+      return;
+    }
+
+    if (options.offline) {
+      throw new Error(
+        `${filePath} does not match ${shasumsName} and offline`,
+      );
+    }
+
+    options.console.warn(
+      '%s does not match %s.  Downloading again.',
+      filePath,
+      shasumsName,
+    );
   }
 
-  await downloadFile(filePath, fileUrl, options);
+  await retryTransient(
+    () => downloadFile(filePath, fileUrl, expectedHash, options),
+    options,
+  );
+}
+
+/** Gets the expected SHA-256 hash of a given build file.
+ *
+ * @private
+ * @param {string} version Build version.
+ * @param {string} buildUrlPath Path of build file, relative to
+ * options.buildBaseUrl.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<string|undefined>} Promise for the lower-case hex
+ * SHA-256 hash of the build file, or undefined if it is not known.
+ * @throws {MissingBuildError} If the build file is not listed in the
+ * checksums for the build.
+ */
+async function getExpectedHash(version, buildUrlPath, options) {
+  const checksums = await getBuildChecksums(version, options);
+  if (!checksums) {
+    return undefined;
+  }
+
+  const versionRelPath = buildUrlPath.slice(version.length + 1);
+  const expectedHash = checksums.get(versionRelPath);
+  if (expectedHash === undefined) {
+    throw new MissingBuildError(
+      `${versionRelPath} not in ${shasumsName} for ${version}`,
+    );
+  }
+
+  return expectedHash;
 }
 
 async function getExtractorForBuild(version, target) {
@@ -116,6 +383,9 @@ async function getExtractorForBuild(version, target) {
     case 'tar':
       extractMod = await import('./extract/tar.js');
       break;
+    case 'xz':
+      extractMod = await import('./extract/tar-xz.js');
+      break;
     case 'zip':
       extractMod = await import('./extract/zip.js');
       break;
@@ -126,6 +396,36 @@ async function getExtractorForBuild(version, target) {
   return extractMod.default;
 }
 
+/** Determines whether the Node.js executable can be extracted from builds
+ * for a given target.
+ *
+ * Installers (msi and pkg) and 7z archives are not supported.  Every build
+ * with these formats also has a supported format (exe, zip, or tar).
+ * xz-compressed tarballs require the xz command.
+ *
+ * @private
+ * @param {string} target Build target
+ * (from {@link module:noderegression.BuildInfo.files}).
+ * @returns {!Promise<boolean>} Promise for true if builds for target can be
+ * prepared by {@link prepareNodeBuild}, false otherwise.
+ */
+export async function isSupportedTarget(target) {
+  const format = target.split('-')[2];
+  switch (format) {
+    case undefined:
+    case 'exe':
+    case 'tar':
+    case 'zip':
+      return true;
+    case 'xz': {
+      const { isXzAvailable } = await import('./extract/tar-xz.js');
+      return isXzAvailable();
+    }
+    default:
+      return false;
+  }
+}
+
 function getMemberForBuild(version, target) {
   const buildBasename = getBuildArchiveBasename(version, target);
   const binExt = version.startsWith('win') ? '.exe' : '';
@@ -193,62 +493,572 @@ function spawnP(command, args, options) {
   return promise;
 }
 
-/** Execute a given command with Node.js from a given build in $PATH.
+/** Downloads a given build to options.buildCacheDir, if it is not cached.
  *
  * @private
- * @param {string} version Build version to run
+ * @param {string} version Build version to fetch
  * (from {@link module:noderegression.BuildInfo.version}).
- * @param {string} target Build target to run
+ * @param {string} target Build target to fetch
  * (from {@link module:noderegression.BuildInfo.files}).
- * @param {string} command Command to run.
- * @param {Array<string>=} args Arguments passed to command.
  * @param {!module:noderegression.NoderegressionOptions} options Options.
- * @returns {!module:child_process.PromiseWithChild<SpawnResult>} Promise
- * for execution result with ChildProcess as .child property.
+ * @returns {!Promise<string>} Promise for the path of the cached build.
  */
-export default async function runNodeBuild(
-  version,
-  target,
-  command,
-  args,
-  options,
-) {
+export async function fetchNodeBuild(version, target, options) {
   const buildUrlPath = getBuildUrlPath(version, target);
   const buildUrl = options.buildBaseUrl + buildUrlPath;
-  const cachePath = path.join(
-    options.buildCacheDir,
-    buildUrlPath.replaceAll('/', path.sep),
-  );
+  const cachePath =
+    getBuildCachePath(version, target, options.buildCacheDir);
+  const expectedHash = await getExpectedHash(version, buildUrlPath, options);
+  await ensureFile(cachePath, buildUrl, expectedHash, options);
+  return cachePath;
+}
+
+/** Information about an extracted Node.js executable in the build cache,
+ * saved as JSON next to the executable.
+ *
+ * @private
+ * @typedef {!object} CachedExeInfo
+ * @property {string} sha256 SHA-256 hash of the executable (hex), to detect
+ * corruption.
+ * @property {number} extractMs Time taken to extract the executable from the
+ * build archive, in milliseconds.
+ */
+
+/** Copies the Node.js executable extracted from a build archive from the
+ * build cache, if it was cached and is not corrupt.
+ *
+ * @private
+ * @param {string} cachedExe Path of the cached executable.
+ * @param {string} nodeExe Path to which the executable is copied.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<CachedExeInfo|undefined>} Promise for information about
+ * the cached executable, if it was copied.
+ */
+async function copyCachedExe(cachedExe, nodeExe, options) {
+  const infoPath = cachedExe + extractedInfoExt;
+  let info;
+  try {
+    info = JSON.parse(await readFile(infoPath, { encoding: 'utf8' }));
+  } catch (errRead) {
+    if (errRead.code === 'ENOENT') {
+      return undefined;
+    }
+
+    if (!(errRead instanceof SyntaxError)) {
+      throw errRead;
+    }
+  }
+
+  let hash;
+  try {
+    hash = await hashFile(cachedExe);
+  } catch (errHash) {
+    if (errHash.code !== 'ENOENT') {
+      throw errHash;
+    }
+  }
+
+  if (hash === undefined || hash !== info?.sha256) {
+    options.console.warn(
+      'Extracted executable %s is corrupt.  Extracting again.',
+      cachedExe,
+    );
+    await rm(cachedExe, { force: true });
+    await rm(infoPath, { force: true });
+    return undefined;
+  }
+
+  await copyFile(cachedExe, nodeExe, constants.COPYFILE_FICLONE);
+  await recordUse(cachedExe, options);
+  return info;
+}
+
+/** Saves a Node.js executable extracted from a build archive to the build
+ * cache, so that it does not need to be extracted again.
+ *
+ * The executable and its information are saved under temporary names and
+ * renamed, executable first, so that information is only present for a
+ * completely written executable.
+ *
+ * @private
+ * @param {string} nodeExe Path of the extracted executable.
+ * @param {string} cachedExe Path at which the executable is cached.
+ * @param {number} extractMs Time taken to extract nodeExe, in milliseconds.
+ * @returns {!Promise} Promise for completion of saving.
+ */
+async function saveCachedExe(nodeExe, cachedExe, extractMs) {
+  const tmpPath =
+    await tmpName(path.dirname(cachedExe), `${path.basename(cachedExe)}-`);
+  const partPath = `${tmpPath}.part`;
+  try {
+    await copyFile(nodeExe, partPath, constants.COPYFILE_FICLONE);
+    const info = {
+      sha256: await hashFile(partPath),
+      extractMs,
+    };
+    const infoPartPath = partPath + extractedInfoExt;
+    await writeFile(infoPartPath, JSON.stringify(info));
+    await rename(partPath, cachedExe);
+    await rename(infoPartPath, cachedExe + extractedInfoExt);
+  } finally {
+    await rm(partPath, { force: true });
+    await rm(partPath + extractedInfoExt, { force: true });
+  }
+}
+
+/** Downloads (if not cached) a given build and extracts its Node.js
+ * executable to options.exeDir.
+ *
+ * The executable extracted from a build archive is saved in
+ * options.buildCacheDir, from which it is copied to prepare the build again
+ * without downloading or extracting the archive.
+ *
+ * @private
+ * @param {string} version Build version to prepare
+ * (from {@link module:noderegression.BuildInfo.version}).
+ * @param {string} target Build target to prepare
+ * (from {@link module:noderegression.BuildInfo.files}).
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<string>} Promise for the path of the extracted Node.js
+ * executable.
+ */
+export async function prepareNodeBuild(version, target, options) {
   // Note: Get extractor before downloading to avoid wasting bandwidth on error
   const extract = await getExtractorForBuild(version, target);
-  await ensureFile(cachePath, buildUrl, options);
-
   const nodeExe = path.join(
     options.exeDir,
     target.startsWith('win') ? 'node.exe' : 'node',
   );
-  if (extract) {
-    const memberPath = getMemberForBuild(version, target);
-    const entryCount = await extract(cachePath, {
-      [memberPath]: nodeExe,
-    });
-    if (entryCount !== 1) {
-      throw new Error(`${memberPath} not found in ${cachePath}`);
-    }
-  } else {
+  if (!extract) {
     await copyFile(
-      cachePath,
+      await fetchNodeBuild(version, target, options),
       nodeExe,
       constants.COPYFILE_FICLONE,
     );
+    return nodeExe;
+  }
+
+  const cachedExe =
+    getBuildCachePath(version, target, options.buildCacheDir)
+    + extractedExeExt;
+  const startMs = Date.now();
+  const cachedInfo = await copyCachedExe(cachedExe, nodeExe, options);
+  if (cachedInfo) {
+    const copyMs = Date.now() - startMs;
+    options.console.debug(
+      'Copied extracted executable for %s in %d ms (saved %d ms).',
+      version,
+      copyMs,
+      Math.max(cachedInfo.extractMs - copyMs, 0),
+    );
+    return nodeExe;
+  }
+
+  const cachePath = await fetchNodeBuild(version, target, options);
+  const extractStartMs = Date.now();
+  const memberPath = getMemberForBuild(version, target);
+  const entryCount = await extract(cachePath, {
+    [memberPath]: nodeExe,
+  });
+  if (entryCount !== 1) {
+    throw new Error(`${memberPath} not found in ${cachePath}`);
+  }
+
+  const extractMs = Date.now() - extractStartMs;
+  options.console.debug(
+    'Extracted executable for %s in %d ms.',
+    version,
+    extractMs,
+  );
+
+  try {
+    await saveCachedExe(nodeExe, cachedExe, extractMs);
+  } catch (errSave) {
+    // The build can be tested without caching the extracted executable
+    options.console.warn(
+      'Unable to cache extracted executable %s: %s',
+      cachedExe,
+      errSave.message,
+    );
+  }
+
+  return nodeExe;
+}
+
+/** Extracts all files of a Node.js distribution from a build archive to a
+ * given directory.
+ *
+ * The target of the archive is saved in a file next to the directory, so
+ * that the directory can be listed with the target of its archive.
+ *
+ * @private
+ * @param {string} cachePath Path of build archive.
+ * @param {string} target Build target of archive.
+ * @param {string} basename Name of the directory in the archive which
+ * contains the distribution.
+ * @param {function(string, function(string): (string|undefined), !object=):
+ * !Promise<number>} extract Extractor for the archive.
+ * @param {string} nodeDir Directory to which the distribution is extracted.
+ * @returns {!Promise} Promise for completion of extraction.
+ */
+async function extractNodeDist(
+  cachePath,
+  target,
+  basename,
+  extract,
+  nodeDir,
+) {
+  // Extract to a temporary directory, then rename, so that nodeDir is only
+  // present once all files have been extracted.
+  const partDir =
+    `${await tmpName(path.dirname(nodeDir), `${basename}-`)}.part`;
+  const prefix = `${basename}/`;
+  try {
+    const entryCount = await extract(cachePath, (memberPath) => {
+      const relParts = memberPath.startsWith(prefix)
+        ? memberPath.slice(prefix.length).split('/').filter(Boolean)
+        : [];
+      return relParts.length === 0 || relParts.includes('..') ? undefined
+        : path.join(partDir, ...relParts);
+    }, { root: partDir });
+    if (entryCount === 0) {
+      throw new Error(`${prefix} not found in ${cachePath}`);
+    }
+
+    await writeFile(partDir + extractedInfoExt, JSON.stringify({ target }));
+    await rename(partDir, nodeDir);
+    await rename(partDir + extractedInfoExt, nodeDir + extractedInfoExt);
+  } catch (errExtract) {
+    await rm(partDir, { force: true, recursive: true });
+    await rm(partDir + extractedInfoExt, { force: true });
+
+    // nodeDir may have been extracted concurrently (e.g. by another process)
+    if (errExtract.syscall !== 'rename'
+      || (errExtract.code !== 'EEXIST' && errExtract.code !== 'ENOTEMPTY')) {
+      throw errExtract;
+    }
+  }
+}
+
+/** Information about an extracted Node.js distribution.
+ *
+ * @typedef {!object} NodeDistInfo
+ * @property {string} binDir Directory containing node, npm, npx, and
+ * corepack, to add to $PATH.
+ * @property {string} nodeDir Root directory of the distribution, which
+ * contains headers in include/node (if present in the build).
+ * @property {string} nodeExe Path of the Node.js executable.
+ */
+
+/** Gets information about a Node.js distribution extracted to a given
+ * directory.
+ *
+ * @private
+ * @param {string} nodeDir Root directory of the distribution.
+ * @param {boolean} isWin Distribution is for Windows.
+ * @returns {!NodeDistInfo} Information about the distribution.
+ */
+function getNodeDistInfo(nodeDir, isWin) {
+  const binDir = isWin ? nodeDir : path.join(nodeDir, 'bin');
+  return {
+    binDir,
+    nodeDir,
+    nodeExe: path.join(binDir, isWin ? 'node.exe' : 'node'),
+  };
+}
+
+/** Determines whether a directory of an extracted Node.js distribution in
+ * the build cache can be used, recording its use if so.
+ *
+ * @private
+ * @param {!NodeDistInfo} distInfo Extracted distribution.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<boolean>} Promise for true if the distribution was
+ * extracted, false if it was not extracted or is incomplete (and has been
+ * removed).
+ */
+async function useCachedDist(distInfo, options) {
+  try {
+    await recordUse(distInfo.nodeDir, options);
+  } catch (errUse) {
+    if (errUse.code === 'ENOENT') {
+      return false;
+    }
+
+    throw errUse;
   }
 
-  return spawnP(
+  let exeStats;
+  try {
+    exeStats = await stat(distInfo.nodeExe);
+  } catch (errStat) {
+    if (errStat.code !== 'ENOENT') {
+      throw errStat;
+    }
+  }
+
+  if (exeStats?.isFile()) {
+    return true;
+  }
+
+  options.console.warn(
+    '%s is incomplete.  Extracting again.',
+    distInfo.nodeDir,
+  );
+  await rm(distInfo.nodeDir, { force: true, recursive: true });
+  return false;
+}
+
+/** Downloads (if not cached) a given build, extracts all of its files
+ * (including npm, npx, corepack, and headers) to a directory next to the
+ * cached build (if not previously extracted), then copies them to
+ * options.exeDir.
+ *
+ * Tests run from the copy, so that changes made by the test command (e.g.
+ * `npm install -g`) do not affect the cached files or later tests.
+ *
+ * @private
+ * @param {string} version Build version to prepare
+ * (from {@link module:noderegression.BuildInfo.version}).
+ * @param {string} target Build target to prepare
+ * (from {@link module:noderegression.BuildInfo.files}).
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<!NodeDistInfo>} Promise for information about the
+ * distribution copied to options.exeDir.
+ * @throws {RangeError} If target is not an archive (e.g. exe).
+ */
+export async function prepareNodeDist(version, target, options) {
+  const extract = await getExtractorForBuild(version, target);
+  if (!extract) {
+    throw new RangeError(`${target} builds do not include the distribution`);
+  }
+
+  const cachePath = await fetchNodeBuild(version, target, options);
+  const basename = getBuildArchiveBasename(version, target);
+  const isWin = target.startsWith('win');
+  const cachedDist =
+    getNodeDistInfo(path.join(path.dirname(cachePath), basename), isWin);
+  if (!await useCachedDist(cachedDist, options)) {
+    await extractNodeDist(
+      cachePath,
+      target,
+      basename,
+      extract,
+      cachedDist.nodeDir,
+    );
+  }
+
+  // Replace the copy for any previous test in exeDir
+  const distInfo = getNodeDistInfo(path.join(options.exeDir, 'dist'), isWin);
+  await rm(distInfo.nodeDir, { force: true, recursive: true });
+  await cp(cachedDist.nodeDir, distInfo.nodeDir, {
+    mode: constants.COPYFILE_FICLONE,
+    recursive: true,
+    // Keep relative links (e.g. bin/npm) within the copy
+    verbatimSymlinks: true,
+  });
+  return distInfo;
+}
+
+/** Kills a child process and all of its descendants.
+ *
+ * On non-Windows platforms, the child must have been spawned with detached
+ * set, so that it is the leader of a process group.
+ *
+ * @private
+ * @param {!module:child_process.ChildProcess} child Child process to kill.
+ * @param {!module:noderegression.NoderegressionConsole} logger Logger.
+ */
+function killProcessTree(child, logger) {
+  if (child.pid === undefined) {
+    // Process was not spawned.  Nothing to kill.
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(child.pid), '/t', '/f'], {
+      stdio: 'ignore',
+    })
+      .once('error', (errKill) => {
+        logger.error('Error killing process %d: %o', child.pid, errKill);
+      });
+    return;
+  }
+
+  try {
+    // Negative PID kills the process group
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (errKill) {
+    if (errKill.code !== 'ESRCH') {
+      logger.error('Error killing process %d: %o', child.pid, errKill);
+    }
+  }
+}
+
+/** Signals forwarded to the process group of a detached test command.
+ *
+ * @private
+ */
+const forwardedSignals = ['SIGINT', 'SIGTERM'];
+
+/** Forwards termination signals received by this process (e.g. SIGINT from
+ * Ctrl-C) to the process group of a detached child, which does not receive
+ * signals from the terminal, then terminates this process as if the signal
+ * was not handled.
+ *
+ * @private
+ * @param {!module:child_process.ChildProcess} child Child process spawned
+ * with detached set.
+ * @returns {function()} Function which stops forwarding signals.
+ */
+function forwardSignals(child) {
+  function onSignal(signal) {
+    if (child.pid !== undefined) {
+      try {
+        // Negative PID signals the process group
+        process.kill(-child.pid, signal);
+      } catch {
+        // Process group already exited
+      }
+    }
+
+    // eslint-disable-next-line no-use-before-define
+    stopForwarding();
+
+    // Raise the signal again for the default action (termination) once no
+    // other listeners (e.g. for concurrent tests) would handle it.
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  }
+
+  function stopForwarding() {
+    for (const signal of forwardedSignals) {
+      process.removeListener(signal, onSignal);
+    }
+  }
+
+  for (const signal of forwardedSignals) {
+    process.on(signal, onSignal);
+  }
+
+  return stopForwarding;
+}
+
+/**
+ * @typedef {!SpawnResult} TestRunResult
+ * @property {string=} output Output of the command (stdout and stderr, in the
+ * order received), if captureOutput was true.
+ * @property {boolean=} timedOut true if the command was killed due to
+ * options.timeout.
+ */
+
+/** Execute a given command with the Node.js executable in options.exeDir
+ * (from {@link prepareNodeBuild}) in $PATH.
+ *
+ * If options.timeout is set, the command and its descendants are killed if
+ * it does not exit within options.timeout milliseconds.  If options.signal
+ * is set, they are killed when it is aborted.  In either case, the command
+ * is run in a separate process group, to which SIGINT and SIGTERM are
+ * forwarded, and does not read from stdin if it is a terminal (since a
+ * background process group can not read from the terminal).
+ *
+ * @private
+ * @param {string} command Command to run.
+ * @param {Array<string>=} args Arguments passed to command.
+ * @param {!module:noderegression.NoderegressionOptions} options Options,
+ * with an optional AbortSignal as signal.
+ * @param {boolean=} captureOutput Capture stdout and stderr of the command
+ * (while also writing them to options.stdout and options.stderr).
+ * @returns {!Promise<TestRunResult>} Promise for execution result, which is
+ * rejected with the abort reason if options.signal is aborted.
+ */
+export async function runPreparedBuild(command, args, options, captureOutput) {
+  const { signal, timeout } = options;
+  signal?.throwIfAborted();
+  // Run in a separate process group, which can be killed on timeout.
+  // Note: Separate process group does not receive terminal signals
+  // (e.g. SIGINT from Ctrl-C), so only used when necessary.
+  const detached = (timeout !== undefined || signal !== undefined)
+    && process.platform !== 'win32';
+  // Reading the terminal from a background process group stops the process
+  // (with SIGTTIN).  Provide no input instead.
+  const stdin = detached && process.stdin.isTTY ? 'ignore' : 'inherit';
+  const { stderr, stdout } = options;
+  const promise = spawnP(
     command,
     args,
     {
+      detached,
       env: makeEnvWithPath(options.env, options.exeDir),
-      stdio: 'inherit',
+      stdio: captureOutput ? [stdin, 'pipe', 'pipe']
+        : [stdin, getOutputStdio(stdout), getOutputStdio(stderr)],
     },
   );
+  const stopForwarding = detached ? forwardSignals(promise.child) : undefined;
+
+  const { child } = promise;
+  let outputChunks;
+  if (captureOutput) {
+    outputChunks = [];
+    child.stdout.on('data', (chunk) => {
+      outputChunks.push(chunk);
+      (stdout || process.stdout).write(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      outputChunks.push(chunk);
+      (stderr || process.stderr).write(chunk);
+    });
+  } else {
+    pipeOutput(child.stdout, stdout);
+    pipeOutput(child.stderr, stderr);
+  }
+
+  let timedOut = false;
+  const timer = timeout === undefined ? undefined : setTimeout(() => {
+    timedOut = true;
+    killProcessTree(promise.child, options.console);
+  }, timeout);
+  const onAbort = () => killProcessTree(promise.child, options.console);
+  signal?.addEventListener('abort', onAbort);
+  try {
+    const result = await promise;
+    signal?.throwIfAborted();
+    if (outputChunks) {
+      result.output = Buffer.concat(outputChunks).toString();
+    }
+
+    if (timedOut) {
+      result.timedOut = true;
+    }
+
+    return result;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    stopForwarding?.();
+  }
+}
+
+/** Execute a given command with Node.js from a given build in $PATH.
+ *
+ * @private
+ * @param {string} version Build version to run
+ * (from {@link module:noderegression.BuildInfo.version}).
+ * @param {string} target Build target to run
+ * (from {@link module:noderegression.BuildInfo.files}).
+ * @param {string} command Command to run.
+ * @param {Array<string>=} args Arguments passed to command.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<SpawnResult>} Promise for execution result.
+ */
+export default async function runNodeBuild(
+  version,
+  target,
+  command,
+  args,
+  options,
+) {
+  await prepareNodeBuild(version, target, options);
+  return runPreparedBuild(command, args, options);
 }
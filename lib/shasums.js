@@ -0,0 +1,199 @@
+/**
+ * Functions for verifying builds using the SHASUMS256.txt file published
+ * with each build.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import {
+  mkdir,
+  readFile,
+  rename,
+  stat,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
+
+import HttpResponseError from './http-response-error.js';
+
+/** Name of the file with SHA-256 checksums of the files for a build.
+ *
+ * @private
+ */
+export const shasumsName = 'SHASUMS256.txt';
+
+/** Name of the file with the detached signature of {@link shasumsName}.
+ *
+ * @private
+ */
+export const shasumsSigName = `${shasumsName}.sig`;
+
+/** Parses the content of SHASUMS256.txt.
+ *
+ * @private
+ * @param {string} shasums Content of SHASUMS256.txt.
+ * @returns {!Map<string,string>} Map from file path (relative to the build
+ * version directory) to lower-case hex SHA-256 hash.
+ */
+export function parseShasums(shasums) {
+  const checksums = new Map();
+  for (const line of shasums.split('\n')) {
+    const match = /^([0-9a-f]{64}) [ *]?(\S.*)$/i.exec(line.trimEnd());
+    if (match) {
+      checksums.set(match[2], match[1].toLowerCase());
+    }
+  }
+
+  return checksums;
+}
+
+/** Computes the SHA-256 hash of a file.
+ *
+ * @private
+ * @param {string} filePath Path of file to hash.
+ * @returns {!Promise<string>} Promise for lower-case hex SHA-256 hash of
+ * file content.
+ */
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest('hex');
+}
+
+/** Ensures a given (small) file is cached, downloading it if necessary.
+ *
+ * @private
+ * @param {string} filePath Path at which the file is cached.
+ * @param {string} fileUrl URL from which the file is downloaded.
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<boolean>} Promise for true if the file is cached, false
+ * if it is not cached and could not be downloaded because it does not exist
+ * (or options.offline is set).
+ */
+async function ensureSmallFile(filePath, fileUrl, options) {
+  try {
+    await stat(filePath);
+    return true;
+  } catch (errStat) {
+    if (errStat.code !== 'ENOENT') {
+      throw errStat;
+    }
+  }
+
+  if (options.offline) {
+    return false;
+  }
+
+  const myFetch = options.fetch ?? fetch;
+  const res = await myFetch(fileUrl, options.fetchOptions);
+  if (res.status === 404) {
+    return false;
+  }
+
+  if (!res.ok) {
+    throw new HttpResponseError(res);
+  }
+
+  const content = Buffer.from(await res.arrayBuffer());
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to temporary file, then rename, to avoid partially written files
+  const partPath = `${filePath}.part`;
+  await writeFile(partPath, content);
+  await rename(partPath, filePath);
+  return true;
+}
+
+/** Verifies the detached signature of a file using gpgv.
+ *
+ * @private
+ * @param {string} sigPath Path of detached signature file.
+ * @param {string} dataPath Path of signed file.
+ * @param {string} keyring Path of keyring with trusted public keys.
+ * @returns {!Promise} Promise which is resolved if the signature is valid,
+ * rejected otherwise.
+ */
+function verifySignature(sigPath, dataPath, keyring) {
+  return new Promise((resolve, reject) => {
+    const stderrChunks = [];
+    const child = spawn(
+      'gpgv',
+      ['--keyring', path.resolve(keyring), sigPath, dataPath],
+      { stdio: ['ignore', 'ignore', 'pipe'] },
+    );
+    child.stderr.on('data', (chunk) => {
+      stderrChunks.push(chunk);
+    });
+    child.once('error', (errSpawn) => {
+      errSpawn.message = `Unable to run gpgv to verify ${dataPath}: ${
+        errSpawn.message}`;
+      reject(errSpawn);
+    });
+    child.once('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        const stderr = Buffer.concat(stderrChunks).toString().trim();
+        reject(new Error(
+          `Signature verification of ${dataPath} failed (${
+            signal ? `killed by ${signal}` : `exit code ${code}`}): ${stderr}`,
+        ));
+      }
+    });
+  });
+}
+
+/** Gets the SHA-256 checksums of the files for a given build version.
+ *
+ * SHASUMS256.txt (and SHASUMS256.txt.sig, if options.keyring is set) are
+ * cached in the build version directory of options.buildCacheDir.
+ *
+ * @private
+ * @param {string} version Build version
+ * (from {@link module:noderegression.BuildInfo.version}).
+ * @param {!module:noderegression.NoderegressionOptions} options Options.
+ * @returns {!Promise<Map<string,string>|undefined>} Promise for the result
+ * of {@link parseShasums} for the build, or undefined if SHASUMS256.txt is
+ * not available and options.keyring is not set.
+ */
+export async function getBuildChecksums(version, options) {
+  const versionDir = path.join(options.buildCacheDir, version);
+  const versionUrl = `${options.buildBaseUrl}${version}/`;
+
+  const shasumsPath = path.join(versionDir, shasumsName);
+  const shasumsUrl = versionUrl + shasumsName;
+  if (!await ensureSmallFile(shasumsPath, shasumsUrl, options)) {
+    if (options.keyring) {
+      throw new Error(`Unable to verify ${version}: ${shasumsUrl} not found`);
+    }
+
+    options.console.warn(
+      '%s not %s.  Unable to verify build %s.',
+      shasumsUrl,
+      options.offline ? 'cached' : 'found',
+      version,
+    );
+    return undefined;
+  }
+
+  if (options.keyring) {
+    const sigPath = path.join(versionDir, shasumsSigName);
+    const sigUrl = versionUrl + shasumsSigName;
+    if (!await ensureSmallFile(sigPath, sigUrl, options)) {
+      throw new Error(`Unable to verify ${version}: ${sigUrl} not found`);
+    }
+
+    await verifySignature(sigPath, shasumsPath, options.keyring);
+  }
+
+  const shasums = await readFile(shasumsPath, { encoding: 'utf8' });
+  return parseShasums(shasums);
+}
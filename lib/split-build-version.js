@@ -5,6 +5,9 @@
  */
 
 /** Splits a build version string into version, date, and commit parts.
+ *
+ * Nightly (vX.Y.Z-nightlyYYYYMMDDHASH) and V8 canary
+ * (vX.Y.Z-v8-canaryYYYYMMDDHASH) build versions are supported.
  *
  * @param {string} version Build version string.
  * @returns {!Array<string>} 3-tuple with version (as "vX.Y.Z" where X, Y, and
@@ -13,7 +16,7 @@
  */
 export default function splitBuildVersion(version) {
   const match =
-    /^(v[0-9]+\.[0-9]+\.[0-9]+)-nightly(20[0-9][0-9][01][0-9][0-3][0-9])([0-9a-f]+)$/
+    /^(v[0-9]+\.[0-9]+\.[0-9]+)-(?:nightly|v8-canary)(20[0-9][0-9][01][0-9][0-3][0-9])([0-9a-f]+)$/
       .exec(version);
   if (!match) {
     throw new RangeError(
@@ -0,0 +1,222 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import bisectAsync from '../lib/bisect-async.js';
+
+/** Makes a test function for items which are indexes, where items before
+ * firstBad are good, other items are bad, and items in skip are skipped.
+ *
+ * @private
+ * @param {number} firstBad Index of first bad item.
+ * @param {!Array<number>=} skip Indexes of items to skip.
+ * @returns {!sinon.SinonSpy} Test function.
+ */
+function makeTest(firstBad, skip = []) {
+  return sinon.spy((i) => Promise.resolve(
+    skip.includes(i) ? 'skip'
+      : i < firstBad ? 'good'
+        : 'bad',
+  ));
+}
+
+const items = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+describe('bisectAsync', () => {
+  for (let firstBad = 0; firstBad <= items.length; firstBad += 1) {
+    it(`finds first bad item at ${firstBad}`, async () => {
+      const testItem = makeTest(firstBad);
+      const result = await bisectAsync(items, testItem);
+      assert.deepStrictEqual(result, [firstBad - 1, firstBad]);
+      assert.ok(testItem.callCount <= 4, `${testItem.callCount} tests`);
+    });
+  }
+
+  it('tests neighbor of skipped item', async () => {
+    const testItem = makeTest(7, [4]);
+    const result = await bisectAsync(items, testItem);
+    assert.deepStrictEqual(result, [6, 7]);
+    assert.strictEqual(testItem.getCall(0).args[0], 4);
+    assert.strictEqual(testItem.getCall(1).args[0], 5);
+  });
+
+  it('returns range spanning skipped items', async () => {
+    const testItem = makeTest(5, [3, 4, 5]);
+    const result = await bisectAsync(items, testItem);
+    assert.deepStrictEqual(result, [2, 6]);
+    for (const i of [3, 4, 5]) {
+      sinon.assert.calledWithExactly(testItem, i);
+    }
+  });
+
+  it('returns full range if all items skipped', async () => {
+    const testItem = makeTest(5, items);
+    const result = await bisectAsync(items, testItem);
+    assert.deepStrictEqual(result, [-1, items.length]);
+    sinon.assert.callCount(testItem, items.length);
+  });
+
+  it('returns current range when test returns stop', async () => {
+    const testItem = sinon.stub();
+    testItem.onFirstCall().resolves('good');
+    testItem.onSecondCall().resolves('stop');
+    const result = await bisectAsync(items, testItem);
+    assert.deepStrictEqual(result, [4, items.length]);
+    sinon.assert.calledTwice(testItem);
+  });
+
+  it('does not test items outside low/high', async () => {
+    const testItem = makeTest(5);
+    const result = await bisectAsync(items, testItem, 3, 6);
+    assert.deepStrictEqual(result, [4, 5]);
+    for (const call of testItem.getCalls()) {
+      const [i] = call.args;
+      assert.ok(i >= 3 && i <= 6, `tested ${i}`);
+    }
+  });
+
+  it('calls progress when range is reduced', async () => {
+    const progress = sinon.spy();
+    await bisectAsync(items, makeTest(7, [4]), undefined, undefined, progress);
+    assert.deepStrictEqual(progress.getCall(0).args, [0, 9]);
+    assert.deepStrictEqual(progress.getCall(1).args, [6, 9]);
+    for (const call of progress.getCalls()) {
+      const [low, high] = call.args;
+      assert.ok(low <= high, `${low} <= ${high}`);
+    }
+  });
+
+  describe('with concurrency', () => {
+    for (let firstBad = 0; firstBad <= items.length; firstBad += 1) {
+      it(`finds first bad item at ${firstBad}`, async () => {
+        const testItem = makeTest(firstBad);
+        const result = await bisectAsync(
+          items,
+          testItem,
+          undefined,
+          undefined,
+          undefined,
+          3,
+        );
+        assert.deepStrictEqual(result, [firstBad - 1, firstBad]);
+      });
+    }
+
+    it('returns range spanning skipped items', async () => {
+      const testItem = makeTest(5, [3, 4, 5]);
+      const result = await bisectAsync(
+        items,
+        testItem,
+        undefined,
+        undefined,
+        undefined,
+        2,
+      );
+      assert.deepStrictEqual(result, [2, 6]);
+    });
+
+    it('aborts tests of items which are no longer in range', async () => {
+      const testItem = sinon.spy((i, signal) => {
+        if (i === 7) {
+          return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          });
+        }
+
+        return Promise.resolve(i < 2 ? 'good' : 'bad');
+      });
+      const result = await bisectAsync(
+        items,
+        testItem,
+        undefined,
+        undefined,
+        undefined,
+        3,
+      );
+      assert.deepStrictEqual(result, [1, 2]);
+      const call7 = testItem.getCalls().find((call) => call.args[0] === 7);
+      assert.ok(call7, 'tested 7 concurrently');
+      assert.strictEqual(call7.args[1].aborted, true);
+    });
+
+    it('counts aborted tests toward concurrency until settled', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const testItem = async (i, signal) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        try {
+          await new Promise((resolve) => {
+            if (i === 4) {
+              // Slow to finish after being aborted
+              signal.addEventListener('abort', () => setTimeout(resolve, 10));
+            } else {
+              setImmediate(resolve);
+            }
+          });
+          return i < 8 ? 'good' : 'bad';
+        } finally {
+          running -= 1;
+        }
+      };
+      const result = await bisectAsync(
+        items,
+        testItem,
+        undefined,
+        undefined,
+        undefined,
+        2,
+      );
+      assert.deepStrictEqual(result, [7, 8]);
+      assert.strictEqual(maxRunning, 2);
+    });
+
+    it('rejects with error from test', () => {
+      const testErr = new Error('test');
+      return assert.rejects(
+        () => bisectAsync(
+          items,
+          () => Promise.reject(testErr),
+          undefined,
+          undefined,
+          undefined,
+          2,
+        ),
+        testErr,
+      );
+    });
+  });
+
+  it('throws RangeError for zero concurrency', () => {
+    assert.throws(
+      () => bisectAsync(items, makeTest(5), undefined, undefined, undefined, 0),
+      RangeError,
+    );
+  });
+
+  it('rejects with TypeError for unrecognized test result', () => {
+    return assert.rejects(
+      () => bisectAsync(items, () => 1),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number low', () => {
+    assert.throws(
+      () => bisectAsync(items, makeTest(5), '1'),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for negative high', () => {
+    assert.throws(
+      () => bisectAsync(items, makeTest(5), undefined, -1),
+      RangeError,
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import parseBisectLog from '../lib/bisect-log.js';
+
+describe('parseBisectLog', () => {
+  it('returns results in order, ignoring comments', () => {
+    assert.deepStrictEqual(
+      parseBisectLog(
+        '# bad: v16.0.0-nightly202102189a2ac2c615\n'
+        + 'git bisect bad 9a2ac2c615\n'
+        + '# good: v16.0.0-nightly20210215bcb1964560\n'
+        + 'git bisect good bcb1964560\n'
+        + '# skip: v16.0.0-nightly20210216eec20ed5c1 (timed out)\n'
+        + 'git bisect skip eec20ed5c1\n',
+      ),
+      [
+        { result: 'bad', build: '9a2ac2c615' },
+        { result: 'good', build: 'bcb1964560' },
+        { result: 'skip', build: 'eec20ed5c1' },
+      ],
+    );
+  });
+
+  it('handles git bisect log format', () => {
+    assert.deepStrictEqual(
+      parseBisectLog(
+        'git bisect start\r\n'
+        + '# status: waiting for both good and bad commits\r\n'
+        + 'git bisect new v18.17.1\r\n'
+        + 'git bisect old v18.17.0\r\n'
+        + 'git bisect skip v18.17.0-rc.1 v18.17.0-rc.2\r\n',
+      ),
+      [
+        { result: 'bad', build: 'v18.17.1' },
+        { result: 'good', build: 'v18.17.0' },
+        { result: 'skip', build: 'v18.17.0-rc.1' },
+        { result: 'skip', build: 'v18.17.0-rc.2' },
+      ],
+    );
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import {
+  mkdir,
+  readdir,
+  rm,
+  stat,
+  utimes,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  clearBuildCache,
+  getCacheDir,
+  listCachedBuilds,
+  migrateLegacyCache,
+  pruneBuildCache,
+} from '../lib/build-cache.js';
+import tmpName from '../lib/tmp-name.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+const nightlyVersion = 'v16.0.0-nightly202102189a2ac2c615';
+
+let cacheDir;
+beforeEach(async () => {
+  cacheDir = await tmpName();
+});
+afterEach(() => rm(cacheDir, { force: true, recursive: true }));
+
+async function addCachedFile(relPath, size, daysSinceUse) {
+  const filePath = path.join(cacheDir, ...relPath.split('/'));
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, Buffer.alloc(size));
+  const lastUsed = new Date(Date.now() - (daysSinceUse * dayMs));
+  await utimes(filePath, lastUsed, lastUsed);
+  return filePath;
+}
+
+async function addTestFiles() {
+  await addCachedFile('nightly/index.json', 2, 0);
+  await addCachedFile(
+    `nightly/${nightlyVersion}/node-${nightlyVersion}-linux-x64.tar.gz`,
+    30,
+    1,
+  );
+  await addCachedFile(`nightly/${nightlyVersion}/win-x64/node.exe`, 20, 3);
+  await addCachedFile(`nightly/${nightlyVersion}/SHASUMS256.txt`, 1, 3);
+  await addCachedFile(
+    'release/v18.0.0/node-v18.0.0-darwin-arm64.tar.gz',
+    10,
+    2,
+  );
+  await addCachedFile('release/v18.1.0/node-v18.1.0-win-x64.zip.part', 5, 0);
+}
+
+describe('getCacheDir', () => {
+  it('returns options.cacheDir, if set', () => {
+    assert.strictEqual(getCacheDir({ cacheDir }), cacheDir);
+  });
+
+  it('returns noderegression in XDG_CACHE_HOME by default', () => {
+    assert.strictEqual(
+      getCacheDir({ env: { XDG_CACHE_HOME: cacheDir } }),
+      path.join(cacheDir, 'noderegression'),
+    );
+  });
+});
+
+describe('migrateLegacyCache', () => {
+  it('moves builds cached before channels to nightly', async () => {
+    await addCachedFile(
+      `${nightlyVersion}/node-${nightlyVersion}-linux-x64.tar.gz`,
+      30,
+      0,
+    );
+    await addCachedFile('index.json', 2, 0);
+    await addCachedFile('nightly/index.json', 3, 0);
+    await addCachedFile('v8-canary/index.json', 4, 0);
+    assert.strictEqual(await migrateLegacyCache(cacheDir), 1);
+    const cacheNames = await readdir(cacheDir);
+    assert.deepStrictEqual(
+      new Set(cacheNames),
+      new Set(['nightly', 'v8-canary']),
+    );
+    const nightlyNames = await readdir(path.join(cacheDir, 'nightly'));
+    assert.deepStrictEqual(
+      new Set(nightlyNames),
+      new Set(['index.json', nightlyVersion]),
+    );
+    const { size } = await stat(path.join(cacheDir, 'nightly', 'index.json'));
+    assert.strictEqual(size, 3);
+    assert.strictEqual(await migrateLegacyCache(cacheDir), 0);
+  });
+});
+
+describe('listCachedBuilds', () => {
+  it('returns empty Array if cacheDir does not exist', async () => {
+    assert.deepStrictEqual(await listCachedBuilds({ cacheDir }), []);
+  });
+
+  it('returns cached builds with channel, version, and target', async () => {
+    await addTestFiles();
+    const cachedBuilds = await listCachedBuilds({ cacheDir });
+    assert.deepStrictEqual(
+      cachedBuilds.map((cachedBuild) => [
+        cachedBuild.channel,
+        cachedBuild.version,
+        cachedBuild.target,
+        cachedBuild.size,
+      ]),
+      [
+        ['nightly', nightlyVersion, 'linux-x64', 30],
+        ['nightly', nightlyVersion, 'win-x64-exe', 20],
+        ['release', 'v18.0.0', 'osx-arm64-tar', 10],
+      ],
+    );
+    assert.ok(cachedBuilds.every(({ lastUsed }) => lastUsed instanceof Date));
+  });
+
+  it('returns extracted build directory as one build', async () => {
+    const distDir =
+      `nightly/${nightlyVersion}/node-${nightlyVersion}-linux-x64`;
+    await addCachedFile(`${distDir}/bin/node`, 30, 0);
+    await addCachedFile(`${distDir}/include/node/node.h`, 5, 0);
+    await addCachedFile(`${distDir}-abc.part/bin/node`, 30, 0);
+    const cachedBuilds = await listCachedBuilds({ cacheDir });
+    assert.deepStrictEqual(
+      cachedBuilds.map((cachedBuild) => [
+        cachedBuild.path,
+        cachedBuild.target,
+        cachedBuild.size,
+      ]),
+      [[path.join(cacheDir, ...distDir.split('/')), 'linux-x64', 35]],
+    );
+  });
+
+  it('returns extracted build directory with saved target', async () => {
+    const distDir =
+      `nightly/${nightlyVersion}/node-${nightlyVersion}-linux-x64`;
+    await addCachedFile(`${distDir}/bin/node`, 30, 0);
+    const infoPath = await addCachedFile(`${distDir}.json`, 0, 0);
+    await writeFile(infoPath, JSON.stringify({ target: 'linux-x64-xz' }));
+    const cachedBuilds = await listCachedBuilds({ cacheDir });
+    assert.deepStrictEqual(
+      cachedBuilds.map((cachedBuild) => [
+        cachedBuild.path,
+        cachedBuild.target,
+      ]),
+      [[path.join(cacheDir, ...distDir.split('/')), 'linux-x64-xz']],
+    );
+
+    await pruneBuildCache({ cacheDir, maxCount: 0 });
+    assert.deepStrictEqual(await readdir(path.join(cacheDir, 'nightly')), []);
+  });
+
+  it('returns extracted executable with target of its archive', async () => {
+    const exePath =
+      `nightly/${nightlyVersion}/node-${nightlyVersion}-linux-x64.tar.gz.node`;
+    await addCachedFile(exePath, 30, 0);
+    await addCachedFile(`${exePath}.json`, 5, 0);
+    const cachedBuilds = await listCachedBuilds({ cacheDir });
+    assert.deepStrictEqual(
+      cachedBuilds.map((cachedBuild) => [
+        cachedBuild.path,
+        cachedBuild.target,
+      ]),
+      [[path.join(cacheDir, ...exePath.split('/')), 'linux-x64']],
+    );
+  });
+
+  it('returns archive and extracted executable as one build', async () => {
+    const archivePath =
+      `nightly/${nightlyVersion}/node-${nightlyVersion}-linux-x64.tar.gz`;
+    await addCachedFile(`${archivePath}.node`, 20, 0);
+    await addCachedFile(`${archivePath}.node.json`, 5, 0);
+    await addCachedFile(archivePath, 30, 1);
+    const cachedBuilds = await listCachedBuilds({ cacheDir });
+    assert.deepStrictEqual(
+      cachedBuilds.map((cachedBuild) => [
+        cachedBuild.path,
+        cachedBuild.target,
+        cachedBuild.size,
+      ]),
+      [[path.join(cacheDir, ...archivePath.split('/')), 'linux-x64', 55]],
+    );
+    assert.ok(Date.now() - cachedBuilds[0].lastUsed < dayMs);
+  });
+});
+
+describe('pruneBuildCache', () => {
+  it('rejects with TypeError without options', () => {
+    return assert.rejects(
+      () => pruneBuildCache(),
+      TypeError,
+    );
+  });
+
+  it('rejects with RangeError for negative maxSize', () => {
+    return assert.rejects(
+      () => pruneBuildCache({ cacheDir, maxSize: -1 }),
+      RangeError,
+    );
+  });
+
+  it('removes builds not used within maxAge', async () => {
+    await addTestFiles();
+    const removed = await pruneBuildCache({ cacheDir, maxAge: 2.5 * dayMs });
+    assert.deepStrictEqual(
+      removed.map(({ target }) => target),
+      ['win-x64-exe'],
+    );
+    const versionFiles =
+      await readdir(path.join(cacheDir, 'nightly', nightlyVersion));
+    assert.deepStrictEqual(
+      versionFiles.toSorted((a, b) => a.localeCompare(b)),
+      [`node-${nightlyVersion}-linux-x64.tar.gz`, 'SHASUMS256.txt'],
+    );
+  });
+
+  it('removes least recently used builds beyond maxCount', async () => {
+    await addTestFiles();
+    const removed = await pruneBuildCache({ cacheDir, maxCount: 1 });
+    assert.deepStrictEqual(
+      removed.map(({ target }) => target),
+      ['osx-arm64-tar', 'win-x64-exe'],
+    );
+  });
+
+  it('removes least recently used builds beyond maxSize', async () => {
+    await addTestFiles();
+    const removed = await pruneBuildCache({ cacheDir, maxSize: 45 });
+    assert.deepStrictEqual(
+      removed.map(({ target }) => target),
+      ['win-x64-exe'],
+    );
+  });
+
+  it('removes version directories with only checksums', async () => {
+    await addTestFiles();
+    await pruneBuildCache({ cacheDir, maxCount: 0 });
+    const cachePaths = await readdir(cacheDir, { recursive: true });
+    assert.deepStrictEqual(
+      cachePaths.toSorted((a, b) => a.localeCompare(b)),
+      [
+        'nightly',
+        path.join('nightly', 'index.json'),
+        'release',
+        path.join('release', 'v18.1.0'),
+        path.join('release', 'v18.1.0', 'node-v18.1.0-win-x64.zip.part'),
+      ],
+    );
+  });
+
+  it('removes executable extracted from removed archive', async () => {
+    await addTestFiles();
+    const versionDir = path.join(cacheDir, 'nightly', nightlyVersion);
+    const archiveName = `node-${nightlyVersion}-linux-x64.tar.gz`;
+    await addCachedFile(`nightly/${nightlyVersion}/${archiveName}.node`, 5, 1);
+    await addCachedFile(
+      `nightly/${nightlyVersion}/${archiveName}.node.json`,
+      1,
+      1,
+    );
+    const removed = await pruneBuildCache({ cacheDir, maxAge: 0.5 * dayMs });
+    assert.deepStrictEqual(
+      removed.map(({ target }) => target),
+      ['linux-x64', 'osx-arm64-tar', 'win-x64-exe'],
+    );
+    await assert.rejects(() => readdir(versionDir), { code: 'ENOENT' });
+  });
+
+  it('removes partial files not modified in a day', async () => {
+    const versionDir = path.join(cacheDir, 'release', 'v18.1.0');
+    const partDir = path.join(versionDir, 'node-v18.1.0-linux-x64-1.part');
+    await mkdir(path.join(partDir, 'bin'), { recursive: true });
+    await writeFile(path.join(partDir, 'bin', 'node'), 'node');
+    const modified = new Date(Date.now() - (2 * dayMs));
+    await utimes(partDir, modified, modified);
+    await addCachedFile('release/v18.1.0/node-v18.1.0.tar.gz.part', 5, 2);
+    await addCachedFile('release/v18.1.0/node-v18.1.0-win-x64.zip.part', 5, 0);
+
+    assert.deepStrictEqual(await pruneBuildCache({ cacheDir }), []);
+    assert.deepStrictEqual(
+      await readdir(versionDir),
+      ['node-v18.1.0-win-x64.zip.part'],
+    );
+  });
+});
+
+describe('clearBuildCache', () => {
+  it('removes cacheDir', async () => {
+    await addTestFiles();
+    await clearBuildCache({ cacheDir });
+    await assert.rejects(() => readdir(cacheDir), { code: 'ENOENT' });
+  });
+
+  it('succeeds if cacheDir does not exist', async () => {
+    await clearBuildCache({ cacheDir });
+  });
+
+  it('rejects without removing cacheDir with other files', async () => {
+    await addTestFiles();
+    await addCachedFile('nightly/notes.txt', 1, 0);
+    await assert.rejects(
+      () => clearBuildCache({ cacheDir }),
+      /\bnotes\.txt\b/,
+    );
+    await readdir(path.join(cacheDir, 'release'));
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { once } from 'node:events';
+import {
+  mkdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'node:fs/promises';
+import { createServer } from 'node:http';
+import path from 'node:path';
+
+import createBuildServer from '../lib/build-server.js';
+import tmpName from '../lib/tmp-name.js';
+
+const version = 'v16.0.0-nightly202102189a2ac2c615';
+const buildPath = `${version}/node-${version}-linux-x64.tar.gz`;
+
+function noop() {}
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+async function close(server) {
+  server.close();
+  // Close keep-alive connections which were not idle when close was called
+  server.closeAllConnections();
+  await once(server, 'close');
+}
+
+describe('createBuildServer', () => {
+  let buildCacheDir, upstream, upstreamUrl, upstreamRequests;
+  let indexJson;
+  beforeEach(async () => {
+    buildCacheDir = await tmpName();
+    indexJson = '[]';
+    upstreamRequests = [];
+    upstream = createServer((req, res) => {
+      upstreamRequests.push(req.url);
+      if (req.url === `/${buildPath}`) {
+        res.end('build');
+      } else if (indexJson && req.url === '/index.json') {
+        res.end(indexJson);
+      } else {
+        res.writeHead(req.url === '/index.json' ? 503 : 404);
+        res.end();
+      }
+    });
+    upstreamUrl = await listen(upstream);
+  });
+  afterEach(async () => {
+    await close(upstream);
+    await rm(buildCacheDir, { force: true, recursive: true });
+  });
+
+  async function withServer(fn) {
+    const server = createBuildServer({
+      buildCacheDir,
+      console: {
+        debug: noop,
+        error: noop,
+        info: noop,
+        warn: noop,
+      },
+      upstreamUrl,
+    });
+    const serverUrl = await listen(server);
+    try {
+      await fn(serverUrl);
+    } finally {
+      await close(server);
+    }
+  }
+
+  it('throws TypeError without options.buildCacheDir', () => {
+    assert.throws(
+      () => createBuildServer({ upstreamUrl: 'https://example.com/' }),
+      TypeError,
+    );
+  });
+
+  it('fetches missing build from upstream once and caches it', async () => {
+    await withServer(async (serverUrl) => {
+      for (let i = 0; i < 2; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        const res = await fetch(serverUrl + buildPath);
+        assert.strictEqual(res.status, 200);
+        // eslint-disable-next-line no-await-in-loop
+        assert.strictEqual(await res.text(), 'build');
+      }
+    });
+    assert.deepStrictEqual(upstreamRequests, [`/${buildPath}`]);
+    const cachePath = path.join(buildCacheDir, ...buildPath.split('/'));
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+
+  it('fetches missing build once for concurrent requests', async () => {
+    await withServer(async (serverUrl) => {
+      const texts = await Promise.all([0, 1, 2].map(async () => {
+        const res = await fetch(serverUrl + buildPath);
+        assert.strictEqual(res.status, 200);
+        return res.text();
+      }));
+      assert.deepStrictEqual(texts, ['build', 'build', 'build']);
+    });
+    assert.deepStrictEqual(upstreamRequests, [`/${buildPath}`]);
+  });
+
+  it('responds with 404 if build is missing upstream', async () => {
+    await withServer(async (serverUrl) => {
+      const res = await fetch(`${serverUrl}${version}/missing.tar.gz`);
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  it('responds with 404 for paths outside buildCacheDir', async () => {
+    await withServer(async (serverUrl) => {
+      const res = await fetch(`${serverUrl}${version}/..%2F..%2Fsecret`);
+      assert.strictEqual(res.status, 404);
+    });
+    assert.deepStrictEqual(upstreamRequests, []);
+  });
+
+  it('fetches index.json even if cached', async () => {
+    await mkdir(buildCacheDir);
+    await writeFile(path.join(buildCacheDir, 'index.json'), '[{}]');
+    await withServer(async (serverUrl) => {
+      const res = await fetch(`${serverUrl}index.json`);
+      assert.strictEqual(await res.text(), '[]');
+    });
+    assert.deepStrictEqual(upstreamRequests, ['/index.json']);
+  });
+
+  it('serves cached index.json if upstream fails', async () => {
+    indexJson = undefined;
+    await mkdir(buildCacheDir);
+    await writeFile(path.join(buildCacheDir, 'index.json'), '[{}]');
+    await withServer(async (serverUrl) => {
+      const res = await fetch(`${serverUrl}index.json`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(await res.text(), '[{}]');
+    });
+    assert.deepStrictEqual(upstreamRequests, ['/index.json']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import {
+  defaultClassify,
+  makeClassifier,
+  rulesNeedOutput,
+} from '../lib/classify-result.js';
+
+describe('makeClassifier', () => {
+  it('returns defaultClassify for undefined', () => {
+    assert.strictEqual(makeClassifier(), defaultClassify);
+  });
+
+  it('classifies by exit code by default', () => {
+    const classify = makeClassifier([]);
+    assert.strictEqual(classify(0, null, ''), 'good');
+    assert.strictEqual(classify(1, null, ''), 'bad');
+    assert.strictEqual(classify(125, null, ''), 'skip');
+    assert.strictEqual(classify(null, 'SIGSEGV', ''), 'bad');
+  });
+
+  it('uses first matching rule', () => {
+    const classify = makeClassifier([
+      { result: 'bad', output: /ERR_INTERNAL_ASSERTION/g },
+      { result: 'skip', code: [1, 2] },
+      { result: 'bad', signal: 'SIGSEGV' },
+      { result: 'good' },
+    ]);
+    const output = 'Error [ERR_INTERNAL_ASSERTION]: test';
+    assert.strictEqual(classify(1, null, output), 'bad');
+    // RegExp with global flag is not stateful
+    assert.strictEqual(classify(1, null, output), 'bad');
+    assert.strictEqual(classify(2, null, ''), 'skip');
+    assert.strictEqual(classify(null, 'SIGSEGV', ''), 'bad');
+    assert.strictEqual(classify(3, null, ''), 'good');
+  });
+
+  it('requires all criteria of a rule to match', () => {
+    const classify = makeClassifier([
+      { result: 'skip', code: 1, output: /ENOSPC/ },
+    ]);
+    assert.strictEqual(classify(1, null, 'ENOSPC'), 'skip');
+    assert.strictEqual(classify(1, null, 'EACCES'), 'bad');
+    assert.strictEqual(classify(0, null, 'ENOSPC'), 'good');
+  });
+
+  it('throws TypeError for non-Array', () => {
+    assert.throws(
+      () => makeClassifier({ result: 'bad' }),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for invalid result', () => {
+    assert.throws(
+      () => makeClassifier([{ result: 'crash' }]),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for string output', () => {
+    assert.throws(
+      () => makeClassifier([{ result: 'bad', output: 'crash' }]),
+      TypeError,
+    );
+  });
+});
+
+describe('rulesNeedOutput', () => {
+  it('returns false for undefined', () => {
+    assert.strictEqual(rulesNeedOutput(undefined), false);
+  });
+
+  it('returns true if any rule has output', () => {
+    assert.strictEqual(
+      rulesNeedOutput([
+        { result: 'skip', code: 1 },
+        { result: 'bad', output: /x/ },
+      ]),
+      true,
+    );
+  });
+});
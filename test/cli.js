@@ -4,7 +4,16 @@
  */
 
 import assert from 'node:assert';
-import { readFile, unlink } from 'node:fs/promises';
+import {
+  mkdir,
+  readFile,
+  readdir,
+  rm,
+  unlink,
+  writeFile,
+} from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import stream from 'node:stream';
 import {
   setImmediate as setImmediateP,
@@ -14,6 +23,10 @@ import {
 import sinon from 'sinon';
 
 import noderegressionMain from '../cli.js';
+import {
+  bisectRange as realBisectRange,
+  createBuildServer,
+} from '../index.js';
 import tmpName from '../lib/tmp-name.js';
 
 const { match } = sinon;
@@ -343,6 +356,13 @@ describe('noderegression command', () => {
     ['cmd'],
     match({ targets: undefined }),
   );
+  expectArgsAs(
+    ['--good', '20200102', 'cmd'],
+    new Date(Date.UTC(2020, 0, 2)),
+    undefined,
+    ['cmd'],
+    match({ targets: undefined }),
+  );
   expectArgsAs(
     ['-g', new Date(2020, 0, 2).toLocaleDateString(), 'cmd'],
     new Date(Date.UTC(2020, 0, 2)),
@@ -372,6 +392,159 @@ describe('noderegression command', () => {
     ['cmd'],
     match({ targets: undefined }),
   );
+  expectArgsAs(
+    ['--good', 'v16.0.0-nightly202102178353854ed7', 'cmd'],
+    'v16.0.0-nightly202102178353854ed7',
+    undefined,
+    ['cmd'],
+    match({ targets: undefined }),
+  );
+  expectArgsAs(
+    ['-b', 'v16.0.0', 'cmd'],
+    undefined,
+    'v16.0.0',
+    ['cmd'],
+    match({ targets: undefined }),
+  );
+  expectArgsAs(
+    ['--old', '8353854', '--new', '9a2ac2c615', 'cmd'],
+    '8353854',
+    '9a2ac2c615',
+    ['cmd'],
+    match({ targets: undefined }),
+  );
+  // Passes last build, since order is not known
+  expectArgsAs(
+    ['-g', '2020-01-02', '-g', '8353854', '-g', '9a2ac2c615', 'cmd'],
+    '9a2ac2c615',
+    undefined,
+    ['cmd'],
+    match({ targets: undefined }),
+  );
+  expectArgsAs(
+    ['-b', '8353854', '-b', '2020-01-02', 'cmd'],
+    undefined,
+    new Date(Date.UTC(2020, 0, 2)),
+    ['cmd'],
+    match({ targets: undefined }),
+  );
+  expectArgsAs(['--release', 'cmd'], undefined, undefined, ['cmd'], match({
+    channel: 'release',
+  }));
+  expectArgsAs(
+    ['--keyring', 'keys.kbx', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ keyring: 'keys.kbx' }),
+  );
+  expectArgsAs(
+    ['-n', '5', '--trial-policy', 'majority', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ trialPolicy: 'majority', trials: 5 }),
+  );
+  expectArgsAs(
+    ['--trials', '5', '--trial-policy', '2', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ trialPolicy: 2, trials: 5 }),
+  );
+  expectArgsAs(
+    ['--base-url', 'https://mirror.example.com/nightly/', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ buildBaseUrl: 'https://mirror.example.com/nightly/' }),
+  );
+  expectArgsAs(
+    ['--retries', '0', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ retries: 0 }),
+  );
+  expectArgsAs(
+    ['--no-prefetch', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ prefetch: false }),
+  );
+  expectArgsAs(
+    ['--jobs', '3', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ concurrency: 3 }),
+  );
+  expectArgsAs(
+    ['--timeout', '1.5', '--timeout-result', 'skip', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ timeout: 1500, timeoutResult: 'skip' }),
+  );
+  expectArgsAs(
+    [
+      '--classify',
+      'bad:output=ERR_INTERNAL_ASSERTION',
+      '--classify',
+      'skip:code=1,2',
+      '--classify',
+      'bad:signal=SIGSEGV',
+      '--classify',
+      'good',
+      'cmd',
+    ],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({
+      classify: [
+        { result: 'bad', output: /ERR_INTERNAL_ASSERTION/ },
+        { result: 'skip', code: [1, 2] },
+        { result: 'bad', signal: ['SIGSEGV'] },
+        { result: 'good' },
+      ],
+    }),
+  );
+  expectArgsAs(
+    ['--cache-dir', 'cache', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ cacheDir: 'cache' }),
+  );
+  expectArgsAs(['--offline', 'cmd'], undefined, undefined, ['cmd'], match({
+    offline: true,
+  }));
+  expectArgsAs(['--full-dist', 'cmd'], undefined, undefined, ['cmd'], match({
+    fullDist: true,
+  }));
+  expectArgsAs(
+    ['--local-builds', 'builds', '--local-repo', 'node', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({
+      localBuildDir: 'builds',
+      localManifest: undefined,
+      localRepo: 'node',
+    }),
+  );
+  expectArgsAs(
+    ['--channel', 'v8-canary', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ channel: 'v8-canary' }),
+  );
+  expectArgsAs(['-c', 'rc', 'cmd'], undefined, undefined, ['cmd'], match({
+    channel: 'rc',
+  }));
   expectArgsAs(
     ['--target', 'aix-ppc64', 'cmd'],
     undefined,
@@ -419,6 +592,578 @@ describe('noderegression command', () => {
     );
   });
 
+  it('cmd reports download progress', async () => {
+    const allArgs = [...testRuntimeArgs, 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const { ondownload } = bisectRange.getCall(0).args[3].listeners;
+    const url = 'https://example.com/v16.0.0/node-v16.0.0-linux-x64.tar.gz';
+    ondownload(url, 0, 2048, false);
+    ondownload(url, 1024, 2048, false);
+    ondownload(url, 2048, 2048, true);
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.match(
+      options.stderr.read(),
+      /^Downloaded node-v16\.0\.0-linux-x64\.tar\.gz: 2\.0 KiB in [0-9.]+ s/m,
+    );
+  });
+
+  it('cmd reports download failure', async () => {
+    const allArgs = [...testRuntimeArgs, 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const { ondownload } = bisectRange.getCall(0).args[3].listeners;
+    const url = 'https://example.com/v16.0.0/node-v16.0.0-linux-x64.tar.gz';
+    ondownload(url, 0, 2048, false);
+    ondownload(url, 1024, 2048, false);
+    ondownload(url, 1024, 2048, true, new Error('test'));
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    const stderr = options.stderr.read();
+    assert.match(
+      stderr,
+      /^Failed to download node-v16\.0\.0-linux-x64\.tar\.gz after 1\.0 KiB/m,
+    );
+    assert.doesNotMatch(stderr, /^Downloaded/m);
+  });
+
+  it('cmd reports concurrent download progress on TTY', async () => {
+    const clock = sinon.useFakeTimers({ toFake: ['Date'] });
+    try {
+      const allArgs = [...testRuntimeArgs, 'cmd'];
+      let resolveBisect;
+      const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+        resolveBisect = resolve;
+      }));
+      const options = {
+        ...getTestOptions(),
+        bisectRange,
+      };
+      options.stderr.isTTY = true;
+      const exitCodeP = noderegressionMain(allArgs, options);
+      await setImmediateP();
+      sinon.assert.callCount(bisectRange, 1);
+      const { ondownload } = bisectRange.getCall(0).args[3].listeners;
+      const url1 = 'https://example.com/v16.0.0/node-v16.0.0-linux-x64.tar.gz';
+      const url2 = 'https://example.com/v17.0.0/node-v17.0.0-linux-x64.tar.gz';
+      clock.tick(1000);
+      ondownload(url1, 0, 2048, false);
+      ondownload(url2, 0, 1024, false);
+      clock.tick(1000);
+      ondownload(url1, 1024, 2048, false);
+      ondownload(url2, 1024, 1024, true);
+      resolveBisect(testGoodBad);
+      const exitCode = await exitCodeP;
+      assert.strictEqual(exitCode, 0);
+      const lines = options.stderr.read().split('\n');
+      assert.strictEqual(
+        lines[0],
+        '\rnode-v16.0.0-linux-x64.tar.gz [                    ] 0% 0 B of '
+        + '2.0 KiB\u{1B}[K'
+        + '\rnode-v16.0.0-linux-x64.tar.gz 50%, node-v17.0.0-linux-x64.tar.gz '
+        + '0%\u{1B}[K'
+        + '\rnode-v17.0.0-linux-x64.tar.gz [####################] 100% '
+        + '1.0 KiB of 1.0 KiB, 1.0 KiB/s\u{1B}[K',
+      );
+      assert.match(
+        lines[1],
+        /^\rnode-v16\.0\.0-linux-x64\.tar\.gz \[#{10} {10}\] 50% /,
+      );
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('--log - cmd saves skipped builds to log', async () => {
+    const allArgs = [...testRuntimeArgs, '--log', '-', 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const brOptions = bisectRange.getCall(0).args[3];
+    brOptions.listeners.onresult(buildIndex[1], 125, null);
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(options.stderr.read(), testGoodBadOut);
+    assert.strictEqual(
+      options.stdout.read(),
+      '# skip: v16.0.0-nightly202102178353854ed7\n'
+      + 'git bisect skip 8353854ed7\n',
+    );
+  });
+
+  it('--trials 3 --log - cmd saves trial counts to log', async () => {
+    const allArgs = [...testRuntimeArgs, '--trials', '3', '--log', '-', 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const brOptions = bisectRange.getCall(0).args[3];
+    brOptions.listeners.onresult(buildIndex[1], 1, null, { pass: 2, fail: 1 });
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(options.stderr.read(), testGoodBadOut);
+    assert.strictEqual(
+      options.stdout.read(),
+      '# bad: v16.0.0-nightly202102178353854ed7 (1 of 3 trials failed)\n'
+      + 'git bisect bad 8353854ed7\n',
+    );
+  });
+
+  expectArgsAs(
+    ['--state-file', 'state.json', 'cmd'],
+    undefined,
+    undefined,
+    ['cmd'],
+    match({ stateFile: 'state.json' }),
+  );
+
+  it('--replay passes results from log to bisectRange', async () => {
+    const replayLog = await tmpName();
+    await writeFile(
+      replayLog,
+      '# good: v16.0.0-nightly20210215bcb1964560\n'
+      + 'git bisect good bcb1964560\n',
+    );
+    try {
+      const allArgs = [...testRuntimeArgs, '--replay', replayLog, 'cmd'];
+      const bisectRange = sinon.stub().resolves(testGoodBad);
+      const options = {
+        ...getTestOptions(),
+        bisectRange,
+      };
+      const exitCode = await noderegressionMain(allArgs, options);
+      assert.strictEqual(exitCode, 0);
+      sinon.assert.calledOnceWithExactly(
+        bisectRange,
+        undefined,
+        undefined,
+        ['cmd'],
+        match({ replay: [{ result: 'good', build: 'bcb1964560' }] }),
+      );
+    } finally {
+      await rm(replayLog, { force: true });
+    }
+  });
+
+  it('--json cmd prints result and tested builds as JSON', async () => {
+    const allArgs = [...testRuntimeArgs, '--json', 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const brOptions = bisectRange.getCall(0).args[3];
+    // Output of test command does not mix with JSON result
+    assert.strictEqual(brOptions.stderr, options.stderr);
+    assert.strictEqual(brOptions.stdout, options.stderr);
+    brOptions.listeners.onresult(buildIndex[0], 1, null, {
+      result: 'bad',
+      pass: 0,
+      fail: 1,
+      timedOut: false,
+      target: 'linux-x64',
+      duration: 20,
+    });
+    brOptions.listeners.onresult(buildIndex[1], 0, null, {
+      result: 'good',
+      pass: 1,
+      fail: 0,
+      timedOut: false,
+      target: 'linux-x64',
+      duration: 10,
+    });
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(options.stderr.read(), testGoodBadOut);
+    const jsonResult = JSON.parse(options.stdout.read());
+    assert.ok(jsonResult.timing.total >= 0);
+    assert.deepStrictEqual(jsonResult, {
+      good: testGoodBad[0],
+      bad: testGoodBad[1],
+      tested: [
+        {
+          version: buildIndex[0].version,
+          code: 1,
+          signal: null,
+          result: 'bad',
+          pass: 0,
+          fail: 1,
+          timedOut: false,
+          target: 'linux-x64',
+          duration: 20,
+        },
+        {
+          version: buildIndex[1].version,
+          code: 0,
+          signal: null,
+          result: 'good',
+          pass: 1,
+          fail: 0,
+          timedOut: false,
+          target: 'linux-x64',
+          duration: 10,
+        },
+      ],
+      targets: ['linux-x64'],
+      timing: {
+        total: jsonResult.timing.total,
+        test: 30,
+      },
+    });
+  });
+
+  it('--json cmd prints error as JSON', async () => {
+    const allArgs = [...testRuntimeArgs, '--json', 'cmd'];
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().rejects(new Error('test')),
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 1);
+    const jsonResult = JSON.parse(options.stdout.read());
+    assert.strictEqual(jsonResult.error, 'Error: test');
+    assert.deepStrictEqual(jsonResult.tested, []);
+  });
+
+  it('--list-commits cmd prints GitHub compare URL', async () => {
+    const allArgs = [...testRuntimeArgs, '--list-commits', 'cmd'];
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().resolves(testGoodBad),
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(
+      options.stderr.read(),
+      `${testGoodBadOut}Commits between builds: `
+      + 'https://github.com/nodejs/node/compare/8353854ed7...9a2ac2c615\n',
+    );
+  });
+
+  it('--commits-repo <repo> cmd prints commits', async () => {
+    const allArgs = [...testRuntimeArgs, '--commits-repo', 'node', 'cmd'];
+    const listCommits = sinon.stub().resolves([
+      {
+        commit: '0123456789abcdef',
+        subject: 'src: fix a bug',
+        prUrl: 'https://github.com/nodejs/node/pull/123',
+        pr: 123,
+      },
+      { commit: 'fedcba9876543210', subject: 'lib: add a bug' },
+    ]);
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().resolves(testGoodBad),
+      listCommits,
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    sinon.assert.calledOnceWithExactly(
+      listCommits,
+      testGoodBad[0],
+      testGoodBad[1],
+      { repo: 'node', stderr: options.stderr },
+    );
+    assert.strictEqual(
+      options.stderr.read(),
+      `${testGoodBadOut}Commits between builds (2):\n`
+      + '  0123456789 src: fix a bug (#123)\n'
+      + '  fedcba9876 lib: add a bug\n',
+    );
+  });
+
+  it('--git-bisect <repo> cmd prints git bisect run command', async () => {
+    const allArgs =
+      [...testRuntimeArgs, '--git-bisect', 'node', 'cmd', "it's"];
+    const gitBisect = sinon.stub().resolves(undefined);
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().resolves(testGoodBad),
+      gitBisect,
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    sinon.assert.calledOnceWithExactly(
+      gitBisect,
+      testGoodBad[0],
+      testGoodBad[1],
+      {
+        repo: 'node',
+        runCommand: undefined,
+        stderr: options.stderr,
+        stdout: options.stdout,
+      },
+    );
+    assert.strictEqual(
+      options.stderr.read(),
+      `${testGoodBadOut}Started git bisect.  To continue, run:\n`
+      + '  cd node\n'
+      + '  git bisect run sh -c \'(./configure && make '
+      + `-j${os.availableParallelism()}) || exit 125; `
+      + 'PATH="$PWD/out/Release:$PATH" exec "$@"\' sh cmd \'it\'\\\'\'s\'\n'
+      + 'Or: Build and test each commit, then mark it using '
+      + 'git bisect good, bad, or skip.\n'
+      + 'When done, run git bisect reset to check out the previous HEAD.\n',
+    );
+  });
+
+  it('--git-bisect-run prints first bad commit', async () => {
+    const allArgs = [
+      ...testRuntimeArgs,
+      '--git-bisect',
+      'node',
+      '--git-bisect-run',
+      'build-test.sh',
+      'cmd',
+    ];
+    const gitBisect = sinon.stub().resolves('0123456789abcdef');
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().resolves(testGoodBad),
+      gitBisect,
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    sinon.assert.calledOnceWithExactly(
+      gitBisect,
+      testGoodBad[0],
+      testGoodBad[1],
+      {
+        repo: 'node',
+        runCommand: ['build-test.sh'],
+        stderr: options.stderr,
+        stdout: options.stdout,
+      },
+    );
+    assert.strictEqual(
+      options.stderr.read(),
+      `${testGoodBadOut}First bad commit: 0123456789abcdef\n`,
+    );
+  });
+
+  it('--json --git-bisect-run writes git output to stderr', async () => {
+    const allArgs = [
+      ...testRuntimeArgs,
+      '--json',
+      '--git-bisect',
+      'node',
+      '--git-bisect-run',
+      'build-test.sh',
+      'cmd',
+    ];
+    const gitBisect = sinon.stub().resolves('0123456789abcdef');
+    const options = {
+      ...getTestOptions(),
+      bisectRange: sinon.stub().resolves(testGoodBad),
+      gitBisect,
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    sinon.assert.calledOnceWithExactly(
+      gitBisect,
+      testGoodBad[0],
+      testGoodBad[1],
+      {
+        repo: 'node',
+        runCommand: ['build-test.sh'],
+        stderr: options.stderr,
+        stdout: options.stderr,
+      },
+    );
+    const jsonResult = JSON.parse(options.stdout.read());
+    assert.strictEqual(jsonResult.badCommit, '0123456789abcdef');
+  });
+
+  it('--resume calls resumeBisect with state file', async () => {
+    const allArgs = [...testRuntimeArgs, '--resume', 'state.json'];
+    const resumeBisect = sinon.stub().resolves(testGoodBad);
+    const options = {
+      ...getTestOptions(),
+      resumeBisect,
+    };
+    const exitCode = await noderegressionMain(allArgs, options);
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(options.stderr.read(), testGoodBadOut);
+    assert.strictEqual(options.stdout.read(), null);
+    sinon.assert.calledOnceWithExactly(
+      resumeBisect,
+      'state.json',
+      match({ stateFile: undefined }),
+    );
+  });
+
+  it('--interactive runs $SHELL and prompts for results', async () => {
+    const allArgs = [...testRuntimeArgs, '--interactive'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+      env: { ComSpec: 'testshell', SHELL: 'testshell' },
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(
+      bisectRange,
+      undefined,
+      undefined,
+      ['testshell'],
+      match.object,
+    );
+    const brOptions = bisectRange.getCall(0).args[3];
+    brOptions.listeners.ontest(buildIndex[1], '/tmp/node');
+    options.stdin.write('maybe\nG\nq\n');
+    assert.strictEqual(await brOptions.askResult(buildIndex[1]), 'good');
+    assert.strictEqual(await brOptions.askResult(buildIndex[1]), 'stop');
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    const prompt = `Is build ${buildIndex[1].version} good, bad, skip, retry, `
+      + 'or quit? [g/b/s/r/q] ';
+    assert.strictEqual(
+      options.stderr.read(),
+      `Testing build ${buildIndex[1].version} (/tmp/node)\n`
+      + 'Starting testshell.  Exit when done testing.\n'
+      + `${prompt}${prompt}${prompt}${testGoodBadOut}`,
+    );
+  });
+
+  it('--interactive cmd returns stop at end of input', async () => {
+    const allArgs = [...testRuntimeArgs, '-i', 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(
+      bisectRange,
+      undefined,
+      undefined,
+      ['cmd'],
+      match.object,
+    );
+    const brOptions = bisectRange.getCall(0).args[3];
+    options.stdin.end();
+    assert.strictEqual(await brOptions.askResult(buildIndex[1]), 'stop');
+    resolveBisect(testGoodBad);
+    assert.strictEqual(await exitCodeP, 0);
+  });
+
+  it('--log - cmd saves timeout to log', async () => {
+    const allArgs = [...testRuntimeArgs, '--timeout', '5', '--log', '-', 'cmd'];
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const brOptions = bisectRange.getCall(0).args[3];
+    brOptions.listeners.onresult(buildIndex[1], null, 'SIGKILL', {
+      result: 'skip',
+      pass: 0,
+      fail: 0,
+      timedOut: true,
+    });
+    resolveBisect(testGoodBad);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(options.stderr.read(), testGoodBadOut);
+    assert.strictEqual(
+      options.stdout.read(),
+      '# skip: v16.0.0-nightly202102178353854ed7 (timed out)\n'
+      + 'git bisect skip 8353854ed7\n',
+    );
+  });
+
+  it('--release --log - cmd saves release tags to log', async () => {
+    const allArgs = [...testRuntimeArgs, '--release', '--log', '-', 'cmd'];
+    const goodRelease = { version: 'v18.17.0', date: '2023-07-18' };
+    const badRelease = { version: 'v18.17.1', date: '2023-08-08' };
+    let resolveBisect;
+    const bisectRange = sinon.stub().returns(new Promise((resolve) => {
+      resolveBisect = resolve;
+    }));
+    const options = {
+      ...getTestOptions(),
+      bisectRange,
+    };
+    const exitCodeP = noderegressionMain(allArgs, options);
+    await setImmediateP();
+    sinon.assert.callCount(bisectRange, 1);
+    const brOptions = bisectRange.getCall(0).args[3];
+    brOptions.listeners.onresult(badRelease, 1, null);
+    resolveBisect([goodRelease, badRelease]);
+    const exitCode = await exitCodeP;
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Last good build: v18.17.0 on 2023-07-18\n'
+      + 'First bad build: v18.17.1 on 2023-08-08\n',
+    );
+    assert.strictEqual(
+      options.stdout.read(),
+      '# bad: v18.17.1\n'
+      + 'git bisect bad v18.17.1\n',
+    );
+  });
+
   it('-l filename cmd saves log to filename', async () => {
     const logPath = await tmpName();
     const allArgs = [...testRuntimeArgs, '-l', logPath, 'cmd'];
@@ -511,6 +1256,84 @@ describe('noderegression command', () => {
   expectArgsLogLevels(['-vq'], ['info', 'warn', 'error']);
   expectArgsLogLevels(['-qv'], ['info', 'warn', 'error']);
 
+  it('passes default options accepted by bisectRange', async () => {
+    const cacheDir = await tmpName();
+    const fetchStub = sinon.stub().callsFake(
+      () => Promise.resolve(Response.json(buildIndex)),
+    );
+    const options = {
+      ...getTestOptions(),
+      // Call bisectRange with options from CLI, but without network access
+      bisectRange: (good, bad, testCmd, bisectOptions) => realBisectRange(
+        good,
+        bad,
+        testCmd,
+        { ...bisectOptions, fetch: fetchStub },
+      ),
+      env: { XDG_CACHE_HOME: cacheDir },
+    };
+    try {
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, '-g', '8353854ed7', '-b', '9a2ac2c615', 'cmd'],
+        options,
+      );
+      assert.strictEqual(exitCode, 1);
+      assert.match(
+        options.stderr.read(),
+        /\bNo builds after 8353854ed7 before 9a2ac2c615\b/,
+      );
+      sinon.assert.calledWith(
+        fetchStub,
+        'https://nodejs.org/download/nightly/index.json',
+      );
+    } finally {
+      await rm(cacheDir, { force: true, recursive: true });
+    }
+  });
+
+  // Local builds are shell scripts, which requires sh
+  if (process.platform !== 'win32') {
+    it('--local-builds bisects without build cache', async () => {
+      const tmpDir = await tmpName();
+      const localBuildDir = path.join(tmpDir, 'builds');
+      const cacheDir = path.join(tmpDir, 'cache');
+      await mkdir(localBuildDir, { recursive: true });
+      const commits = ['1111111', '2222222', '3333333'];
+      await Promise.all(commits.map((commit, i) => writeFile(
+        path.join(localBuildDir, commit),
+        `#!/bin/sh\nexit ${i < 1 ? 0 : 1}\n`,
+        { mode: 0o755 },
+      )));
+      await writeFile(
+        path.join(localBuildDir, 'manifest.txt'),
+        `${commits.join('\n')}\n`,
+      );
+      const fetchStub = sinon.stub().rejects(new Error('test'));
+      const options = {
+        ...getTestOptions(),
+        bisectRange: (good, bad, testCmd, bisectOptions) => realBisectRange(
+          good,
+          bad,
+          testCmd,
+          { ...bisectOptions, fetch: fetchStub },
+        ),
+        env: { ...process.env, XDG_CACHE_HOME: cacheDir },
+      };
+      try {
+        const exitCode = await noderegressionMain(
+          [...testRuntimeArgs, '--local-builds', localBuildDir, 'node'],
+          options,
+        );
+        assert.strictEqual(exitCode, 0);
+        assert.match(options.stderr.read(), /^First bad build: 2222222 /m);
+        sinon.assert.notCalled(fetchStub);
+        await assert.rejects(readdir(cacheDir), { code: 'ENOENT' });
+      } finally {
+        await rm(tmpDir, { force: true, recursive: true });
+      }
+    });
+  }
+
   function expectArgsErr(args, expectErrMsg) {
     it(`prints error and exits for ${args.join(' ')}`, async () => {
       const allArgs = [...testRuntimeArgs, ...args];
@@ -543,10 +1366,32 @@ describe('noderegression command', () => {
   expectArgsErr(['--good', '', 'cmd'], /\bdate\b/i);
   expectArgsErr(['-g', '--', 'cmd'], /\bdate\b/i);
   expectArgsErr(['--log', '', 'cmd'], /\blog\b/i);
+  expectArgsErr(['--channel', 'unknown', 'cmd'], /\bchannel\b/i);
+  expectArgsErr(['--channel', 'rc', '--release', 'cmd'], /\brelease\b/i);
   // Note: getopt libraries differ on how this is handled.
   // commander treats -- as optarg for preceding option, which is not an error.
   // expectArgsErr(['--log', '--', 'cmd'], /\blog\b/i);
   // expectArgsErr(['--target', '--', 'cmd'], /\btarget\b/i);
+  expectArgsErr(['--trials', '0', 'cmd'], /\btrials\b/);
+  expectArgsErr(['--jobs', '0', 'cmd'], /\bjobs\b/);
+  expectArgsErr(['--timeout', '0', 'cmd'], /\btimeout\b/);
+  expectArgsErr(['--interactive', '--timeout', '1'], /\binteractive\b/);
+  expectArgsErr(['--retries', '-1', 'cmd'], /\bretries\b/);
+  expectArgsErr(['-j', '2', '--interactive'], /\binteractive\b/);
+  expectArgsErr(['--trial-policy', 'some', 'cmd'], /\btrial-policy\b/);
+  expectArgsErr(['--timeout-result', 'good', 'cmd'], /\btimeout-result\b/);
+  expectArgsErr(['--classify', 'crash', 'cmd'], /\bclassify\b/);
+  expectArgsErr(['--classify', 'bad:code=x', 'cmd'], /\bclassify\b/);
+  expectArgsErr(['--classify', 'bad:output=(', 'cmd'], /\bclassify\b/);
+  expectArgsErr(['--resume', 'state.json', 'cmd'], /\bresume\b/);
+  expectArgsErr(['--resume', 'state.json', '-g', 'v15.0.0'], /\bresume\b/);
+  expectArgsErr(['--git-bisect-run', 'test.sh', 'cmd'], /\bgit-bisect\b/);
+  expectArgsErr(['--json', '--log', '-', 'cmd'], /\bjson\b/);
+  expectArgsErr(['--local-repo', 'node', 'cmd'], /\blocal-builds\b/);
+  expectArgsErr(
+    ['--local-builds', 'builds', '--channel', 'rc', 'cmd'],
+    /\bchannel\b/,
+  );
   expectArgsErr(['--unknown123'], /\bunknown123\b/);
 
   it('prints bisectRange rejection to stderr', async () => {
@@ -562,4 +1407,163 @@ describe('noderegression command', () => {
     assert.strictEqual(options.stdout.read(), null);
     assert.match(options.stderr.read(), new RegExp(errTest));
   });
+
+  describe('cache', () => {
+    let cacheDir;
+    beforeEach(async () => {
+      cacheDir = await tmpName();
+    });
+    afterEach(() => rm(cacheDir, { force: true, recursive: true }));
+
+    const nightlyVersion = 'v16.0.0-nightly202102189a2ac2c615';
+    async function addCachedBuild() {
+      const versionDir = path.join(cacheDir, 'nightly', nightlyVersion);
+      await mkdir(versionDir, { recursive: true });
+      await writeFile(
+        path.join(versionDir, `node-${nightlyVersion}-linux-x64.tar.gz`),
+        Buffer.alloc(2048),
+      );
+    }
+
+    it('path prints cache directory from env', async () => {
+      const options = getTestOptions();
+      options.env.XDG_CACHE_HOME = cacheDir;
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, 'cache', 'path'],
+        options,
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(
+        options.stdout.read(),
+        `${path.join(cacheDir, 'noderegression')}\n`,
+      );
+      assert.strictEqual(options.stderr.read(), null);
+    });
+
+    it('list prints cached builds to stdout', async () => {
+      await addCachedBuild();
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, 'cache', '--cache-dir', cacheDir, 'list'],
+        options,
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.match(
+        options.stdout.read(),
+        new RegExp(
+          `^nightly\\t${nightlyVersion}\\tlinux-x64\\t2\\.0 KiB\\t`,
+        ),
+      );
+      assert.strictEqual(options.stderr.read(), '1 cached builds (2.0 KiB)\n');
+    });
+
+    it('prune --max-size removes builds', async () => {
+      await addCachedBuild();
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [
+          ...testRuntimeArgs,
+          'cache',
+          '--cache-dir',
+          cacheDir,
+          'prune',
+          '--max-size',
+          '1K',
+        ],
+        options,
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(
+        options.stderr.read(),
+        'Removed 1 cached builds (2.0 KiB)\n',
+      );
+    });
+
+    it('prune --max-count with fraction prints error', async () => {
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [
+          ...testRuntimeArgs,
+          'cache',
+          '--cache-dir',
+          cacheDir,
+          'prune',
+          '--max-count',
+          '1.5',
+        ],
+        options,
+      );
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.match(options.stderr.read(), /--max-count\b/);
+    });
+
+    it('prune without limit prints error', async () => {
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, 'cache', '--cache-dir', cacheDir, 'prune'],
+        options,
+      );
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.match(options.stderr.read(), /--max-size\b/);
+    });
+
+    it('clear removes cache directory', async () => {
+      await addCachedBuild();
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, 'cache', '--cache-dir', cacheDir, 'clear'],
+        options,
+      );
+      assert.strictEqual(exitCode, 0);
+      await assert.rejects(() => readFile(cacheDir), { code: 'ENOENT' });
+    });
+  });
+
+  describe('serve', () => {
+    it('serves builds from channel cache directory', async () => {
+      let server;
+      const options = {
+        ...getTestOptions(),
+        createBuildServer(serveOpts) {
+          server = createBuildServer(serveOpts);
+          server.once('listening', () => setImmediate(() => server.close()));
+          return server;
+        },
+      };
+      const exitCode = await noderegressionMain(
+        [
+          ...testRuntimeArgs,
+          'serve',
+          '--cache-dir',
+          'cache',
+          '--host',
+          '127.0.0.1',
+          '--port',
+          '0',
+          '--upstream',
+          'https://example.com/nightly',
+        ],
+        options,
+      );
+      assert.strictEqual(exitCode, 0);
+      const stderr = options.stderr.read();
+      assert.ok(
+        stderr.startsWith(`Serving ${path.join('cache', 'nightly')} `
+          + '(from https://example.com/nightly) at http://127.0.0.1:'),
+        stderr,
+      );
+    });
+
+    it('returns 1 for invalid port', async () => {
+      const options = getTestOptions();
+      const exitCode = await noderegressionMain(
+        [...testRuntimeArgs, 'serve', '--port', 'http'],
+        options,
+      );
+      assert.strictEqual(exitCode, 1);
+    });
+  });
 });
@@ -0,0 +1,141 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import { findBuildIndex, isBuildId } from '../lib/find-build-index.js';
+
+function makeBuild(version) {
+  return { version };
+}
+
+// Builds in commit order
+const testBuilds = [
+  'v15.0.0-nightly20201019e6d1d54230',
+  'v15.0.0-nightly20201020d5a4a8b3a2',
+  'v16.0.0-nightly202102178353854ed7',
+  'v16.0.0-nightly202102189a2ac2c615',
+].map(makeBuild);
+
+describe('isBuildId', () => {
+  for (const buildId of [
+    'v16.0.0-nightly202102189a2ac2c615',
+    'v22.0.0-v8-canary20231020ad1f3d7c02',
+    'v20.0.0-rc.1',
+    'v16.0.0',
+    '16.0.0',
+    '9a2ac2c',
+    '9a2ac2c615',
+    '9A2AC2C615',
+    '8353854',
+  ]) {
+    it(`returns true for ${buildId}`, () => {
+      assert.strictEqual(isBuildId(buildId), true);
+    });
+  }
+
+  for (const notBuildId of [
+    undefined,
+    new Date(),
+    '',
+    'invalid',
+    '9a2ac2',
+    '2020-01-02',
+    '20210218',
+    'v16.0',
+  ]) {
+    it(`returns false for ${notBuildId}`, () => {
+      assert.strictEqual(isBuildId(notBuildId), false);
+    });
+  }
+});
+
+describe('findBuildIndex', () => {
+  it('finds nightly version', () => {
+    assert.strictEqual(
+      findBuildIndex(testBuilds, 'v16.0.0-nightly202102178353854ed7'),
+      2,
+    );
+  });
+
+  it('throws for nightly version not in builds', () => {
+    assert.throws(
+      () => findBuildIndex(testBuilds, 'v16.0.0-nightly20210216eec20ed5c1'),
+      /\bv16\.0\.0-nightly20210216eec20ed5c1\b/,
+    );
+  });
+
+  it('finds rc version', () => {
+    const builds = ['v20.0.0-rc.1', 'v20.0.0-rc.2'].map(makeBuild);
+    assert.strictEqual(findBuildIndex(builds, 'v20.0.0-rc.2'), 1);
+  });
+
+  it('finds release version', () => {
+    const builds = ['v18.17.0', 'v18.17.1', 'v18.18.0'].map(makeBuild);
+    assert.strictEqual(findBuildIndex(builds, 'v18.17.1'), 1);
+  });
+
+  it('finds last nightly for release version', () => {
+    assert.strictEqual(findBuildIndex(testBuilds, 'v15.0.0'), 1);
+  });
+
+  it('finds last nightly for release version without v', () => {
+    assert.strictEqual(findBuildIndex(testBuilds, '16.0.0'), 3);
+  });
+
+  it('throws for release version not in builds', () => {
+    assert.throws(
+      () => findBuildIndex(testBuilds, 'v14.0.0'),
+      /\bv14\.0\.0\b/,
+    );
+  });
+
+  it('finds abbreviated commit', () => {
+    assert.strictEqual(findBuildIndex(testBuilds, '8353854'), 2);
+  });
+
+  it('finds full commit case-insensitively', () => {
+    assert.strictEqual(
+      findBuildIndex(testBuilds, 'E6D1D542301D3D5E62E6CA4B1E9F0CFC0F4B3B1A'),
+      0,
+    );
+  });
+
+  it('throws for commit not in builds', () => {
+    assert.throws(
+      () => findBuildIndex(testBuilds, 'eec20ed5c1'),
+      /\beec20ed5c1\b/,
+    );
+  });
+
+  it('throws for ambiguous commit', () => {
+    const builds = [
+      ...testBuilds,
+      makeBuild('v16.0.0-nightly202102198353854abc'),
+    ];
+    assert.throws(
+      () => findBuildIndex(builds, '8353854'),
+      /\bambiguous\b/,
+    );
+  });
+
+  it('throws RangeError for date in YYYYMMDD format', () => {
+    const builds = [
+      ...testBuilds,
+      makeBuild('v16.0.0-nightly2021021920210218ab'),
+    ];
+    assert.throws(
+      () => findBuildIndex(builds, '20210218'),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for non-build ID', () => {
+    assert.throws(
+      () => findBuildIndex(testBuilds, 'invalid'),
+      RangeError,
+    );
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { readFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+
+import sinon from 'sinon';
+
+import getBuildList from '../lib/get-build-list.js';
+import tmpName from '../lib/tmp-name.js';
+
+let buildIndex;
+before(async () => {
+  const buildIndexUrl =
+    new URL('../test-data/build-index.json', import.meta.url);
+  const content = await readFile(buildIndexUrl, { encoding: 'utf8' });
+  buildIndex = JSON.parse(content);
+});
+
+function makeFetch(json) {
+  return sinon.stub().resolves({
+    ok: true,
+    text: () => Promise.resolve(JSON.stringify(json)),
+  });
+}
+
+function neverCalled() {
+  assert.fail('Should never be called');
+}
+
+function makeRelease(version, date) {
+  return { version, date, files: ['linux-x64'] };
+}
+
+describe('getBuildList', () => {
+  it('fetches buildIndexUrl with fetchOptions', async () => {
+    const testFetch = makeFetch([]);
+    const fetchOptions = {};
+    await getBuildList('https://example.com/index.json', {
+      fetch: testFetch,
+      fetchOptions,
+    });
+    sinon.assert.calledOnceWithExactly(
+      testFetch,
+      'https://example.com/index.json',
+      fetchOptions,
+    );
+  });
+
+  it('rejects with HttpResponseError for non-ok response', () => {
+    const testFetch = sinon.stub().resolves({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      url: 'https://example.com/index.json',
+    });
+    return assert.rejects(
+      () => getBuildList(
+        'https://example.com/index.json',
+        { fetch: testFetch },
+      ),
+      { name: 'HttpResponseError', status: 404 },
+    );
+  });
+
+  it('returns nightly builds in commit order', async () => {
+    const builds = await getBuildList(undefined, {
+      fetch: makeFetch(buildIndex),
+    });
+    assert.strictEqual(
+      builds.at(-1).version,
+      'v16.0.0-nightly202102189a2ac2c615',
+    );
+    assert.ok(builds.every(({ version }) => !version.startsWith('v0.')));
+    assert.ok(builds.every(({ version }) => /^v[0-9]+\.0\.0-/.test(version)));
+  });
+
+  describe('with release channel', () => {
+    const releaseIndex = [
+      makeRelease('v20.0.0', '2023-04-18'),
+      makeRelease('v18.16.0', '2023-04-12'),
+      makeRelease('v19.9.0', '2023-04-10'),
+      makeRelease('v18.9.1', '2022-09-23'),
+      makeRelease('v18.10.0', '2022-09-28'),
+      makeRelease('v0.12.18', '2017-02-22'),
+    ];
+
+    it('returns release builds in version order', async () => {
+      const builds = await getBuildList(undefined, {
+        fetch: makeFetch(releaseIndex),
+        channel: 'release',
+      });
+      assert.deepStrictEqual(
+        builds.map(({ version }) => version),
+        ['v18.9.1', 'v18.10.0', 'v18.16.0', 'v19.9.0', 'v20.0.0'],
+      );
+    });
+
+    it('ignores builds with non-release versions', async () => {
+      const builds = await getBuildList(undefined, {
+        fetch: makeFetch([
+          ...releaseIndex,
+          makeRelease('v16.0.0-nightly202102189a2ac2c615', '2021-02-18'),
+        ]),
+        channel: 'release',
+      });
+      assert.ok(builds.every(({ version }) => !version.includes('-')));
+    });
+  });
+
+  describe('with rc channel', () => {
+    it('returns rc builds in version order', async () => {
+      const builds = await getBuildList(undefined, {
+        channel: 'rc',
+        fetch: makeFetch([
+          makeRelease('v20.0.0-rc.10', '2023-04-17'),
+          makeRelease('v20.0.0-rc.2', '2023-04-10'),
+          makeRelease('v19.0.0-rc.1', '2022-10-14'),
+          makeRelease('v20.0.0', '2023-04-18'),
+        ]),
+      });
+      assert.deepStrictEqual(
+        builds.map(({ version }) => version),
+        ['v19.0.0-rc.1', 'v20.0.0-rc.2', 'v20.0.0-rc.10'],
+      );
+    });
+  });
+
+  describe('with v8-canary channel', () => {
+    it('returns v8-canary builds in date order', async () => {
+      const builds = await getBuildList(undefined, {
+        channel: 'v8-canary',
+        fetch: makeFetch([
+          makeRelease('v22.0.0-v8-canary20231020ad1f3d7c02', '2023-10-20'),
+          makeRelease('v21.0.0-v8-canary20231019a1b2c3d4e5', '2023-10-19'),
+          makeRelease('v21.0.0-v8-canary20231018a1b2c3d4e5', '2023-10-18'),
+        ]),
+      });
+      assert.deepStrictEqual(
+        builds.map(({ version }) => version),
+        [
+          'v21.0.0-v8-canary20231019a1b2c3d4e5',
+          'v22.0.0-v8-canary20231020ad1f3d7c02',
+        ],
+      );
+    });
+  });
+
+  it('fetches index.json for channel by default', async () => {
+    const testFetch = makeFetch([]);
+    await getBuildList(undefined, { channel: 'v8-canary', fetch: testFetch });
+    sinon.assert.calledOnceWithMatch(
+      testFetch,
+      'https://nodejs.org/download/v8-canary/index.json',
+    );
+  });
+
+  describe('with cachePath', () => {
+    let cacheDir;
+    beforeEach(async () => {
+      cacheDir = await tmpName();
+    });
+    afterEach(() => rm(cacheDir, { force: true, recursive: true }));
+
+    it('saves build list to cachePath', async () => {
+      const cachePath = path.join(cacheDir, 'index.json');
+      await getBuildList(undefined, {
+        cachePath,
+        fetch: makeFetch(buildIndex),
+      });
+      const content = await readFile(cachePath, { encoding: 'utf8' });
+      assert.deepStrictEqual(JSON.parse(content), buildIndex);
+    });
+
+    it('reads saved build list from cachePath if offline', async () => {
+      const cachePath = path.join(cacheDir, 'index.json');
+      const onlineBuilds = await getBuildList(undefined, {
+        cachePath,
+        fetch: makeFetch(buildIndex),
+      });
+      const offlineBuilds = await getBuildList(undefined, {
+        cachePath,
+        fetch: neverCalled,
+        offline: true,
+      });
+      assert.deepStrictEqual(offlineBuilds, onlineBuilds);
+    });
+
+    it('rejects if offline and build list was not saved', () => {
+      return assert.rejects(
+        () => getBuildList(undefined, {
+          cachePath: path.join(cacheDir, 'index.json'),
+          fetch: neverCalled,
+          offline: true,
+        }),
+        /\bNo cached build list\b/,
+      );
+    });
+  });
+
+  it('rejects with RangeError for unknown channel', () => {
+    return assert.rejects(
+      () => getBuildList(undefined, { channel: 'unknown', fetch: neverCalled }),
+      RangeError,
+    );
+  });
+});
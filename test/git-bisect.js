@@ -0,0 +1,228 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { promisify } from 'node:util';
+
+import gitBisect, {
+  getBuildRev,
+  getCompareUrl,
+  listCommits,
+} from '../lib/git-bisect.js';
+import tmpName from '../lib/tmp-name.js';
+
+const execFileP = promisify(execFile);
+const prUrlPrefix = 'https://github.com/nodejs/node/pull/';
+
+async function git(repo, ...args) {
+  const { stdout } = await execFileP('git', [
+    '-C',
+    repo,
+    '-c',
+    'commit.gpgsign=false',
+    '-c',
+    'user.email=test@example.com',
+    '-c',
+    'user.name=Test',
+    ...args,
+  ]);
+  return stdout.trim();
+}
+
+/** Creates a git repository with a given number of commits, where commits
+ * starting at firstBad have "bad" in test.txt.  Even-numbered commits have a
+ * PR-URL trailer for PR 100 + commit number.
+ *
+ * @private
+ * @param {string} repo Path at which to create repository.
+ * @param {number} count Number of commits to create.
+ * @param {number} firstBad Index of first bad commit.
+ * @returns {!Promise<!Array<string>>} Promise for hashes of commits.
+ */
+async function makeTestRepo(repo, count, firstBad) {
+  await mkdir(repo);
+  await git(repo, 'init', '--quiet');
+  const commits = [];
+  for (let i = 0; i < count; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    await writeFile(
+      path.join(repo, 'test.txt'),
+      `${i} ${i >= firstBad ? 'bad' : 'good'}\n`,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await git(repo, 'add', 'test.txt');
+    // eslint-disable-next-line no-await-in-loop
+    await git(
+      repo,
+      'commit',
+      '--quiet',
+      '-m',
+      i % 2 === 0
+        ? `Commit ${i}\n\nPR-URL: ${prUrlPrefix}${100 + i}`
+        : `Commit ${i}`,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    commits.push(await git(repo, 'rev-parse', 'HEAD'));
+  }
+
+  return commits;
+}
+
+function makeNightlyBuild(commit) {
+  return { version: `v16.0.0-nightly20210218${commit.slice(0, 10)}` };
+}
+
+describe('getBuildRev', () => {
+  it('returns commit for nightly build', () => {
+    assert.strictEqual(
+      getBuildRev({ version: 'v16.0.0-nightly202102189a2ac2c615' }),
+      '9a2ac2c615',
+    );
+  });
+
+  it('returns version for release build', () => {
+    assert.strictEqual(getBuildRev({ version: 'v18.17.0' }), 'v18.17.0');
+  });
+});
+
+describe('gitBisect', () => {
+  let repo;
+  beforeEach(async () => {
+    repo = await tmpName();
+  });
+  afterEach(() => rm(repo, { force: true, recursive: true }));
+
+  it('rejects with TypeError without options.repo', () => {
+    return assert.rejects(
+      () => gitBisect(
+        makeNightlyBuild('0123456789'),
+        makeNightlyBuild('abcdef0123'),
+        {},
+      ),
+      TypeError,
+    );
+  });
+
+  it('starts git bisect between builds', async () => {
+    const commits = await makeTestRepo(repo, 5, 3);
+    const result = await gitBisect(
+      makeNightlyBuild(commits[0]),
+      makeNightlyBuild(commits[4]),
+      { repo },
+    );
+    assert.strictEqual(result, undefined);
+    assert.strictEqual(
+      await git(repo, 'rev-parse', 'refs/bisect/bad'),
+      commits[4],
+    );
+  });
+
+  it('runs git bisect and returns first bad commit', async function() {
+    if (process.platform === 'win32') {
+      // Quoting of runCommand by git on Windows is not reliable.
+      this.skip();
+    }
+
+    const commits = await makeTestRepo(repo, 8, 5);
+    const stdout = new PassThrough({ encoding: 'utf8' });
+    const result = await gitBisect(
+      makeNightlyBuild(commits[1]),
+      makeNightlyBuild(commits[7]),
+      {
+        repo,
+        stdout,
+        runCommand: [
+          process.execPath,
+          '-e',
+          'const c = require("fs").readFileSync("test.txt", "utf8");'
+          + 'process.exitCode = c.includes("bad") ? 1 : 0;',
+        ],
+      },
+    );
+    assert.strictEqual(result, commits[5]);
+    assert.match(stdout.read(), /\bis the first bad commit\b/);
+
+    // Bisection is reset
+    assert.strictEqual(await git(repo, 'rev-parse', 'HEAD'), commits[7]);
+    await assert.rejects(
+      () => git(repo, 'rev-parse', '--verify', '--quiet', 'refs/bisect/bad'),
+    );
+  });
+
+  it('resets git bisect if run fails', async function() {
+    if (process.platform === 'win32') {
+      // Quoting of runCommand by git on Windows is not reliable.
+      this.skip();
+    }
+
+    const commits = await makeTestRepo(repo, 8, 5);
+    await assert.rejects(
+      () => gitBisect(
+        makeNightlyBuild(commits[1]),
+        makeNightlyBuild(commits[7]),
+        {
+          repo,
+          stdout: new PassThrough(),
+          stderr: new PassThrough(),
+          runCommand: [process.execPath, '-e', 'process.exitCode = 128'],
+        },
+      ),
+      /\bgit bisect run\b/,
+    );
+    assert.strictEqual(await git(repo, 'rev-parse', 'HEAD'), commits[7]);
+    await assert.rejects(
+      () => git(repo, 'rev-parse', '--verify', '--quiet', 'refs/bisect/bad'),
+    );
+  });
+});
+
+describe('getCompareUrl', () => {
+  it('returns GitHub compare URL for builds', () => {
+    assert.strictEqual(
+      getCompareUrl(
+        { version: 'v16.0.0-nightly20210217eec20ed5c1' },
+        { version: 'v16.0.0-nightly202102189a2ac2c615' },
+      ),
+      'https://github.com/nodejs/node/compare/eec20ed5c1...9a2ac2c615',
+    );
+  });
+});
+
+describe('listCommits', () => {
+  let repo;
+  beforeEach(async () => {
+    repo = await tmpName();
+  });
+  afterEach(() => rm(repo, { force: true, recursive: true }));
+
+  it('returns commits between builds with PR numbers', async () => {
+    const commits = await makeTestRepo(repo, 5, 3);
+    assert.deepStrictEqual(
+      await listCommits(
+        makeNightlyBuild(commits[1]),
+        makeNightlyBuild(commits[3]),
+        { repo },
+      ),
+      [
+        {
+          commit: commits[2],
+          subject: 'Commit 2',
+          prUrl: `${prUrlPrefix}102`,
+          pr: 102,
+        },
+        {
+          commit: commits[3],
+          subject: 'Commit 3',
+          prUrl: undefined,
+          pr: undefined,
+        },
+      ],
+    );
+  });
+});
@@ -4,20 +4,62 @@
  */
 
 import assert from 'node:assert';
-import { readFile } from 'node:fs/promises';
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
 
-import { bisectRange, bisectBuilds, getBuildList } from '../index.js';
+import sinon from 'sinon';
+
+import {
+  bisectRange,
+  bisectBuilds,
+  getBuildList,
+  getLocalBuildList,
+  resumeBisect,
+} from '../index.js';
 import getBuildListPrivate from '../lib/get-build-list.js';
+import getLocalBuildListPrivate from '../lib/local-builds.js';
+import tmpName from '../lib/tmp-name.js';
 
+let buildIndex;
+let buildCacheDir;
 let testBuilds;
 before(async () => {
   const buildIndexUrl =
     new URL('../test-data/build-index.json', import.meta.url);
   const content = await readFile(buildIndexUrl, { encoding: 'utf8' });
-  const buildIndex = JSON.parse(content);
+  buildIndex = JSON.parse(content);
   testBuilds = buildIndex.slice(0, 1);
 });
 
+beforeEach(async () => {
+  buildCacheDir = await tmpName();
+});
+afterEach(() => rm(buildCacheDir, { force: true, recursive: true }));
+
+function noop() {}
+
+function getTestOptions() {
+  return {
+    buildCacheDir,
+    console: {
+      debug: noop,
+      error: noop,
+      info: noop,
+      warn: noop,
+    },
+    fetch: sinon.stub().resolves({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify(buildIndex)),
+    }),
+  };
+}
+
 describe('bisectBuilds', () => {
   it('rejects if builds is undefined', () => {
     assert.rejects(
@@ -63,12 +105,119 @@ describe('bisectBuilds', () => {
     );
   });
 
+  it('rejects if options.trials is not a positive integer', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        trials: 0,
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if options.trialPolicy exceeds options.trials', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        trialPolicy: 4,
+        trials: 3,
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if options.askResult is not a function', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        askResult: 'good',
+      }),
+      TypeError,
+    );
+  });
+
+  it('rejects if options.concurrency is not a positive integer', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        concurrency: 1.5,
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if options.fullDist is not a boolean', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        fullDist: 'yes',
+      }),
+      TypeError,
+    );
+  });
+
+  it('rejects if options.targets has no supported targets', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        targets: ['win-x64-7z', 'win-x64-msi'],
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if options.prefetch is not a boolean', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        prefetch: 'yes',
+      }),
+      TypeError,
+    );
+  });
+
+  it('rejects if options.askResult with options.concurrency > 1', () => {
+    return assert.rejects(
+      () => bisectBuilds(testBuilds, ['cmd'], {
+        ...getTestOptions(),
+        askResult: () => 'good',
+        concurrency: 2,
+      }),
+      RangeError,
+    );
+  });
+
   it('rejects if options is not an object', () => {
     assert.rejects(
       () => bisectBuilds(testBuilds, ['cmd'], 'test'),
       TypeError,
     );
   });
+
+  it('downloads node.exe from build version directory', async () => {
+    const fetchStub = sinon.stub().callsFake((url) => (
+      url.endsWith('/SHASUMS256.txt')
+        ? Promise.resolve(new Response('', { status: 404 }))
+        : Promise.reject(new Error('test'))
+    ));
+    await assert.rejects(
+      () => bisectBuilds(
+        [{ version: testBuilds[0].version, files: ['win-x64-exe'] }],
+        ['cmd'],
+        {
+          ...getTestOptions(),
+          buildBaseUrl: 'https://example.com/',
+          fetch: fetchStub,
+          targets: ['win-x64-exe'],
+        },
+      ),
+      /\btest\b/,
+    );
+    sinon.assert.calledWith(
+      fetchStub,
+      `https://example.com/${testBuilds[0].version}/win-x64/node.exe`,
+    );
+  });
 });
 
 describe('bisectRange', () => {
@@ -136,6 +285,354 @@ describe('bisectRange', () => {
       TypeError,
     );
   });
+
+  it('rejects if good commit is not in build list', () => {
+    return assert.rejects(
+      () => bisectRange('0123456789', undefined, ['cmd'], getTestOptions()),
+      /\b0123456789\b/,
+    );
+  });
+
+  it('rejects if bad version is not in build list', () => {
+    return assert.rejects(
+      () => bisectRange(undefined, 'v99.0.0', ['cmd'], getTestOptions()),
+      /\bv99\.0\.0\b/,
+    );
+  });
+
+  it('rejects if bad build is before good build', () => {
+    return assert.rejects(
+      () => bisectRange(
+        '9a2ac2c615',
+        'v16.0.0-nightly202102178353854ed7',
+        ['cmd'],
+        getTestOptions(),
+      ),
+      RangeError,
+    );
+  });
+
+  for (const [channel, indexUrl] of [
+    ['release', 'https://nodejs.org/dist/index.json'],
+    ['rc', 'https://nodejs.org/download/rc/index.json'],
+    ['v8-canary', 'https://nodejs.org/download/v8-canary/index.json'],
+  ]) {
+    it(`fetches ${channel} index.json if options.channel`, async () => {
+      const options = {
+        ...getTestOptions(),
+        channel,
+      };
+      options.fetch.rejects(new Error('test'));
+      await assert.rejects(
+        () => bisectRange(undefined, undefined, ['cmd'], options),
+        /\btest\b/,
+      );
+      sinon.assert.calledOnceWithMatch(options.fetch, indexUrl);
+    });
+  }
+
+  it('rejects with RangeError for unknown channel', () => {
+    return assert.rejects(
+      () => bisectRange(undefined, undefined, ['cmd'], {
+        ...getTestOptions(),
+        channel: 'unknown',
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if release good and bad in different release lines', () => {
+    return assert.rejects(
+      () => bisectRange('v18.17.0', 'v20.0.0', ['cmd'], {
+        ...getTestOptions(),
+        channel: 'release',
+      }),
+      RangeError,
+    );
+  });
+
+  it('rejects if offline and build list is not cached', async () => {
+    const options = {
+      ...getTestOptions(),
+      offline: true,
+    };
+    await assert.rejects(
+      () => bisectRange(undefined, undefined, ['cmd'], options),
+      /\bNo cached build list\b/,
+    );
+    sinon.assert.notCalled(options.fetch);
+  });
+
+  it('rejects if no builds between good and bad builds', () => {
+    return assert.rejects(
+      () => bisectRange(
+        '8353854ed7',
+        '9a2ac2c615',
+        ['cmd'],
+        getTestOptions(),
+      ),
+      /\bNo builds after 8353854ed7 before 9a2ac2c615\b/,
+    );
+  });
+});
+
+describe('resumeBisect', () => {
+  let stateFile;
+  beforeEach(async () => {
+    stateFile = await tmpName();
+  });
+  afterEach(() => rm(stateFile, { force: true }));
+
+  it('rejects if stateFile is not a string', () => {
+    return assert.rejects(
+      () => resumeBisect(undefined, getTestOptions()),
+      TypeError,
+    );
+  });
+
+  it('rejects if stateFile does not contain a bisection state', async () => {
+    await writeFile(stateFile, '{}');
+    await assert.rejects(
+      () => resumeBisect(stateFile, getTestOptions()),
+      /\bbisection state\b/,
+    );
+  });
+
+  it('uses saved results without testing builds again', async () => {
+    // Build index is newest first.  Bisect builds oldest first.
+    const builds = buildIndex.slice(0, 4).toReversed();
+    const results = builds.map((build, i) => ({
+      build,
+      code: i < 2 ? 0 : 1,
+      signal: null,
+      resultInfo: {
+        result: i < 2 ? 'good' : 'bad',
+        pass: i < 2 ? 1 : 0,
+        fail: i < 2 ? 0 : 1,
+        timedOut: false,
+      },
+    }));
+    const classify = [
+      { result: 'bad', output: { source: 'crash', flags: 'i' } },
+    ];
+    await writeFile(stateFile, JSON.stringify({
+      builds,
+      bounds: [],
+      testCmdWithArgs: ['cmd'],
+      options: { classify, targets: ['linux-x64'] },
+      results,
+    }));
+    const onresult = sinon.spy();
+    const result = await resumeBisect(stateFile, {
+      ...getTestOptions(),
+      listeners: { onresult },
+    });
+    assert.deepStrictEqual(result, [builds[1], builds[2]]);
+    assert.deepStrictEqual(
+      onresult.args,
+      results.map((saved) => [
+        saved.build,
+        saved.code,
+        saved.signal,
+        saved.resultInfo,
+      ]),
+    );
+
+    const state = JSON.parse(await readFile(stateFile, { encoding: 'utf8' }));
+    assert.deepStrictEqual(state.options.classify, classify);
+    assert.deepStrictEqual(state.results, results);
+  });
+  it('saves skip result for build not in checksums', async () => {
+    const builds = buildIndex.slice(0, 4).toReversed();
+    const results = [0, 3].map((i) => ({
+      build: builds[i],
+      code: i === 0 ? 0 : 1,
+      signal: null,
+      resultInfo: {
+        result: i === 0 ? 'good' : 'bad',
+        pass: i === 0 ? 1 : 0,
+        fail: i === 0 ? 0 : 1,
+        timedOut: false,
+      },
+    }));
+    await writeFile(stateFile, JSON.stringify({
+      builds,
+      bounds: [],
+      testCmdWithArgs: ['cmd'],
+      options: { targets: ['linux-x64'] },
+      results,
+    }));
+    const onresult = sinon.spy();
+    const result = await resumeBisect(stateFile, {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      fetch: () => Promise.resolve(new Response(
+        `${'0'.repeat(64)}  node-v0.0.0-linux-x64.tar.gz\n`,
+      )),
+      listeners: { onresult },
+    });
+    assert.deepStrictEqual(result, [builds[0], builds[3]]);
+    const skipResultInfo = {
+      result: 'skip',
+      pass: 0,
+      fail: 0,
+      timedOut: false,
+      target: 'linux-x64',
+    };
+    const skipped = onresult.args.slice(2);
+    assert.deepStrictEqual(
+      skipped.map(([build]) => build.version)
+        .toSorted((a, b) => a.localeCompare(b)),
+      [builds[1].version, builds[2].version]
+        .toSorted((a, b) => a.localeCompare(b)),
+    );
+    for (const [, code, signal, resultInfo] of skipped) {
+      assert.strictEqual(code, undefined);
+      assert.strictEqual(signal, undefined);
+      assert.deepStrictEqual(resultInfo, skipResultInfo);
+    }
+
+    const state = JSON.parse(await readFile(stateFile, { encoding: 'utf8' }));
+    assert.deepStrictEqual(
+      state.results.slice(2).map(({ resultInfo }) => resultInfo.result),
+      ['skip', 'skip'],
+    );
+  });
+});
+
+describe('bisectRange with options.replay', () => {
+  it('rejects if replayed results are inconsistent', () => {
+    return assert.rejects(
+      () => bisectRange(undefined, undefined, ['cmd'], {
+        ...getTestOptions(),
+        replay: [
+          { result: 'bad', build: 'eec20ed5c1' },
+          { result: 'good', build: '9a2ac2c615' },
+        ],
+      }),
+      /\binconsistent\b/,
+    );
+  });
+
+  it('rejects if replayed good build is after bad', () => {
+    return assert.rejects(
+      () => bisectRange(undefined, 'eec20ed5c1', ['cmd'], {
+        ...getTestOptions(),
+        replay: [{ result: 'good', build: '9a2ac2c615' }],
+      }),
+      /\bnot before bad\b/,
+    );
+  });
+
+  it('rejects if replayed build is not in build list', () => {
+    return assert.rejects(
+      () => bisectRange(undefined, undefined, ['cmd'], {
+        ...getTestOptions(),
+        replay: [{ result: 'good', build: '0123456789' }],
+      }),
+      /\breplay good 0123456789\b/,
+    );
+  });
+
+  it('returns replayed range without testing if no builds remain', async () => {
+    const onresult = sinon.spy();
+    const result = await bisectRange(undefined, undefined, ['cmd'], {
+      ...getTestOptions(),
+      listeners: { onresult },
+      replay: [
+        { result: 'bad', build: '9a2ac2c615' },
+        { result: 'good', build: 'v16.0.0-nightly202102178353854ed7' },
+      ],
+    });
+    assert.deepStrictEqual(result, [buildIndex[1], buildIndex[0]]);
+    assert.deepStrictEqual(
+      onresult.args.map(([build, code, signal, { result: goodbad }]) => [
+        build.version,
+        code,
+        signal,
+        goodbad,
+      ]),
+      [
+        [buildIndex[0].version, undefined, undefined, 'bad'],
+        [buildIndex[1].version, undefined, undefined, 'good'],
+      ],
+    );
+  });
+});
+
+describe('bisectRange with options.localBuildDir', () => {
+  let localBuildDir;
+  beforeEach(async () => {
+    localBuildDir = await tmpName();
+    await mkdir(localBuildDir);
+  });
+  afterEach(() => rm(localBuildDir, { force: true, recursive: true }));
+
+  // Local builds are shell scripts, which requires sh
+  if (process.platform === 'win32') {
+    return;
+  }
+
+  it('bisects local builds in manifest order', async () => {
+    const commits = ['5555555', '4444444', '3333333', '2222222', '1111111'];
+    await Promise.all(commits.map((commit, i) => writeFile(
+      path.join(localBuildDir, commit),
+      `#!/bin/sh\nexit ${i < 2 ? 0 : 1}\n`,
+      { mode: 0o755 },
+    )));
+    await writeFile(
+      path.join(localBuildDir, 'manifest.txt'),
+      `${commits.join('\n')}\n`,
+    );
+    const [goodBuild, badBuild] = await bisectRange(
+      '5555555',
+      undefined,
+      ['node'],
+      {
+        ...getTestOptions(),
+        localBuildDir,
+      },
+    );
+    assert.strictEqual(goodBuild.version, '4444444');
+    assert.strictEqual(badBuild.version, '3333333');
+  });
+
+  it('reuses exeDir of cancelled test with options.concurrency', async () => {
+    const commits = Array.from({ length: 10 }, (v, i) => String(i).repeat(7));
+    // Build 2 is slow, so its test is cancelled (and replaced by tests of
+    // 2 builds) when build 5 is found to be good, before it exits.
+    await Promise.all(commits.map((commit, i) => writeFile(
+      path.join(localBuildDir, commit),
+      i === 2 ? '#!/bin/sh\nsleep 10\nexit 0\n'
+        : `#!/bin/sh\nexit ${i < 8 ? 0 : 1}\n`,
+      { mode: 0o755 },
+    )));
+    await writeFile(
+      path.join(localBuildDir, 'manifest.txt'),
+      `${commits.join('\n')}\n`,
+    );
+    const exeDir = await tmpName();
+    try {
+      const [goodBuild, badBuild] = await bisectRange(
+        commits[0],
+        undefined,
+        ['node'],
+        {
+          ...getTestOptions(),
+          concurrency: 2,
+          exeDir,
+          localBuildDir,
+        },
+      );
+      assert.strictEqual(goodBuild.version, commits[7]);
+      assert.strictEqual(badBuild.version, commits[8]);
+
+      // Subdirectories for concurrent tests are removed
+      assert.deepStrictEqual(await readdir(exeDir), []);
+    } finally {
+      await rm(exeDir, { force: true, recursive: true });
+    }
+  });
 });
 
 describe('getBuildList', () => {
@@ -144,3 +641,10 @@ describe('getBuildList', () => {
     assert.strictEqual(getBuildList, getBuildListPrivate);
   });
 });
+
+describe('getLocalBuildList', () => {
+  // Tests are in test/local-builds.js
+  it('is exported from ./lib/local-builds.js', () => {
+    assert.strictEqual(getLocalBuildList, getLocalBuildListPrivate);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import {
+  mkdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import sinon from 'sinon';
+import { create as createTar } from 'tar';
+
+import getLocalBuildList, { prepareLocalBuild } from '../lib/local-builds.js';
+import tmpName from '../lib/tmp-name.js';
+
+const execFileP = promisify(execFile);
+
+async function git(repo, ...args) {
+  const { stdout } = await execFileP('git', [
+    '-C',
+    repo,
+    '-c',
+    'commit.gpgsign=false',
+    '-c',
+    'user.email=test@example.com',
+    '-c',
+    'user.name=Test',
+    ...args,
+  ]);
+  return stdout.trim();
+}
+
+describe('getLocalBuildList', () => {
+  let buildDir;
+  beforeEach(async () => {
+    buildDir = await tmpName();
+    await mkdir(buildDir);
+  });
+  afterEach(() => rm(buildDir, { force: true, recursive: true }));
+
+  it('orders builds by manifest.txt', async () => {
+    await writeFile(path.join(buildDir, '2222222.tar.gz'), '');
+    await writeFile(path.join(buildDir, '1111111'), '');
+    await writeFile(path.join(buildDir, '3333333'), '');
+    await writeFile(path.join(buildDir, 'README'), '');
+    await mkdir(path.join(buildDir, '4444444'));
+    await writeFile(
+      path.join(buildDir, 'manifest.txt'),
+      '# oldest first\n1111111aaaa\n0000000\n\n2222222\n',
+    );
+    const warn = sinon.spy();
+    const builds = await getLocalBuildList(buildDir, { console: { warn } });
+    assert.deepStrictEqual(
+      builds.map(({ version, files, localPath }) => [
+        version,
+        files,
+        localPath,
+      ]),
+      [
+        ['1111111', ['local'], path.join(buildDir, '1111111')],
+        ['2222222', ['local'], path.join(buildDir, '2222222.tar.gz')],
+      ],
+    );
+    assert.match(builds[0].date, /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    sinon.assert.calledOnce(warn);
+    sinon.assert.calledWith(
+      warn,
+      sinon.match.string,
+      path.join(buildDir, '3333333'),
+      path.join(buildDir, 'manifest.txt'),
+    );
+  });
+
+  it('orders builds by git rev-list in options.repo', async () => {
+    const repo = path.join(buildDir, 'repo');
+    await mkdir(repo);
+    await git(repo, 'init', '--quiet');
+    const commits = [];
+    for (let i = 0; i < 3; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await git(repo, 'commit', '--quiet', '--allow-empty', '-m', String(i));
+      // eslint-disable-next-line no-await-in-loop
+      commits.push(await git(repo, 'rev-parse', 'HEAD'));
+    }
+
+    await writeFile(path.join(buildDir, commits[2].slice(0, 10)), '');
+    await writeFile(path.join(buildDir, commits[0]), '');
+    const builds = await getLocalBuildList(buildDir, { repo });
+    assert.deepStrictEqual(
+      builds.map((build) => build.version),
+      [commits[0], commits[2].slice(0, 10)],
+    );
+  });
+
+  it('orders builds after the first commit in options.repo', async () => {
+    const repo = path.join(buildDir, 'repo');
+    await mkdir(repo);
+    await git(repo, 'init', '--quiet');
+    const commits = [];
+    for (let i = 0; i < 4; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await git(repo, 'commit', '--quiet', '--allow-empty', '-m', String(i));
+      // eslint-disable-next-line no-await-in-loop
+      commits.push(await git(repo, 'rev-parse', 'HEAD'));
+    }
+
+    await writeFile(path.join(buildDir, commits[3]), '');
+    await writeFile(path.join(buildDir, commits[1].slice(0, 7)), '');
+    await writeFile(path.join(buildDir, commits[2]), '');
+    const builds = await getLocalBuildList(buildDir, { repo });
+    assert.deepStrictEqual(
+      builds.map((build) => build.version),
+      [commits[1].slice(0, 7), commits[2], commits[3]],
+    );
+  });
+
+  it('throws for multiple builds of one commit', () => assert.rejects(
+    async () => {
+      await writeFile(path.join(buildDir, '1111111'), '');
+      await writeFile(path.join(buildDir, '1111111.zip'), '');
+      await getLocalBuildList(buildDir);
+    },
+    /Multiple builds for commit 1111111/,
+  ));
+});
+
+describe('prepareLocalBuild', () => {
+  let buildDir, exeDir;
+  beforeEach(async () => {
+    buildDir = await tmpName();
+    exeDir = path.join(buildDir, 'exe');
+    await mkdir(exeDir, { recursive: true });
+  });
+  afterEach(() => rm(buildDir, { force: true, recursive: true }));
+
+  it('copies executable to options.exeDir', async () => {
+    const localPath = path.join(buildDir, '1111111');
+    await writeFile(localPath, 'node');
+    const nodeExe =
+      await prepareLocalBuild({ version: '1111111', localPath }, { exeDir });
+    assert.strictEqual(nodeExe, path.join(exeDir, 'node'));
+    assert.strictEqual(await readFile(nodeExe, { encoding: 'utf8' }), 'node');
+  });
+
+  it('extracts bin/node from tarball to options.exeDir', async () => {
+    const member = 'node-v16.0.0-pre-linux-x64/bin/node';
+    await mkdir(path.join(buildDir, path.dirname(member)), {
+      recursive: true,
+    });
+    await writeFile(path.join(buildDir, member), 'node');
+    const localPath = path.join(buildDir, '1111111.tar.gz');
+    await createTar({ cwd: buildDir, file: localPath, gzip: true }, [member]);
+    const nodeExe =
+      await prepareLocalBuild({ version: '1111111', localPath }, { exeDir });
+    assert.strictEqual(nodeExe, path.join(exeDir, 'node'));
+    assert.strictEqual(await readFile(nodeExe, { encoding: 'utf8' }), 'node');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+
+import sinon from 'sinon';
+
+import HttpResponseError from '../lib/http-response-error.js';
+import retryTransient, { isTransientError } from '../lib/retry.js';
+
+function makeHttpError(status) {
+  return new HttpResponseError({
+    headers: new Headers(),
+    status,
+    statusText: 'Test',
+    url: 'https://example.com/',
+  });
+}
+
+function makeCodeError(code) {
+  const err = new Error(`Test ${code}`);
+  err.code = code;
+  return err;
+}
+
+describe('isTransientError', () => {
+  it('returns true for HTTP 503', () => {
+    assert.strictEqual(isTransientError(makeHttpError(503)), true);
+  });
+
+  it('returns false for HTTP 404', () => {
+    assert.strictEqual(isTransientError(makeHttpError(404)), false);
+  });
+
+  it('returns true for ECONNRESET', () => {
+    assert.strictEqual(isTransientError(makeCodeError('ECONNRESET')), true);
+  });
+
+  it('returns true for cause with UND_ERR_SOCKET', () => {
+    const err = new TypeError('terminated', {
+      cause: makeCodeError('UND_ERR_SOCKET'),
+    });
+    assert.strictEqual(isTransientError(err), true);
+  });
+
+  it('returns false for other errors', () => {
+    assert.strictEqual(isTransientError(new Error('test')), false);
+  });
+});
+
+describe('retryTransient', () => {
+  it('retries after transient errors', async () => {
+    const fn = sinon.stub();
+    fn.onFirstCall().rejects(makeCodeError('ECONNRESET'));
+    fn.onSecondCall().rejects(makeHttpError(503));
+    fn.onThirdCall().resolves('ok');
+    const warn = sinon.spy();
+    const result = await retryTransient(fn, {
+      console: { warn },
+      retryDelay: 1,
+    });
+    assert.strictEqual(result, 'ok');
+    sinon.assert.calledThrice(fn);
+    sinon.assert.calledTwice(warn);
+  });
+
+  it('rejects after options.retries', () => {
+    const errTest = makeCodeError('ECONNRESET');
+    const fn = sinon.stub().rejects(errTest);
+    return assert.rejects(
+      async () => {
+        try {
+          await retryTransient(fn, { retries: 2, retryDelay: 1 });
+        } finally {
+          sinon.assert.calledThrice(fn);
+        }
+      },
+      errTest,
+    );
+  });
+
+  it('does not retry other errors', () => {
+    const errTest = makeHttpError(404);
+    const fn = sinon.stub().rejects(errTest);
+    return assert.rejects(
+      async () => {
+        try {
+          await retryTransient(fn, { retryDelay: 1 });
+        } finally {
+          sinon.assert.calledOnce(fn);
+        }
+      },
+      errTest,
+    );
+  });
+});
@@ -0,0 +1,677 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import {
+  mkdir,
+  readdir,
+  readFile,
+  readlink,
+  rm,
+  stat,
+  symlink,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+
+import { create as createTar } from 'tar';
+
+import { isXzAvailable } from '../lib/extract/tar-xz.js';
+import {
+  fetchNodeBuild,
+  getBuildCachePath,
+  isSupportedTarget,
+  prepareNodeBuild,
+  prepareNodeDist,
+  runPreparedBuild,
+} from '../lib/run-node-build.js';
+import tmpName from '../lib/tmp-name.js';
+
+function noop() {}
+
+function getTestOptions() {
+  return {
+    console: {
+      debug() {},
+      error() {},
+      info() {},
+      warn() {},
+    },
+    env: process.env,
+    exeDir: path.dirname(process.execPath),
+  };
+}
+
+describe('runPreparedBuild', () => {
+  it('resolves with exit code of command', async () => {
+    const result = await runPreparedBuild(
+      process.execPath,
+      ['-e', 'process.exitCode = 3'],
+      getTestOptions(),
+    );
+    assert.deepStrictEqual(result, { code: 3, signal: null });
+  });
+
+  it('resolves with output of command if captureOutput', async () => {
+    const result = await runPreparedBuild(
+      process.execPath,
+      ['-e', 'process.stderr.write("test\\n")'],
+      getTestOptions(),
+      true,
+    );
+    assert.deepStrictEqual(
+      result,
+      { code: 0, signal: null, output: 'test\n' },
+    );
+  });
+
+  it('writes output of command to options.stdout and stderr', async () => {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const result = await runPreparedBuild(
+      process.execPath,
+      ['-e', 'process.stdout.write("out\\n"); process.stderr.write("err")'],
+      {
+        ...getTestOptions(),
+        stderr,
+        stdout,
+      },
+    );
+    assert.deepStrictEqual(result, { code: 0, signal: null });
+    assert.strictEqual(String(stdout.read()), 'out\n');
+    assert.strictEqual(String(stderr.read()), 'err');
+  });
+
+  it('kills command after options.timeout', async () => {
+    const result = await runPreparedBuild(
+      process.execPath,
+      ['-e', 'setTimeout(() => {}, 60000)'],
+      {
+        ...getTestOptions(),
+        timeout: 100,
+      },
+    );
+    assert.strictEqual(result.timedOut, true);
+    assert.notStrictEqual(result.code, 0);
+  });
+
+  if (process.platform !== 'win32') {
+    it('forwards SIGINT to command with options.timeout', async () => {
+      // Prevent forwarding from raising SIGINT for this process
+      process.on('SIGINT', noop);
+      try {
+        const resultPromise = runPreparedBuild(
+          process.execPath,
+          ['-e', 'setTimeout(() => {}, 60000)'],
+          {
+            ...getTestOptions(),
+            timeout: 60000,
+          },
+        );
+        process.emit('SIGINT', 'SIGINT');
+        const result = await resultPromise;
+        assert.strictEqual(result.signal, 'SIGINT');
+        assert.strictEqual(process.listenerCount('SIGINT'), 1);
+      } finally {
+        process.removeListener('SIGINT', noop);
+      }
+    });
+  }
+
+  it('kills command and rejects when options.signal is aborted', () => {
+    return assert.rejects(
+      () => runPreparedBuild(
+        process.execPath,
+        ['-e', 'setTimeout(() => {}, 60000)'],
+        {
+          ...getTestOptions(),
+          signal: AbortSignal.timeout(100),
+        },
+      ),
+      { name: 'TimeoutError' },
+    );
+  });
+});
+
+describe('fetchNodeBuild', () => {
+  const version = 'v16.0.0-nightly202102189a2ac2c615';
+  let buildCacheDir;
+  beforeEach(async () => {
+    buildCacheDir = await tmpName();
+  });
+  afterEach(() => rm(buildCacheDir, { force: true, recursive: true }));
+
+  it('saves build to options.buildCacheDir', async () => {
+    const cachePath = await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response('build'),
+      ),
+    });
+    assert.strictEqual(
+      cachePath,
+      getBuildCachePath(version, 'linux-x64', buildCacheDir),
+    );
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+
+  it('calls options.listeners.ondownload with progress', async () => {
+    const calls = [];
+    await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response('build', { headers: { 'content-length': '5' } }),
+      ),
+      listeners: {
+        ondownload: (...args) => {
+          calls.push(args);
+        },
+      },
+    });
+    const buildUrl =
+      `https://example.com/${version}/node-${version}-linux-x64.tar.gz`;
+    assert.deepStrictEqual(calls[0], [buildUrl, 0, 5, false]);
+    assert.deepStrictEqual(calls.at(-1), [buildUrl, 5, 5, true]);
+  });
+
+  it('calls options.listeners.ondownload with error on failure', async () => {
+    const calls = [];
+    const testErr = new Error('test');
+    await assert.rejects(
+      () => fetchNodeBuild(version, 'linux-x64', {
+        ...getTestOptions(),
+        buildBaseUrl: 'https://example.com/',
+        buildCacheDir,
+        fetch: (url) => Promise.resolve(
+          url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+            : new Response(new ReadableStream({
+              start(controller) {
+                controller.error(testErr);
+              },
+            })),
+        ),
+        listeners: {
+          ondownload: (...args) => {
+            calls.push(args);
+          },
+        },
+        retries: 0,
+      }),
+      testErr,
+    );
+    const buildUrl =
+      `https://example.com/${version}/node-${version}-linux-x64.tar.gz`;
+    assert.deepStrictEqual(
+      calls.at(-1),
+      [buildUrl, 0, undefined, true, testErr],
+    );
+  });
+
+  it('resumes partial download with Range request', async () => {
+    const cachePath = getBuildCachePath(version, 'linux-x64', buildCacheDir);
+    await mkdir(path.dirname(cachePath), { recursive: true });
+    await writeFile(`${cachePath}.part`, 'bu');
+    const hash = createHash('sha256').update('build').digest('hex');
+    const ranges = [];
+    await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url, init) => {
+        if (url.endsWith('/SHASUMS256.txt')) {
+          return Promise.resolve(new Response(
+            `${hash}  node-${version}-linux-x64.tar.gz\n`,
+          ));
+        }
+
+        ranges.push(new Headers(init?.headers).get('range'));
+        return Promise.resolve(new Response('ild', {
+          status: 206,
+          headers: { 'content-range': 'bytes 2-4/5' },
+        }));
+      },
+    });
+    assert.deepStrictEqual(ranges, ['bytes=2-']);
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+
+  it('downloads again if partial response does not continue', async () => {
+    const cachePath = getBuildCachePath(version, 'linux-x64', buildCacheDir);
+    await mkdir(path.dirname(cachePath), { recursive: true });
+    await writeFile(`${cachePath}.part`, 'bu');
+    const ranges = [];
+    await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url, init) => {
+        if (url.endsWith('/SHASUMS256.txt')) {
+          return Promise.resolve(new Response('', { status: 404 }));
+        }
+
+        const range = new Headers(init?.headers).get('range');
+        ranges.push(range);
+        return Promise.resolve(range ? new Response('uild', {
+          status: 206,
+          headers: { 'content-range': 'bytes 1-4/5' },
+        }) : new Response('build'));
+      },
+    });
+    assert.deepStrictEqual(ranges, ['bytes=2-', null]);
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+
+  it('cancels response body and downloads again after 416', async () => {
+    const cachePath = getBuildCachePath(version, 'linux-x64', buildCacheDir);
+    await mkdir(path.dirname(cachePath), { recursive: true });
+    await writeFile(`${cachePath}.part`, 'bad part');
+    let cancelCount = 0;
+    const ranges = [];
+    await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url, init) => {
+        if (url.endsWith('/SHASUMS256.txt')) {
+          return Promise.resolve(new Response('', { status: 404 }));
+        }
+
+        const range = new Headers(init?.headers).get('range');
+        ranges.push(range);
+        return Promise.resolve(range
+          ? new Response(
+            new ReadableStream({
+              cancel() {
+                cancelCount += 1;
+              },
+            }),
+            { status: 416 },
+          )
+          : new Response('build'));
+      },
+    });
+    assert.deepStrictEqual(ranges, ['bytes=8-', null]);
+    assert.strictEqual(cancelCount, 1);
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+
+  it('retries download after transient error', async () => {
+    let buildFetches = 0;
+    const cachePath = await fetchNodeBuild(version, 'linux-x64', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      fetch: (url) => {
+        if (url.endsWith('/SHASUMS256.txt')) {
+          return Promise.resolve(new Response('', { status: 404 }));
+        }
+
+        buildFetches += 1;
+        return Promise.resolve(buildFetches === 1
+          ? new Response('', { status: 503 })
+          : new Response('build'));
+      },
+      retryDelay: 1,
+    });
+    assert.strictEqual(buildFetches, 2);
+    assert.strictEqual(
+      await readFile(cachePath, { encoding: 'utf8' }),
+      'build',
+    );
+  });
+});
+
+describe('prepareNodeBuild', () => {
+  const version = 'v16.0.0-nightly202102189a2ac2c615';
+  let tmpDir;
+  beforeEach(async () => {
+    tmpDir = await tmpName();
+    await mkdir(path.join(tmpDir, 'exe'), { recursive: true });
+  });
+  afterEach(() => rm(tmpDir, { force: true, recursive: true }));
+
+  it('extracts node from .tar.xz for xz target', async function() {
+    if (!await isXzAvailable()) {
+      this.skip();
+    }
+
+    const fixtureUrl = new URL(
+      `../test-data/node-${version}-linux-x64.tar.xz`,
+      import.meta.url,
+    );
+    const fixture = await readFile(fixtureUrl);
+    const fetchedUrls = [];
+    const nodeExe = await prepareNodeBuild(version, 'linux-x64-xz', {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir: path.join(tmpDir, 'cache'),
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => {
+        fetchedUrls.push(url);
+        return Promise.resolve(
+          url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+            : new Response(fixture),
+        );
+      },
+    });
+    assert.deepStrictEqual(
+      fetchedUrls.filter((url) => !url.endsWith('/SHASUMS256.txt')),
+      [`https://example.com/${version}/node-${version}-linux-x64.tar.xz`],
+    );
+    assert.strictEqual(nodeExe, path.join(tmpDir, 'exe', 'node'));
+    assert.strictEqual(
+      await readFile(nodeExe, { encoding: 'utf8' }),
+      'node\n',
+    );
+  });
+  it('caches extracted executable in options.buildCacheDir', async () => {
+    const basename = `node-${version}-linux-x64`;
+    await mkdir(path.join(tmpDir, basename, 'bin'), { recursive: true });
+    await writeFile(path.join(tmpDir, basename, 'bin', 'node'), 'node');
+    const tarPath = path.join(tmpDir, 'build.tar.gz');
+    await createTar(
+      { cwd: tmpDir, file: tarPath, gzip: true },
+      [`${basename}/bin/node`],
+    );
+    const tarball = await readFile(tarPath);
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const warnings = [];
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      console: {
+        ...getTestOptions().console,
+        warn: (format, ...args) => {
+          if (/corrupt/.test(format)) {
+            warnings.push([format, ...args]);
+          }
+        },
+      },
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(tarball),
+      ),
+    };
+    const nodeExe = await prepareNodeBuild(version, 'linux-x64', options);
+    const cachePath = getBuildCachePath(version, 'linux-x64', buildCacheDir);
+    const cachedExe = `${cachePath}.node`;
+    assert.strictEqual(await readFile(cachedExe, { encoding: 'utf8' }), 'node');
+
+    // Cached executable is used without extracting the archive
+    await writeFile(cachePath, 'corrupt archive');
+    await rm(nodeExe);
+    await prepareNodeBuild(version, 'linux-x64', options);
+    assert.strictEqual(await readFile(nodeExe, { encoding: 'utf8' }), 'node');
+    assert.deepStrictEqual(warnings, []);
+
+    // Corrupt cached executable is extracted again
+    await writeFile(cachePath, tarball);
+    await writeFile(cachedExe, 'corrupt');
+    await prepareNodeBuild(version, 'linux-x64', options);
+    assert.strictEqual(await readFile(nodeExe, { encoding: 'utf8' }), 'node');
+    assert.strictEqual(await readFile(cachedExe, { encoding: 'utf8' }), 'node');
+    assert.deepStrictEqual(warnings, [[
+      'Extracted executable %s is corrupt.  Extracting again.',
+      cachedExe,
+    ]]);
+  });
+  it('uses cached executable without fetching archive', async () => {
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const cachePath = getBuildCachePath(version, 'linux-x64', buildCacheDir);
+    const cachedExe = `${cachePath}.node`;
+    await mkdir(path.dirname(cachePath), { recursive: true });
+    await writeFile(cachedExe, 'node');
+    await writeFile(`${cachedExe}.json`, JSON.stringify({
+      sha256: createHash('sha256').update('node').digest('hex'),
+      extractMs: 1,
+    }));
+    const fetchUrls = [];
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => {
+        fetchUrls.push(url);
+        return Promise.resolve(new Response('', { status: 404 }));
+      },
+    };
+    const nodeExe = await prepareNodeBuild(version, 'linux-x64', options);
+    assert.strictEqual(await readFile(nodeExe, { encoding: 'utf8' }), 'node');
+    assert.deepStrictEqual(fetchUrls, []);
+  });
+});
+
+describe('prepareNodeDist', () => {
+  const version = 'v16.0.0-nightly202102189a2ac2c615';
+  const basename = `node-${version}-linux-x64`;
+  let tmpDir, tarball;
+  beforeEach(async () => {
+    tmpDir = await tmpName();
+    const distDir = path.join(tmpDir, basename);
+    await mkdir(path.join(distDir, 'bin'), { recursive: true });
+    await mkdir(path.join(distDir, 'include', 'node'), { recursive: true });
+    await writeFile(path.join(distDir, 'bin', 'node'), 'node');
+    await symlink('node', path.join(distDir, 'bin', 'npm'));
+    await writeFile(path.join(distDir, 'include', 'node', 'node.h'), 'h');
+    const tarPath = path.join(tmpDir, 'build.tar.gz');
+    await createTar({ cwd: tmpDir, file: tarPath, gzip: true }, [basename]);
+    tarball = await readFile(tarPath);
+  });
+  afterEach(() => rm(tmpDir, { force: true, recursive: true }));
+
+  it('extracts all files to options.buildCacheDir once', async () => {
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const exeDir = path.join(tmpDir, 'exe');
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      exeDir,
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(tarball),
+      ),
+    };
+    const dist = await prepareNodeDist(version, 'linux-x64', options);
+    const nodeDir = path.join(exeDir, 'dist');
+    assert.deepStrictEqual(dist, {
+      binDir: path.join(nodeDir, 'bin'),
+      nodeDir,
+      nodeExe: path.join(nodeDir, 'bin', 'node'),
+    });
+    assert.strictEqual(
+      await readFile(dist.nodeExe, { encoding: 'utf8' }),
+      'node',
+    );
+    assert.strictEqual(await readlink(path.join(dist.binDir, 'npm')), 'node');
+    assert.strictEqual(
+      await readFile(path.join(nodeDir, 'include', 'node', 'node.h'), {
+        encoding: 'utf8',
+      }),
+      'h',
+    );
+
+    // Files are not extracted again
+    const cachedDir = path.join(buildCacheDir, version, basename);
+    assert.deepStrictEqual(
+      JSON.parse(await readFile(`${cachedDir}.json`, { encoding: 'utf8' })),
+      { target: 'linux-x64' },
+    );
+    await rm(path.join(cachedDir, 'include'), { recursive: true });
+    assert.deepStrictEqual(
+      await prepareNodeDist(version, 'linux-x64', options),
+      dist,
+    );
+    await assert.rejects(
+      () => readFile(path.join(nodeDir, 'include', 'node', 'node.h')),
+      { code: 'ENOENT' },
+    );
+  });
+
+  it('copies files so changes do not affect the cache', async () => {
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(tarball),
+      ),
+    };
+    const dist = await prepareNodeDist(version, 'linux-x64', options);
+    await writeFile(dist.nodeExe, 'changed');
+    await writeFile(path.join(dist.binDir, 'installed'), 'installed');
+
+    const cachedDir = path.join(buildCacheDir, version, basename);
+    assert.strictEqual(
+      await readFile(path.join(cachedDir, 'bin', 'node'), {
+        encoding: 'utf8',
+      }),
+      'node',
+    );
+    await assert.rejects(
+      () => stat(path.join(cachedDir, 'bin', 'installed')),
+      { code: 'ENOENT' },
+    );
+
+    // Changes are not present in the next copy
+    await prepareNodeDist(version, 'linux-x64', options);
+    assert.strictEqual(
+      await readFile(dist.nodeExe, { encoding: 'utf8' }),
+      'node',
+    );
+    await assert.rejects(
+      () => stat(path.join(dist.binDir, 'installed')),
+      { code: 'ENOENT' },
+    );
+  });
+
+  it('extracts again if cached files are incomplete', async () => {
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(tarball),
+      ),
+    };
+    await prepareNodeDist(version, 'linux-x64', options);
+    const cachedDir = path.join(buildCacheDir, version, basename);
+    await rm(path.join(cachedDir, 'bin'), { recursive: true });
+
+    const dist = await prepareNodeDist(version, 'linux-x64', options);
+    assert.strictEqual(
+      await readFile(dist.nodeExe, { encoding: 'utf8' }),
+      'node',
+    );
+    assert.strictEqual(
+      await readFile(path.join(cachedDir, 'bin', 'node'), {
+        encoding: 'utf8',
+      }),
+      'node',
+    );
+  });
+
+  it('rejects symbolic link outside of distribution', async () => {
+    const distDir = path.join(tmpDir, basename);
+    await symlink('../../outside', path.join(distDir, 'lib'));
+    const tarPath = path.join(tmpDir, 'link.tar.gz');
+    await createTar({ cwd: tmpDir, file: tarPath, gzip: true }, [basename]);
+    const linkTarball = await readFile(tarPath);
+    const buildCacheDir = path.join(tmpDir, 'cache');
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(linkTarball),
+      ),
+    };
+    await assert.rejects(
+      () => prepareNodeDist(version, 'linux-x64', options),
+      /\blib to \.\.\/\.\.\/outside points outside\b/,
+    );
+    assert.deepStrictEqual(
+      await readdir(path.join(buildCacheDir, version)),
+      [`${basename}.tar.gz`],
+    );
+  });
+
+  it('rejects entries below a symbolic link', async () => {
+    const distDir = path.join(tmpDir, basename);
+    await symlink('include', path.join(distDir, 'lib'));
+    const tarPath = path.join(tmpDir, 'link.tar.gz');
+    await createTar(
+      { cwd: tmpDir, file: tarPath, gzip: true },
+      [`${basename}/lib`, `${basename}/lib/node/node.h`],
+    );
+    const linkTarball = await readFile(tarPath);
+    const options = {
+      ...getTestOptions(),
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir: path.join(tmpDir, 'cache'),
+      exeDir: path.join(tmpDir, 'exe'),
+      fetch: (url) => Promise.resolve(
+        url.endsWith('/SHASUMS256.txt') ? new Response('', { status: 404 })
+          : new Response(linkTarball),
+      ),
+    };
+    await assert.rejects(
+      () => prepareNodeDist(version, 'linux-x64', options),
+      /\bbelow symbolic link\b/,
+    );
+  });
+
+  it('rejects with RangeError for exe target', () => {
+    return assert.rejects(
+      () => prepareNodeDist(version, 'win-x64-exe', getTestOptions()),
+      RangeError,
+    );
+  });
+});
+
+describe('isSupportedTarget', () => {
+  for (const target of ['linux-x64', 'osx-x64-tar', 'win-x64-zip']) {
+    it(`returns true for ${target}`, async () => {
+      assert.strictEqual(await isSupportedTarget(target), true);
+    });
+  }
+
+  for (const target of ['osx-x64-pkg', 'win-x64-7z', 'win-x64-msi']) {
+    it(`returns false for ${target}`, async () => {
+      assert.strictEqual(await isSupportedTarget(target), false);
+    });
+  }
+});
@@ -0,0 +1,154 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import sinon from 'sinon';
+
+import {
+  getBuildChecksums,
+  hashFile,
+  parseShasums,
+} from '../lib/shasums.js';
+import tmpName from '../lib/tmp-name.js';
+
+const testVersion = 'v16.0.0-nightly202102189a2ac2c615';
+const linuxHash = 'a'.repeat(64);
+const exeHash = 'B'.repeat(64);
+const testShasums = `${linuxHash}  node-${testVersion}-linux-x64.tar.gz\n`
+  + `${exeHash}  win-x64/node.exe\n`;
+
+function noop() {}
+
+function makeFetch(content) {
+  return sinon.stub().resolves({
+    ok: true,
+    status: 200,
+    arrayBuffer: () => Promise.resolve(new TextEncoder().encode(content)),
+  });
+}
+
+describe('parseShasums', () => {
+  it('returns Map of file path to lower-case hash', () => {
+    assert.deepStrictEqual(
+      parseShasums(testShasums),
+      new Map([
+        [`node-${testVersion}-linux-x64.tar.gz`, linuxHash],
+        ['win-x64/node.exe', exeHash.toLowerCase()],
+      ]),
+    );
+  });
+
+  it('ignores blank and malformed lines', () => {
+    assert.deepStrictEqual(
+      parseShasums(`\ninvalid\n${linuxHash}  file.zip\r\n`),
+      new Map([['file.zip', linuxHash]]),
+    );
+  });
+});
+
+describe('hashFile', () => {
+  let filePath;
+  beforeEach(async () => {
+    filePath = await tmpName();
+  });
+  afterEach(() => rm(filePath, { force: true }));
+
+  it('returns SHA-256 hash of file', async () => {
+    await writeFile(filePath, 'test');
+    assert.strictEqual(
+      await hashFile(filePath),
+      createHash('sha256').update('test').digest('hex'),
+    );
+  });
+});
+
+describe('getBuildChecksums', () => {
+  let buildCacheDir;
+  beforeEach(async () => {
+    buildCacheDir = await tmpName();
+  });
+  afterEach(() => rm(buildCacheDir, { force: true, recursive: true }));
+
+  function getTestOptions() {
+    return {
+      buildBaseUrl: 'https://example.com/',
+      buildCacheDir,
+      console: { warn: sinon.spy() },
+      fetch: makeFetch(testShasums),
+    };
+  }
+
+  it('downloads and caches SHASUMS256.txt for version', async () => {
+    const options = getTestOptions();
+    const checksums = await getBuildChecksums(testVersion, options);
+    assert.strictEqual(checksums.get('win-x64/node.exe'), 'b'.repeat(64));
+    sinon.assert.calledOnceWithMatch(
+      options.fetch,
+      `https://example.com/${testVersion}/SHASUMS256.txt`,
+    );
+    assert.strictEqual(
+      await readFile(
+        path.join(buildCacheDir, testVersion, 'SHASUMS256.txt'),
+        { encoding: 'utf8' },
+      ),
+      testShasums,
+    );
+
+    // Uses cached SHASUMS256.txt if present
+    const offlineOptions = {
+      ...getTestOptions(),
+      fetch: noop,
+      offline: true,
+    };
+    assert.deepStrictEqual(
+      await getBuildChecksums(testVersion, offlineOptions),
+      checksums,
+    );
+  });
+
+  it('returns undefined with warning if not found', async () => {
+    const options = {
+      ...getTestOptions(),
+      fetch: sinon.stub().resolves({ ok: false, status: 404 }),
+    };
+    assert.strictEqual(
+      await getBuildChecksums(testVersion, options),
+      undefined,
+    );
+    sinon.assert.calledOnce(options.console.warn);
+  });
+
+  it('rejects if not found with keyring', () => {
+    const options = {
+      ...getTestOptions(),
+      fetch: sinon.stub().resolves({ ok: false, status: 404 }),
+      keyring: 'keyring.kbx',
+    };
+    return assert.rejects(
+      () => getBuildChecksums(testVersion, options),
+      /\bSHASUMS256\.txt not found\b/,
+    );
+  });
+
+  it('rejects with HttpResponseError for other errors', () => {
+    const options = {
+      ...getTestOptions(),
+      fetch: sinon.stub().resolves({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        url: 'https://example.com/',
+      }),
+    };
+    return assert.rejects(
+      () => getBuildChecksums(testVersion, options),
+      { name: 'HttpResponseError', status: 500 },
+    );
+  });
+});